@@ -0,0 +1,217 @@
+// Type definitions for lib/anytoolcall.js
+
+import type { IncomingMessage, ServerResponse } from 'http';
+
+export type ApiFormatName = 'openai' | 'anthropic' | 'responses' | 'gemini';
+export type ToolMode = 'inject' | 'native' | 'fallback';
+export type FewShot = 'fixed' | 'synthetic' | 'off';
+export type MarkerRotation = 'collision' | 'always' | 'off';
+export type ToolResultCheck = 'repair' | 'strict';
+export type ToolSchema = 'full' | 'compact' | 'typescript';
+export type PrunedToolCalls = 'repair' | 'reject';
+export type ReasoningToolCalls = 'fallback' | 'off';
+export type ReasoningHistory = 'keep' | 'drop';
+
+/** Marker set of a dialect; json dialects only use TC_START / RESULT_START (END optional). */
+export interface Markers {
+  TC_START: string;
+  TC_END?: string;
+  NAME_START?: string;
+  NAME_END?: string;
+  ARGS_START?: string;
+  ARGS_END?: string;
+  RESULT_START: string;
+  RESULT_END?: string;
+}
+
+export interface Dialect {
+  name: string;
+  syntax: 'delimited' | 'json';
+  /** null: random markers per delimiter (unicode) */
+  markers: Markers | null;
+  vars: Record<string, string>;
+  prompt: string;
+  promptNone: string;
+  toolTemplate: string;
+}
+
+export interface ToolCall {
+  id: string;
+  type: 'function';
+  function: { name: string; arguments: string };
+}
+
+export interface ToolCallRepair {
+  tool_call_id: string;
+  name: string;
+  repairs: string[];
+}
+
+export interface ParseResult {
+  toolCalls: ToolCall[];
+  cleanContent: string;
+  invalidCalls: { call: ToolCall; error: string }[];
+  repairs: ToolCallRepair[];
+}
+
+export interface ParseOptions {
+  /** tool names of the request, used by the lenient fallbacks */
+  toolNames?: string[] | null;
+  fallbacks?: string[];
+}
+
+export class ToolCallDelimiter {
+  constructor(dialect?: Dialect);
+  readonly dialect: Dialect;
+  readonly markers: Markers;
+  /** false for dialects with fixed markers */
+  readonly rotatable: boolean;
+  describe(): string;
+  encodeCall(name: string, args: string): string;
+  encodeResult(label: string, result: string): string;
+  getSystemPrompt(tools: unknown[], toolChoice?: { mode: string; name?: string }, options?: { schema?: ToolSchema }): string;
+  parse(content: string, options?: ParseOptions): ParseResult;
+}
+
+/** Same structure as CONFIG_FILE (providers, aliases, default_provider, keys). */
+export interface ConfigSpec {
+  providers: Record<string, {
+    base_url: string;
+    api_key?: string;
+    api_key_header?: string;
+    headers?: Record<string, string>;
+    models?: string[];
+    tool_mode?: ToolMode;
+  }>;
+  aliases?: Record<string, string>;
+  default_provider?: string;
+  keys?: unknown[];
+  headers?: HeaderPolicySpec;
+}
+
+/** Header globs (`x-ratelimit-*`) per direction, on top of the defaults and env lists. */
+export interface HeaderRules {
+  allow?: string[];
+  deny?: string[];
+  /** injected after filtering */
+  set?: Record<string, string>;
+}
+
+export interface HeaderPolicySpec {
+  request?: HeaderRules;
+  response?: HeaderRules;
+}
+
+export interface ProxyOptions {
+  /** fixed upstream base URL the request path is appended to (default: taken from the path) */
+  upstream?: string;
+  /** CONFIG_FILE path or the same structure as an object; null turns routing off */
+  config?: string | ConfigSpec | null;
+  /** extends the header forwarding lists of the config file / env */
+  headers?: HeaderPolicySpec;
+  dialect?: string;
+  /** fixed markers for `dialect` */
+  markers?: Markers;
+  toolMode?: ToolMode;
+  fewShot?: FewShot;
+  markerRotation?: MarkerRotation;
+  toolResultCheck?: ToolResultCheck;
+  validation?: boolean;
+  toolChoiceMaxRetries?: number;
+  toolValidationMaxRetries?: number;
+  toolSchema?: ToolSchema;
+  /** offer only the K most relevant tools, plus those already called; 0 = all */
+  toolTopK?: number;
+  prunedToolCalls?: PrunedToolCalls;
+  /** use calls written in the reasoning when the content has none */
+  reasoningToolCalls?: ReasoningToolCalls;
+  /** reasoning and thought signatures of earlier assistant turns */
+  reasoningHistory?: ReasoningHistory;
+  /** bytes, when the request body is not parsed yet (default 50MB) */
+  bodyLimit?: number;
+  /** upstream timeouts in ms, 0 = off */
+  connectTimeout?: number;
+  firstByteTimeout?: number;
+  idleTimeout?: number;
+  /** retries for connection failures and 429/502/503/504 before anything reached the client */
+  maxRetries?: number;
+  retryBaseDelay?: number;
+  /** longest wait between retries; a longer Retry-After is returned to the client instead */
+  retryMaxDelay?: number;
+}
+
+export interface ProxySettings extends Required<Omit<ProxyOptions, 'upstream' | 'config' | 'markers' | 'headers'>> {
+  upstream: string | null;
+  headers: { request: Required<HeaderRules>; response: Required<HeaderRules> };
+  config: unknown | null;
+  markers: Markers | null;
+}
+
+export interface ProxyMiddleware {
+  (req: IncomingMessage & { body?: unknown }, res: ServerResponse, next?: (err?: unknown) => void): void;
+  readonly settings: ProxySettings;
+  /** the instance's delimiter for a dialect (default: its own dialect) */
+  delimiterFor(dialect?: Dialect): ToolCallDelimiter;
+}
+
+export function createProxy(options?: ProxyOptions): ProxyMiddleware;
+
+export interface TransformOptions {
+  format?: ApiFormatName;
+  dialect?: string;
+  markers?: Markers;
+  /** use this delimiter instead of drawing one (e.g. proxy.delimiterFor()) */
+  delimiter?: ToolCallDelimiter;
+  fewShot?: FewShot;
+  markerRotation?: MarkerRotation;
+  validation?: boolean;
+  toolSchema?: ToolSchema;
+  toolTopK?: number;
+  prunedToolCalls?: PrunedToolCalls;
+  reasoningToolCalls?: ReasoningToolCalls;
+  reasoningHistory?: ReasoningHistory;
+}
+
+/** What the injection adds to the request */
+export interface TransformStats {
+  /** estimated tokens of the injected prompt and example exchange */
+  injectedTokens: number;
+  offeredTools: number;
+  totalTools: number;
+}
+
+/** Plain JSON: what parseResponse / createToolStreamTransformer need from the request. */
+export interface ToolContext {
+  format: ApiFormatName;
+  dialect: string;
+  markers: Markers;
+  toolChoice: { mode: 'auto' | 'none' | 'required' | 'function'; name?: string };
+  /** null when the request has no tools: responses pass through unchanged */
+  toolNames: string[] | null;
+  /** tool definitions to validate arguments against, null with validation off */
+  tools: unknown[] | null;
+  /** tools left out of the prompt; calls to them are reported as tool_not_offered repairs */
+  prunedTools: string[] | null;
+  /** calls found only in the reasoning are reported as call_in_reasoning repairs */
+  reasoningToolCalls: ReasoningToolCalls;
+}
+
+export function transformRequest<T = any>(body: T, options?: TransformOptions): { body: T; context: ToolContext; stats: TransformStats };
+
+export function parseResponse<T = any>(data: T, context: ToolContext): T;
+
+export function createToolStreamTransformer(context: ToolContext): TransformStream<Uint8Array | string, Uint8Array>;
+
+export const TOOL_DIALECTS: Record<string, Dialect>;
+export const API_FORMATS: Record<ApiFormatName, object>;
+
+export function loadConfig(source: string | ConfigSpec | null | undefined): unknown | null;
+/** Prometheus text exposition of the proxy metrics */
+export function renderMetrics(): string;
+/** Resolves once every RECORD_FILE recording made so far is written */
+export function flushRecordings(): Promise<void>;
+export function handleMockUpstream(req: IncomingMessage & { body?: unknown }, res: ServerResponse): Promise<void>;
+export const MOCK_UPSTREAM: boolean;
+export const MOCK_PATH: string;
+export const LOG_ENABLED: boolean;
+export const LOG_DIR: string;
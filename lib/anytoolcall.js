@@ -0,0 +1,5780 @@
+// AnyToolCall - tool calling via prompt injection, as a library
+// Formats: OpenAI chat completions / responses, Anthropic messages, Gemini generateContent
+// Node.js >= 18
+//
+// createProxy(options) is an Express / Connect middleware; transformRequest, parseResponse
+// and createToolStreamTransformer do the same conversions without any HTTP. index.js is the
+// CLI server built on top. Environment variables (listed in index.js) set the defaults that
+// createProxy options override per instance.
+
+'use strict';
+const { Transform } = require('stream');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const dns = require('dns');
+const net = require('net');
+const { setTimeout: sleep } = require('timers/promises');
+const { Agent, fetch: undiciFetch } = require('undici');
+const YAML = require('yaml');
+
+// ============ Logging (default off) ============
+const LOG_DIR = process.env.LOG_DIR || './logs';
+const LOG_ENABLED = process.env.LOG_ENABLED === 'true';
+
+if (LOG_ENABLED && !fs.existsSync(LOG_DIR)) {
+  fs.mkdirSync(LOG_DIR, { recursive: true });
+}
+
+class RequestLogger {
+  constructor() {
+    this.enabled = LOG_ENABLED;
+    this.requestId = `req_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    this.startTime = Date.now();
+    this.data = {
+      requestId: this.requestId,
+      timestamp: new Date().toISOString(),
+      phases: [],
+    };
+  }
+
+  log(phase, content) {
+    if (!this.enabled) return;
+    this.data.phases.push({
+      phase,
+      time: Date.now() - this.startTime,
+      content,
+    });
+  }
+
+  save() {
+    if (!this.enabled) return;
+    const filename = path.join(LOG_DIR, `${this.requestId}.json`);
+    fs.writeFileSync(filename, JSON.stringify(this.data, null, 2), 'utf-8');
+  }
+}
+
+// ============ Responses ============
+// Plain node:http responses, so the middleware also runs outside Express (Connect, http.createServer)
+function sendJson(res, status, body) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.end(JSON.stringify(body));
+}
+
+function sendText(res, status, text, contentType = 'text/plain; charset=utf-8') {
+  res.statusCode = status;
+  res.setHeader('Content-Type', contentType);
+  res.end(text);
+}
+
+// ============ Metrics (Prometheus text format) ============
+const LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+function metricLabels(names, labels) {
+  if (names.length === 0) return '';
+  const escape = (v) => String(v ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  return `{${names.map((n) => `${n}="${escape(labels[n])}"`).join(',')}}`;
+}
+
+class Counter {
+  constructor(name, help, labelNames = []) {
+    Object.assign(this, { name, help, labelNames });
+    this.values = new Map(); // label string -> value
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = metricLabels(this.labelNames, labels);
+    this.values.set(key, (this.values.get(key) || 0) + value);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+    for (const [key, value] of this.values) lines.push(`${this.name}${key} ${value}`);
+    return lines.join('\n');
+  }
+}
+
+class Histogram {
+  constructor(name, help, labelNames = [], buckets = LATENCY_BUCKETS) {
+    Object.assign(this, { name, help, labelNames, buckets });
+    this.series = new Map(); // label string -> { labels, counts, sum, count }
+  }
+
+  observe(labels, value) {
+    const key = metricLabels(this.labelNames, labels);
+    if (!this.series.has(key)) this.series.set(key, { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+    const s = this.series.get(key);
+    this.buckets.forEach((le, i) => {
+      if (value <= le) s.counts[i]++;
+    });
+    s.sum += value;
+    s.count++;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const [key, s] of this.series) {
+      const names = [...this.labelNames, 'le'];
+      this.buckets.forEach((le, i) => lines.push(`${this.name}_bucket${metricLabels(names, { ...s.labels, le })} ${s.counts[i]}`));
+      lines.push(`${this.name}_bucket${metricLabels(names, { ...s.labels, le: '+Inf' })} ${s.count}`);
+      lines.push(`${this.name}_sum${key} ${s.sum}`, `${this.name}_count${key} ${s.count}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+const metrics = {
+  requests: new Counter('anytoolcall_requests_total', 'Proxied requests by upstream host, model and response status', ['upstream_host', 'model', 'status']),
+  timeToFirstByte: new Histogram('anytoolcall_time_to_first_byte_seconds', 'Time until the first response byte reached the client', ['upstream_host']),
+  duration: new Histogram('anytoolcall_request_duration_seconds', 'Total request time', ['upstream_host']),
+  toolCalls: new Counter('anytoolcall_tool_calls_total', 'Tool call blocks parsed from model output (invalid = arguments not JSON after repair)', ['result']),
+  skippedBlocks: new Counter('anytoolcall_tool_blocks_skipped_total', 'Malformed tool call blocks passed through as text'),
+  correctionRounds: new Counter('anytoolcall_correction_rounds_total', 'Upstream retries after a rejected reply', ['kind']),
+  streamsWithoutDone: new Counter('anytoolcall_stream_flush_without_done_total', 'Transformed streams the upstream ended without its final event'),
+  upstreamErrors: new Counter('anytoolcall_upstream_errors_total', 'Upstream error responses, failed connections and timeouts', ['upstream_host', 'status']),
+  upstreamRetries: new Counter('anytoolcall_upstream_retries_total', 'Upstream requests repeated after a transient failure', ['upstream_host', 'reason']),
+  clientDisconnects: new Counter('anytoolcall_client_disconnects_total', 'Requests whose client went away before the response finished'),
+};
+
+// Label values come from configuration, never straight from the request, so a client cannot
+// create series without bound: hosts and models that are not configured are counted as "other".
+const OTHER_LABEL = 'other';
+
+// fixed upstream, provider base URLs, then the UPSTREAM_ALLOW_HOSTS entry that matched
+function metricHostLabel(hostname, settings) {
+  const configured = [settings.upstream, ...[...(settings.config?.providers.values() ?? [])].map((p) => p.baseUrl)];
+  if (configured.some((url) => url && new URL(url).hostname === hostname)) return hostname;
+  return UPSTREAM_ALLOW_HOSTS.find((pattern) => hostMatches(hostname, [pattern])) ?? OTHER_LABEL;
+}
+
+// a model listed by the provider (or by any provider when the upstream came from the path)
+function metricModelLabel(model, provider, settings) {
+  if (!model) return '';
+  const providers = provider ? [provider] : [...(settings.config?.providers.values() ?? [])];
+  return providers.some((p) => p.models.includes(model)) ? model : OTHER_LABEL;
+}
+
+function renderMetrics() {
+  return `${Object.values(metrics).map((m) => m.render()).join('\n')}\n`;
+}
+
+/**
+ * Time one proxied request: first byte and total latency, and the request count once the
+ * response is done. The handler fills in `labels` as it learns the upstream and model.
+ */
+function trackRequestMetrics(res) {
+  const start = process.hrtime.bigint();
+  const seconds = () => Number(process.hrtime.bigint() - start) / 1e9;
+  const labels = { upstream_host: '', model: '' };
+  let firstByte = false;
+  const markFirstByte = () => {
+    if (firstByte) return;
+    firstByte = true;
+    metrics.timeToFirstByte.observe({ upstream_host: labels.upstream_host }, seconds());
+  };
+
+  for (const method of ['write', 'end']) {
+    const original = res[method];
+    res[method] = function (...args) {
+      markFirstByte();
+      return original.apply(this, args);
+    };
+  }
+  res.once('close', () => {
+    metrics.duration.observe({ upstream_host: labels.upstream_host }, seconds());
+    metrics.requests.inc({ ...labels, status: res.statusCode });
+  });
+  return labels;
+}
+
+// ============ Record / replay ============
+// RECORD_FILE: each proxied request is appended as one JSONL fixture: the client request, every
+// upstream round (body as sent, response as received, SSE chunk boundaries included) and
+// what the client got back. Credentials are redacted; the file rotates at RECORD_MAX_BYTES.
+// REPLAY_FILE: upstream rounds are served from such a file instead of the network, with the
+// recorded markers, so a production parse can be reproduced offline.
+const RECORD_FILE = process.env.RECORD_FILE || '';
+const RECORD_MAX_BYTES = Number(process.env.RECORD_MAX_BYTES || 50 * 1024 * 1024);
+const RECORD_MAX_FILES = Number(process.env.RECORD_MAX_FILES || 5);
+const REPLAY_FILE = process.env.REPLAY_FILE || '';
+const REDACTED_HEADERS = ['authorization', 'proxy-authorization', 'x-api-key', 'x-goog-api-key', 'x-anytoolcall-key', 'cookie'];
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+function redactHeaders(headers = {}) {
+  return Object.fromEntries(Object.entries(headers).map(([k, v]) => [k, REDACTED_HEADERS.includes(k.toLowerCase()) ? '[REDACTED]' : v]));
+}
+
+// Gemini also takes its API key as ?key=
+function redactUrl(url) {
+  return url.replace(/([?&]key=)[^&]*/gi, '$1[REDACTED]');
+}
+
+function isSseContentType(contentType) {
+  return /text\/event-stream/i.test(contentType || '');
+}
+
+/**
+ * The same response, with each body chunk passed to onText (as text) on its way through and
+ * onEnd called once the body has been read to the end.
+ */
+function tapResponseBody(upstreamRes, onText, onEnd = () => {}) {
+  if (!upstreamRes.body || NULL_BODY_STATUSES.includes(upstreamRes.status)) return upstreamRes;
+  const decoder = new TextDecoder();
+  const body = upstreamRes.body.pipeThrough(new TransformStream({
+    transform(chunk, controller) {
+      onText(decoder.decode(chunk, { stream: true }));
+      controller.enqueue(chunk);
+    },
+    flush() {
+      const rest = decoder.decode();
+      if (rest) onText(rest);
+      onEnd();
+    },
+  }));
+  return new Response(body, { status: upstreamRes.status, statusText: upstreamRes.statusText, headers: upstreamRes.headers });
+}
+
+// SSE keeps its chunks; anything else is stored as one body (parsed when it is JSON)
+function fixtureBody(contentType, chunks) {
+  if (isSseContentType(contentType)) return { chunks };
+  const text = chunks.join('');
+  return { body: isJsonText(text) ? JSON.parse(text) : text };
+}
+
+async function rotateRecordFile() {
+  for (let i = RECORD_MAX_FILES - 1; i >= 1; i--) {
+    await fs.promises.rename(`${RECORD_FILE}.${i}`, `${RECORD_FILE}.${i + 1}`).catch((e) => {
+      if (e.code !== 'ENOENT') throw e;
+    });
+  }
+  await fs.promises.rename(RECORD_FILE, `${RECORD_FILE}.1`);
+}
+
+async function appendRecording(line) {
+  await fs.promises.mkdir(path.dirname(RECORD_FILE), { recursive: true });
+  const stat = await fs.promises.stat(RECORD_FILE).catch(() => null);
+  if (stat && stat.size + Buffer.byteLength(line) > RECORD_MAX_BYTES) await rotateRecordFile();
+  await fs.promises.appendFile(RECORD_FILE, line);
+}
+
+// Recordings are written one after another (a rotation never overlaps an append) without
+// blocking the event loop for the streams in flight
+let recordQueue = Promise.resolve();
+
+// resolves once every recording saved so far is on disk (call before exiting)
+function flushRecordings() {
+  return recordQueue;
+}
+
+class RequestRecorder {
+  constructor(req, res) {
+    this.entry = {
+      id: `req_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      time: new Date().toISOString(),
+      request: { method: req.method, url: redactUrl(req.url), headers: redactHeaders(req.headers), body: req.body ?? null },
+      dialect: null,
+      markers: null,
+      upstream: [],
+      client: null,
+    };
+
+    // what the client receives, as written
+    const chunks = [];
+    for (const method of ['write', 'end']) {
+      const original = res[method];
+      res[method] = function (chunk, ...args) {
+        if (chunk && typeof chunk !== 'function') chunks.push(Buffer.isBuffer(chunk) ? chunk.toString('utf8') : String(chunk));
+        return original.call(this, chunk, ...args);
+      };
+    }
+    res.once('close', () => {
+      this.entry.client = { status: res.statusCode, ...fixtureBody(res.getHeader('content-type'), chunks) };
+      this.save();
+    });
+  }
+
+  // dialect and markers of the request, reused on replay
+  note(fields) {
+    Object.assign(this.entry, fields);
+  }
+
+  // one upstream round; returns the response to read from instead of upstreamRes
+  upstream({ url, method, headers, body }, upstreamRes) {
+    const contentType = upstreamRes.headers.get('content-type');
+    const chunks = [];
+    const round = { url: redactUrl(url), method, headers: redactHeaders(headers), body: body ?? null, response: { status: upstreamRes.status, headers: contentType ? { 'content-type': contentType } : {}, chunks } };
+    this.entry.upstream.push(round);
+    return tapResponseBody(upstreamRes, (text) => chunks.push(text));
+  }
+
+  save() {
+    for (const round of this.entry.upstream) {
+      const { chunks, ...response } = round.response;
+      round.response = { ...response, ...fixtureBody(response.headers['content-type'], chunks) };
+    }
+    const line = `${JSON.stringify(this.entry)}\n`;
+    recordQueue = recordQueue.then(() => appendRecording(line)).catch((e) => {
+      console.error('Failed to write recording:', e.message);
+    });
+    return recordQueue;
+  }
+}
+
+function fixtureKey(method, url, body) {
+  return `${method} ${url} ${JSON.stringify(body ?? null)}`;
+}
+
+// recorded exchanges by client request, in file order
+function loadFixtures(file) {
+  if (!file) return null;
+  const fixtures = new Map();
+  let lines;
+  try {
+    lines = fs.readFileSync(file, 'utf8').split('\n');
+  } catch (e) {
+    throw new Error(`replay file ${file}: ${e.message}`);
+  }
+  lines.forEach((line, i) => {
+    if (!line.trim()) return;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (e) {
+      throw new Error(`replay file ${file} line ${i + 1}: ${e.message}`);
+    }
+    const key = fixtureKey(entry.request.method, entry.request.url, entry.request.body);
+    if (!fixtures.has(key)) fixtures.set(key, []);
+    fixtures.get(key).push(entry);
+  });
+  return fixtures;
+}
+
+const FIXTURES = loadFixtures(REPLAY_FILE);
+
+// next recorded exchange for a client request; the last one repeats once they run out
+function takeFixture(req) {
+  const queue = FIXTURES.get(fixtureKey(req.method, redactUrl(req.url), req.body));
+  if (!queue) return null;
+  return queue.length > 1 ? queue.shift() : queue[0];
+}
+
+// a recorded upstream response, delivered in its original chunks
+function replayResponse(recorded) {
+  const chunks = recorded.chunks ?? [typeof recorded.body === 'string' ? recorded.body : JSON.stringify(recorded.body)];
+  const encoder = new TextEncoder();
+  const body = NULL_BODY_STATUSES.includes(recorded.status) ? null : new ReadableStream({
+    start(controller) {
+      for (const chunk of chunks) controller.enqueue(encoder.encode(chunk));
+      controller.close();
+    },
+  });
+  return new Response(body, { status: recorded.status, headers: recorded.headers });
+}
+
+// ============ Upstream validation (SSRF) ============
+const ALLOW_LOCAL_NET = process.env.ALLOW_LOCAL_NET === 'true';
+const UPSTREAM_ALLOW_HOSTS = parseHostList(process.env.UPSTREAM_ALLOW_HOSTS);
+const UPSTREAM_DENY_HOSTS = parseHostList(process.env.UPSTREAM_DENY_HOSTS);
+const UPSTREAM_MAX_REDIRECTS = Number(process.env.UPSTREAM_MAX_REDIRECTS || 5);
+
+function parseHostList(value) {
+  return String(value || '')
+    .split(',')
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// "api.openai.com" matches exactly, "*.example.com" matches any subdomain (not the apex)
+function hostMatches(hostname, patterns) {
+  return patterns.some((p) => (p.startsWith('*.') ? hostname.endsWith(p.slice(1)) : hostname === p));
+}
+
+function buildBlockList(ranges) {
+  const list = new net.BlockList();
+  for (const range of ranges) {
+    const [addr, prefix] = range.split('/');
+    const type = net.isIP(addr) === 6 ? 'ipv6' : 'ipv4';
+    if (prefix === undefined) list.addAddress(addr, type);
+    else list.addSubnet(addr, Number(prefix), type);
+  }
+  return list;
+}
+
+// Cloud metadata endpoints stay blocked even with ALLOW_LOCAL_NET=true
+const METADATA_ADDRESSES = buildBlockList([
+  '169.254.169.254', // AWS / GCP / Azure / OpenStack
+  '169.254.170.2', // AWS ECS task metadata
+  '100.100.100.200', // Alibaba Cloud
+  'fd00:ec2::254', // AWS IPv6
+]);
+const METADATA_HOSTS = ['metadata.google.internal', 'metadata.goog', 'metadata'];
+
+const BLOCKED_RANGES = [
+  ['unspecified', buildBlockList(['0.0.0.0/8', '::/128'])],
+  ['loopback', buildBlockList(['127.0.0.0/8', '::1/128'])],
+  ['private', buildBlockList(['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16'])],
+  ['link-local', buildBlockList(['169.254.0.0/16', 'fe80::/10'])],
+  ['cgnat', buildBlockList(['100.64.0.0/10'])],
+  ['unique-local', buildBlockList(['fc00::/7'])],
+  ['reserved', buildBlockList(['192.0.0.0/24', '198.18.0.0/15', '240.0.0.0/4', '255.255.255.255/32'])],
+  ['multicast', buildBlockList(['224.0.0.0/4', 'ff00::/8'])],
+];
+
+/**
+ * Expand an IPv6 string into 8 16-bit words (handles "::" and a trailing dotted quad).
+ */
+function parseIPv6Words(address) {
+  let str = address.split('%')[0].toLowerCase();
+  const tail = [];
+  const v4 = str.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (v4) {
+    const o = v4.slice(1).map(Number);
+    tail.push((o[0] << 8) | o[1], (o[2] << 8) | o[3]);
+    str = str.slice(0, -v4[0].length);
+    if (str.endsWith(':') && !str.endsWith('::')) str = str.slice(0, -1);
+  }
+
+  const parts = str.split('::');
+  if (parts.length > 2) return null;
+  const toWords = (s) => (s ? s.split(':').map((h) => parseInt(h, 16)) : []);
+  const head = toWords(parts[0]);
+  const rest = parts.length === 2 ? toWords(parts[1]) : [];
+  const fill = 8 - tail.length - head.length - rest.length;
+  if (fill < 0 || (parts.length === 1 && fill !== 0)) return null;
+  return [...head, ...new Array(fill).fill(0), ...rest, ...tail];
+}
+
+// IPv4 embedded in IPv6 forms that still route to the v4 address
+function embeddedIPv4(address) {
+  const w = parseIPv6Words(address);
+  if (!w || w.length !== 8) return null;
+  const v4 = (hi, lo) => `${hi >> 8}.${hi & 0xff}.${lo >> 8}.${lo & 0xff}`;
+  const zeros = (from, to) => w.slice(from, to).every((x) => x === 0);
+  if (zeros(0, 5) && w[5] === 0xffff) return v4(w[6], w[7]); // ::ffff:a.b.c.d (IPv4-mapped)
+  if (zeros(0, 6) && (w[6] || w[7] > 1)) return v4(w[6], w[7]); // ::a.b.c.d (IPv4-compatible)
+  if (w[0] === 0x64 && w[1] === 0xff9b && zeros(2, 6)) return v4(w[6], w[7]); // 64:ff9b::/96 (NAT64)
+  if (w[0] === 0x2002) return v4(w[1], w[2]); // 2002::/16 (6to4)
+  return null;
+}
+
+/**
+ * Returns the reason an address must not be contacted, or null if it is public.
+ */
+function classifyAddress(address, { allowLocalNet = ALLOW_LOCAL_NET } = {}) {
+  const family = net.isIP(address);
+  if (!family) return 'invalid address';
+
+  const v4 = family === 6 ? embeddedIPv4(address) : null;
+  if (v4) return classifyAddress(v4, { allowLocalNet });
+
+  const type = family === 6 ? 'ipv6' : 'ipv4';
+  if (METADATA_ADDRESSES.check(address, type)) return 'cloud metadata';
+  if (allowLocalNet) return null;
+
+  for (const [reason, list] of BLOCKED_RANGES) {
+    if (list.check(address, type)) return reason;
+  }
+  return null;
+}
+
+function checkHostname(hostname, { allowHosts = UPSTREAM_ALLOW_HOSTS, denyHosts = UPSTREAM_DENY_HOSTS } = {}) {
+  if (METADATA_HOSTS.includes(hostname)) return 'cloud metadata host';
+  if (hostMatches(hostname, denyHosts)) return 'host is denylisted';
+  if (allowHosts.length > 0 && !hostMatches(hostname, allowHosts)) return 'host is not allowlisted';
+  return null;
+}
+
+/**
+ * dns.lookup replacement used by the upstream connection pool.
+ * The address checked here is the address the socket connects to, so a DNS
+ * answer that changes between validateUpstream() and fetch() (rebinding) is still caught.
+ */
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+
+    for (const { address } of addresses) {
+      const reason = classifyAddress(address);
+      if (reason) {
+        const blocked = new Error(`Blocked upstream address ${address} for ${hostname} (${reason})`);
+        blocked.code = 'ESSRFBLOCKED';
+        return callback(blocked);
+      }
+    }
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+async function validateUpstream(upstreamUrl) {
+  if (!upstreamUrl) return { ok: false, error: 'Missing upstream URL' };
+
+  let parsed;
+  try {
+    parsed = new URL(upstreamUrl);
+  } catch {
+    return { ok: false, error: 'Invalid upstream URL' };
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return { ok: false, error: 'Invalid protocol (http/https only)' };
+  }
+
+  if (parsed.username || parsed.password) {
+    return { ok: false, error: 'Credentials in upstream URL are not allowed' };
+  }
+
+  // URL normalizes numeric/hex IPv4 forms; strip IPv6 brackets and a trailing dot
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+
+  const hostError = checkHostname(hostname);
+  if (hostError) return { ok: false, error: hostError };
+
+  if (net.isIP(hostname)) {
+    const reason = classifyAddress(hostname);
+    return reason ? { ok: false, error: `Address not allowed (${reason})` } : { ok: true };
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch (e) {
+    return { ok: false, error: `Cannot resolve upstream host ${hostname}` };
+  }
+
+  for (const { address } of addresses) {
+    const reason = classifyAddress(address);
+    if (reason) return { ok: false, error: `${hostname} resolves to a disallowed address (${reason})` };
+  }
+
+  return { ok: true };
+}
+
+/**
+ * fetch() through the guarded agent. Redirects are followed by hand so every
+ * hop goes through validateUpstream() again. credentialHeaders are dropped (together
+ * with a ?key= credential) when a redirect leaves the origin.
+ */
+async function fetchUpstream(url, init, { credentialHeaders = CREDENTIAL_HEADERS } = {}) {
+  let currentUrl = url;
+  let currentInit = { ...init };
+
+  for (let hop = 0; ; hop++) {
+    const res = await undiciFetch(currentUrl, { dispatcher: upstreamAgent(DEFAULT_TIMEOUTS), ...currentInit, redirect: 'manual' });
+    const location = res.headers.get('location');
+    if (![301, 302, 303, 307, 308].includes(res.status) || !location) return res;
+    await res.body?.cancel();
+
+    if (hop >= UPSTREAM_MAX_REDIRECTS) {
+      throw new Error(`Too many upstream redirects (max ${UPSTREAM_MAX_REDIRECTS})`);
+    }
+
+    let nextUrl = new URL(location, currentUrl).toString();
+    const check = await validateUpstream(nextUrl);
+    if (!check.ok) {
+      const blocked = new Error(`Redirect to ${nextUrl} blocked: ${check.error}`);
+      blocked.code = 'ESSRFBLOCKED';
+      throw blocked;
+    }
+
+    // Same rules as the fetch spec: 303 (and 301/302 after POST) become a bodiless GET
+    if (res.status === 303 || ([301, 302].includes(res.status) && currentInit.method === 'POST')) {
+      currentInit = { ...currentInit, method: 'GET', body: undefined };
+    }
+    // Never carry credentials to a different origin
+    if (new URL(nextUrl).origin !== new URL(currentUrl).origin) {
+      const headers = { ...currentInit.headers };
+      for (const key of Object.keys(headers)) {
+        if (credentialHeaders.includes(key.toLowerCase())) delete headers[key];
+      }
+      currentInit = { ...currentInit, headers };
+      const next = new URL(nextUrl);
+      if (next.searchParams.has('key')) {
+        next.searchParams.delete('key');
+        nextUrl = next.toString();
+      }
+    }
+
+    currentUrl = nextUrl;
+  }
+}
+
+// ============ Upstream timeouts and retries ============
+// connect:    TCP / TLS handshake
+// first byte: until the upstream sends its response headers
+// idle:       longest gap between two body chunks (streams included)
+// 0 turns a timeout off. Failures that cannot have been processed upstream - connection
+// errors, 429, 502, 503, 504 - are retried with exponential backoff, or after Retry-After
+// when the upstream sends one (no retry when it asks for more than UPSTREAM_RETRY_MAX_MS).
+// Retries only happen while nothing has reached the client.
+const UPSTREAM_CONNECT_TIMEOUT_MS = Number(process.env.UPSTREAM_CONNECT_TIMEOUT_MS ?? 10 * 1000);
+const UPSTREAM_FIRST_BYTE_TIMEOUT_MS = Number(process.env.UPSTREAM_FIRST_BYTE_TIMEOUT_MS ?? 300 * 1000);
+const UPSTREAM_IDLE_TIMEOUT_MS = Number(process.env.UPSTREAM_IDLE_TIMEOUT_MS ?? 300 * 1000);
+const UPSTREAM_MAX_RETRIES = Number(process.env.UPSTREAM_MAX_RETRIES ?? 2);
+const UPSTREAM_RETRY_BASE_MS = Number(process.env.UPSTREAM_RETRY_BASE_MS ?? 500);
+const UPSTREAM_RETRY_MAX_MS = Number(process.env.UPSTREAM_RETRY_MAX_MS ?? 30 * 1000);
+const DEFAULT_TIMEOUTS = {
+  connectTimeout: UPSTREAM_CONNECT_TIMEOUT_MS,
+  firstByteTimeout: UPSTREAM_FIRST_BYTE_TIMEOUT_MS,
+  idleTimeout: UPSTREAM_IDLE_TIMEOUT_MS,
+};
+const RETRY_STATUSES = [429, 502, 503, 504];
+// the request never reached the upstream, or the connection died before an answer
+const RETRY_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'EPIPE', 'ETIMEDOUT', 'EAI_AGAIN', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_SOCKET'];
+
+const UPSTREAM_TIMEOUTS = {
+  UND_ERR_CONNECT_TIMEOUT: { code: 'upstream_connect_timeout', message: 'Timed out connecting to the upstream' },
+  UND_ERR_HEADERS_TIMEOUT: { code: 'upstream_timeout', message: 'Timed out waiting for the upstream response' },
+  UND_ERR_BODY_TIMEOUT: { code: 'upstream_idle_timeout', message: 'The upstream stopped sending data' },
+};
+
+// connection pools per timeout combination (createProxy instances may differ)
+const upstreamAgents = new Map();
+function upstreamAgent({ connectTimeout, firstByteTimeout, idleTimeout }) {
+  const key = `${connectTimeout}/${firstByteTimeout}/${idleTimeout}`;
+  if (!upstreamAgents.has(key)) {
+    upstreamAgents.set(key, new Agent({
+      connect: { lookup: guardedLookup, timeout: connectTimeout },
+      headersTimeout: firstByteTimeout,
+      bodyTimeout: idleTimeout,
+    }));
+  }
+  return upstreamAgents.get(key);
+}
+
+// undici wraps socket errors in a TypeError('fetch failed')
+function errorCode(err) {
+  return err?.cause?.code || err?.code || null;
+}
+
+function retryAfterMs(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Retry-After when given (null = longer than the policy allows), else exponential backoff with jitter
+function retryDelay(attempt, retryAfter, { retryBaseDelay, retryMaxDelay }) {
+  const hinted = retryAfterMs(retryAfter);
+  if (hinted !== null) return hinted <= retryMaxDelay ? hinted : null;
+  return Math.min(retryMaxDelay, retryBaseDelay * 2 ** attempt) * (0.5 + Math.random() / 2);
+}
+
+/**
+ * fetchUpstream under the retry policy. onRetry({ attempt, reason, delay }) is called before
+ * each repeat; the last response is returned (or its error thrown) once the policy gives up.
+ */
+async function fetchWithRetries(url, init, policy, onRetry = () => {}) {
+  for (let attempt = 0; ; attempt++) {
+    let res = null;
+    let error = null;
+    try {
+      res = await fetchUpstream(url, init, policy);
+    } catch (e) {
+      error = e;
+    }
+
+    const reason = error
+      ? (RETRY_ERROR_CODES.includes(errorCode(error)) ? errorCode(error) : null)
+      : (RETRY_STATUSES.includes(res.status) ? String(res.status) : null);
+    const delay = reason && attempt < policy.maxRetries && !init.signal?.aborted
+      ? retryDelay(attempt, res?.headers.get('retry-after'), policy)
+      : null;
+    if (delay === null) {
+      if (error) throw error;
+      return res;
+    }
+
+    await res?.body?.cancel().catch(() => {});
+    onRetry({ attempt: attempt + 1, reason, delay: Math.round(delay) });
+    await sleep(delay, undefined, { signal: init.signal });
+  }
+}
+
+/**
+ * Client-facing { status, error } (OpenAI error shape) for a failed upstream exchange.
+ */
+function upstreamFailure(err) {
+  const blocked = [err, err?.cause].find((e) => e?.code === 'ESSRFBLOCKED');
+  if (blocked) {
+    return { status: 403, error: { message: `Access denied: ${blocked.message}`, type: 'security_error', param: null, code: 'upstream_blocked' } };
+  }
+  const timeout = UPSTREAM_TIMEOUTS[errorCode(err)];
+  if (timeout) return { status: 504, error: { message: timeout.message, type: 'timeout_error', param: null, code: timeout.code } };
+  const detail = err?.cause?.message ? `${err.message} (${err.cause.message})` : err?.message;
+  return { status: 502, error: { message: detail, type: 'proxy_error', param: null, code: errorCode(err) ? 'upstream_unreachable' : null } };
+}
+
+// ============ Tool-call dialects ============
+// A dialect defines how tools are offered to and called by the model: the marker set,
+// how calls and results are written into the conversation, the prompt wording and the
+// parser syntax.
+//   delimited - TC_START NAME_START name NAME_END ARGS_START {json} ARGS_END TC_END
+//   json      - TC_START {"name": ..., "arguments": {...}} (TC_END optional)
+// Built in: unicode (random rare-glyph markers, default), xml, json-line. More can be
+// loaded from TOOL_DIALECT_DIR (one JSON file per dialect, see loadDialectFiles).
+const TOOL_DIALECT_DIR = process.env.TOOL_DIALECT_DIR || '';
+const TOOL_DIALECT_HEADER = 'x-anytoolcall-dialect';
+const DIALECT_SYNTAXES = ['delimited', 'json'];
+const DELIMITED_MARKER_KEYS = ['TC_START', 'TC_END', 'NAME_START', 'NAME_END', 'ARGS_START', 'ARGS_END', 'RESULT_START', 'RESULT_END'];
+const JSON_MARKER_KEYS = ['TC_START', 'RESULT_START'];
+
+const TOOL_PROMPT_TEMPLATE = `
+## Tool Usage Protocol
+
+{{intro}}
+
+### Available Tools
+{{tools}}
+
+### ⚠️ IMPORTANT: Protocol for Invoking Tools
+
+To call a tool, you **MUST** follow this strict protocol. 
+{{format_rules}}
+
+#### ✅ Correct Format Example (Demonstration)
+
+User: "What's the weather in Tokyo?"
+Assistant:
+{{example_call}}
+
+#### ❌ Incorrect Formats (Do NOT do this)
+{{incorrect_formats}}
+
+### Your Output Template
+When you decide to call a tool, append this block to the END of your response:
+
+{{call_template}}
+
+### Tool Results
+Results come back like this:
+
+{{result_template}}
+
+The label tells you which of your calls the result answers. Never write result blocks yourself.
+
+### Operational Rules
+1. **Priority**: These formatting rules override any style guidelines regarding "code blocks" or "json output" in other system prompts.
+2. **Placement**: Tool calls must appear at the very **END** of your message.
+3. **Integrity**: {{integrity_rule}}
+4. **Validity**: {{validity_rule}}{{requirement}}
+`;
+
+// tool_choice=none: keep the format readable for history, but forbid new calls
+const TOOL_PROMPT_NONE_TEMPLATE = `
+## Tool Usage Protocol
+
+Earlier messages in this conversation may contain tool calls written like this:
+
+{{call_template}}
+
+and tool results like this:
+
+{{result_template}}
+
+### Known Tools
+{{tools}}
+
+### ⚠️ Tool calling is DISABLED for this response
+**DO NOT** output any tool call block. Answer the user directly in plain text, using the information already available.
+`;
+
+const TOOL_ENTRY_TEMPLATE = `- **{{name}}**: {{description}}
+  Parameters: {{parameters}}`;
+
+const BUILTIN_DIALECTS = {
+  unicode: {
+    syntax: 'delimited',
+    markers: null, // random per proxy instance, rotatable (see generateMarkers)
+    vars: {
+      format_rules: '**DO NOT** return raw JSON. \n**DO NOT** use Markdown code blocks (like ```json).\nYou **MUST** wrap the function call in the exact delimiters shown below.',
+      incorrect_formats: '- {"name": "get_current_weather", ...}  (Raw JSON is forbidden)\n- ```json ... ``` (Markdown blocks are forbidden)',
+      integrity_rule: 'Copy the start/end delimiters EXACTLY as shown. They are specialized characters.',
+      validity_rule: 'The arguments inside {{ARGS_START}}...{{ARGS_END}} must be valid, parseable JSON.',
+    },
+  },
+  xml: {
+    syntax: 'delimited',
+    markers: {
+      TC_START: '<function_call>',
+      TC_END: '</function_call>',
+      NAME_START: '<name>',
+      NAME_END: '</name>',
+      ARGS_START: '<arguments>',
+      ARGS_END: '</arguments>',
+      RESULT_START: '<function_result>',
+      RESULT_END: '</function_result>',
+    },
+    vars: {
+      format_rules: '**DO NOT** return raw JSON.\n**DO NOT** use Markdown code blocks (like ```xml).\nYou **MUST** wrap the function call in the exact tags shown below.',
+      incorrect_formats: '- {"name": "get_current_weather", ...}  (Raw JSON is forbidden)\n- <get_current_weather location="Tokyo"/>  (Invented tags are forbidden)',
+      integrity_rule: 'Use the tag names EXACTLY as shown, without attributes.',
+      validity_rule: 'The content of {{ARGS_START}}...{{ARGS_END}} must be valid, parseable JSON (not nested XML).',
+    },
+  },
+  'json-line': {
+    syntax: 'json',
+    markers: { TC_START: 'TOOL_CALL:', RESULT_START: 'TOOL_RESULT:' },
+    vars: {
+      format_rules: '**DO NOT** use Markdown code blocks (like ```json).\nYou **MUST** write each call on its own line: {{TC_START}} followed by one JSON object with "name" and "arguments".',
+      incorrect_formats: '- {"name": "get_current_weather", ...}  (JSON without the {{TC_START}} prefix is ignored)\n- ```json ... ``` (Markdown blocks are forbidden)',
+      integrity_rule: 'Start every call line with {{TC_START}} EXACTLY as shown, one call per line.',
+      validity_rule: 'The object after {{TC_START}} must be valid, parseable JSON with "name" and "arguments" keys.',
+    },
+  },
+};
+
+const TOOL_DIALECTS = {};
+// model name patterns -> dialect, first match wins (TOOL_DIALECT_MODELS before dialect files)
+const DIALECT_MODEL_RULES = [];
+
+// JSON has no multi-line strings: templates may also be given as arrays of lines
+function templateText(value, fallback) {
+  if (value == null) return fallback;
+  return Array.isArray(value) ? value.join('\n') : String(value);
+}
+
+// {{key}} placeholders; unknown keys are left as written
+function renderTemplate(template, vars) {
+  return template.replace(/\{\{(\w+)\}\}/g, (all, key) => (key in vars ? String(vars[key]) : all));
+}
+
+function globMatches(pattern, value) {
+  const re = new RegExp(`^${pattern.split('*').map((p) => p.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`, 'i');
+  return re.test(value);
+}
+
+// "pattern=value,pattern=value" env lists (TOOL_DIALECT_MODELS, TOOL_MODE_HOSTS, ...)
+function parsePatternRules(envName) {
+  const rules = [];
+  for (const entry of String(process.env[envName] || '').split(',').map((s) => s.trim()).filter(Boolean)) {
+    const eq = entry.lastIndexOf('=');
+    if (eq <= 0) throw new Error(`${envName}: expected pattern=value, got "${entry}"`);
+    rules.push({ pattern: entry.slice(0, eq).trim(), value: entry.slice(eq + 1).trim() });
+  }
+  return rules;
+}
+
+/**
+ * Complete a dialect spec on top of `base`: markers, syntax, prompt templates and
+ * template vars are inherited unless given.
+ */
+function defineDialect(name, spec, base = null) {
+  const syntax = spec.syntax || base?.syntax || 'delimited';
+  if (!DIALECT_SYNTAXES.includes(syntax)) throw new Error(`dialect "${name}": unknown syntax "${syntax}"`);
+
+  let markers = base && base.syntax === syntax ? base.markers : null;
+  if (spec.markers) markers = { ...(markers || {}), ...spec.markers };
+  if (markers || syntax === 'json') {
+    const required = syntax === 'json' ? JSON_MARKER_KEYS : DELIMITED_MARKER_KEYS;
+    const absent = required.filter((k) => typeof markers?.[k] !== 'string' || !markers[k]);
+    if (absent.length > 0) throw new Error(`dialect "${name}": missing markers ${absent.join(', ')}`);
+  }
+
+  const vars = { ...(base?.vars || {}) };
+  for (const [key, value] of Object.entries(spec.vars || {})) vars[key] = templateText(value);
+
+  return {
+    name,
+    syntax,
+    markers, // null = random markers, rotated on collision
+    vars,
+    prompt: templateText(spec.prompt, base?.prompt ?? TOOL_PROMPT_TEMPLATE),
+    promptNone: templateText(spec.prompt_none, base?.promptNone ?? TOOL_PROMPT_NONE_TEMPLATE),
+    toolTemplate: templateText(spec.tool_template, base?.toolTemplate ?? TOOL_ENTRY_TEMPLATE),
+  };
+}
+
+/**
+ * TOOL_DIALECT_DIR/*.json, loaded in name order. Fields (all optional):
+ *   name         - defaults to the file name
+ *   extends      - dialect to start from (default unicode)
+ *   syntax       - delimited | json
+ *   markers      - fixed marker set (missing keys come from a fixed-marker base)
+ *   models       - model name patterns (* wildcard) that use this dialect
+ *   prompt, prompt_none, tool_template - templates, string or array of lines
+ *   vars         - values for {{placeholders}} used by the templates
+ * A broken file stops the proxy at startup.
+ */
+function loadDialectFiles(dir) {
+  if (!dir) return;
+  const files = fs.readdirSync(dir).filter((f) => f.endsWith('.json')).sort();
+  for (const file of files) {
+    let spec;
+    try {
+      spec = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    } catch (e) {
+      throw new Error(`dialect file ${file}: ${e.message}`);
+    }
+    const name = spec.name || path.basename(file, '.json');
+    const base = TOOL_DIALECTS[spec.extends || 'unicode'];
+    if (!base) throw new Error(`dialect file ${file}: unknown base dialect "${spec.extends}"`);
+    TOOL_DIALECTS[name] = defineDialect(name, spec, base);
+    for (const pattern of [].concat(spec.models || [])) DIALECT_MODEL_RULES.push({ pattern, dialect: name });
+  }
+}
+
+for (const [name, spec] of Object.entries(BUILTIN_DIALECTS)) TOOL_DIALECTS[name] = defineDialect(name, spec);
+
+// TOOL_DIALECT_MODELS=qwen*=xml,llama-3*=json-line
+for (const { pattern, value } of parsePatternRules('TOOL_DIALECT_MODELS')) DIALECT_MODEL_RULES.push({ pattern, dialect: value });
+loadDialectFiles(TOOL_DIALECT_DIR);
+
+const DEFAULT_DIALECT = process.env.TOOL_DIALECT || 'unicode';
+for (const name of [DEFAULT_DIALECT, ...DIALECT_MODEL_RULES.map((r) => r.dialect)]) {
+  if (!TOOL_DIALECTS[name]) throw new Error(`unknown tool dialect "${name}"`);
+}
+
+/**
+ * Dialect for one request: the x-anytoolcall-dialect header, then the first model
+ * pattern that matches, then `fallback` (TOOL_DIALECT). Returns null for an unknown header value.
+ */
+function selectDialect({ header, model, fallback = DEFAULT_DIALECT }) {
+  if (header) return TOOL_DIALECTS[header] || null;
+  const rule = model ? DIALECT_MODEL_RULES.find((r) => globMatches(r.pattern, model)) : null;
+  return TOOL_DIALECTS[rule ? rule.dialect : fallback];
+}
+
+// ============ AnyToolCall Delimiters ============
+const DELIMITER_SETS = [
+  { open: '༒', close: '༒', mid: '࿇' },
+  { open: '꧁', close: '꧂', mid: '࿔' },
+  { open: '᎒', close: '᎒', mid: '᎓' },
+  { open: 'ꆈ', close: 'ꆈ', mid: 'ꊰ' },
+  { open: '꩜', close: '꩜', mid: '꩟' },
+  { open: 'ꓸ', close: 'ꓸ', mid: 'ꓹ' },
+];
+
+const SUFFIX_POOL = [
+  '龘', '靐', '齉', '麤', '爨', '驫', '鱻', '羴', '犇', '骉',
+  '飝', '厵', '靇', '飍', '馫', '灥', '厽', '叒', '叕', '芔',
+];
+
+function unicodeMarkers({ open, close, mid }, suffix1, suffix2) {
+  return {
+    TC_START: `${open}${suffix1}ᐅ`,
+    TC_END: `ᐊ${suffix1}${close}`,
+    NAME_START: `${mid}▸`,
+    NAME_END: `◂${mid}`,
+    ARGS_START: `${mid}▹`,
+    ARGS_END: `◃${mid}`,
+    RESULT_START: `${open}${suffix2}⟫`,
+    RESULT_END: `⟪${suffix2}${close}`,
+  };
+}
+
+class ToolCallDelimiter {
+  constructor(dialect = TOOL_DIALECTS[DEFAULT_DIALECT]) {
+    this.dialect = dialect;
+    this.markers = dialect.markers ? { ...dialect.markers } : this.generateMarkers();
+  }
+
+  generateMarkers() {
+    const set = DELIMITER_SETS[Math.floor(Math.random() * DELIMITER_SETS.length)];
+    const suffix1 = SUFFIX_POOL[Math.floor(Math.random() * SUFFIX_POOL.length)];
+    const suffix2 = SUFFIX_POOL[Math.floor(Math.random() * SUFFIX_POOL.length)];
+    return unicodeMarkers(set, suffix1, suffix2);
+  }
+
+  // random markers can be swapped for a fresh set; fixed ones (xml, json-line, files) cannot
+  get rotatable() {
+    return !this.dialect.markers;
+  }
+
+  // Markers untrusted text may not contain (see neutralizeMarkers). Fixed markers are ordinary
+  // tags and words (<name>, TOOL_CALL:), so only those that open a call or open/close a
+  // result count, and with the json syntax only in front of a JSON object.
+  get spoofGuard() {
+    if (this.rotatable) return { markers: this.markers, jsonFrames: false };
+    const { TC_START, RESULT_START, RESULT_END } = this.markers;
+    return { markers: { TC_START, RESULT_START, RESULT_END }, jsonFrames: this.dialect.syntax === 'json' };
+  }
+
+  describe() {
+    return Object.entries(this.markers)
+      .map(([k, v]) => `  ${k}: "${v}"`)
+      .join('\n');
+  }
+
+  // a call as the model is expected to write it (args: JSON text)
+  encodeCall(name, args) {
+    const m = this.markers;
+    if (this.dialect.syntax === 'json') {
+      const call = JSON.stringify({ name, arguments: isJsonText(args) ? JSON.parse(args) : args });
+      return `${m.TC_START} ${call}${m.TC_END || ''}`;
+    }
+    return `${m.TC_START}\n${m.NAME_START}${name}${m.NAME_END}\n${m.ARGS_START}${args}${m.ARGS_END}\n${m.TC_END}`;
+  }
+
+  encodeResult(label, result) {
+    const m = this.markers;
+    if (this.dialect.syntax === 'json') {
+      const content = isJsonText(result) ? JSON.parse(result) : result;
+      return `${m.RESULT_START} ${JSON.stringify({ call: label, content })}${m.RESULT_END || ''}`;
+    }
+    return `${m.RESULT_START}[${label}]\n${result}${m.RESULT_END}`;
+  }
+
+  // schema: full | compact | typescript (see renderToolParameters)
+  getSystemPrompt(tools, toolChoice = { mode: 'auto' }, { schema = TOOL_SCHEMA } = {}) {
+    const { dialect } = this;
+    const toolList = tools.map((t) => renderTemplate(dialect.toolTemplate, {
+      name: t.function.name,
+      description: t.function.description || 'No description',
+      parameters: renderToolParameters(t.function.parameters, schema),
+    })).join('\n');
+
+    // 生成一个虚拟的示例，引导模型理解格式
+    // 使用通用示例避免模型产生特定工具的幻觉，同时强化格式记忆
+    const exampleToolName = "get_current_weather";
+    const exampleArgs = '{"location": "Tokyo", "unit": "celsius"}';
+
+    let intro = 'You are equipped with the following functional tools. You must use them to fulfill user requests when appropriate.';
+    let requirement = '';
+    if (toolChoice.mode === 'required') {
+      intro = 'You are equipped with the following functional tools. For this response you are REQUIRED to call at least one of them.';
+      requirement = '\n5. **Requirement**: This response MUST contain at least one tool call block. A reply without one is invalid.';
+    } else if (toolChoice.mode === 'function') {
+      intro = `You are equipped with the following functional tool. For this response you are REQUIRED to call \`${toolChoice.name}\`.`;
+      requirement = `\n5. **Requirement**: This response MUST contain a tool call block for \`${toolChoice.name}\`. Do not call any other tool.`;
+    }
+
+    const vars = {
+      ...this.markers,
+      intro,
+      requirement,
+      tool_choice: toolChoice.mode,
+      tools: toolList,
+      example_call: this.encodeCall(exampleToolName, exampleArgs),
+      call_template: this.encodeCall('function_name', '{"param_key": "param_value"}'),
+      result_template: this.encodeResult('function_name(arguments) id=call_id', '...'),
+    };
+    for (const [key, value] of Object.entries(dialect.vars)) vars[key] = renderTemplate(value, vars);
+
+    const template = toolChoice.mode === 'none' ? dialect.promptNone : dialect.prompt;
+    return renderTemplate(template, vars).trim();
+  }
+
+  /**
+   * Extract tool calls from a complete message. Shares the tolerant pipeline of
+   * ToolCallStreamParser; `repairs` lists what had to be fixed per call.
+   */
+  parse(content, options = {}) {
+    const parser = new ToolCallStreamParser(this.markers, { syntax: this.dialect.syntax, ...options, bufferArgs: true });
+    const events = [...parser.push(content || ''), ...parser.end()];
+
+    let text = '';
+    const toolCalls = [];
+    const invalidCalls = []; // blocks whose arguments are not JSON even after repair
+    const repairs = [];
+
+    for (const ev of events) {
+      if (ev.type === 'text') {
+        text += ev.text;
+      } else if (ev.type === 'call_end') {
+        const call = { id: ev.id, type: 'function', function: { name: ev.name, arguments: ev.arguments } };
+        if (ev.repairs.length > 0) repairs.push({ tool_call_id: ev.id, name: ev.name, repairs: ev.repairs });
+        if (ev.valid) toolCalls.push(call);
+        else invalidCalls.push({ call, error: ev.error });
+      }
+    }
+
+    return { toolCalls, cleanContent: text.trim(), invalidCalls, repairs };
+  }
+}
+
+// ============ Lenient parsing ============
+// Alternative call syntaxes recognized in addition to the delimiters (opt-in):
+//   tool_call_tag - <tool_call>{"name": ..., "arguments": ...}</tool_call>
+//   bare_json     - a {"name": ..., "arguments": ...} object (optionally ```json fenced) at
+//                   the start of a line, naming one of the request's tools
+const TOOL_PARSE_FALLBACKS = String(process.env.TOOL_PARSE_FALLBACKS || '')
+  .split(',')
+  .map((s) => s.trim())
+  .filter(Boolean);
+// incremental: arguments stream as written; buffered: sent once, after repair
+const STREAM_TOOL_ARGS = process.env.STREAM_TOOL_ARGS === 'buffered' ? 'buffered' : 'incremental';
+
+const TOOL_CALL_TAG_OPEN = '<tool_call>';
+const TOOL_CALL_TAG_CLOSE = '</tool_call>';
+
+// Glyphs models commonly substitute for the arrows/brackets used in markers
+const MARKER_LOOKALIKES = {
+  '▸': '►▶‣', '◂': '◄◀', '▹': '▻▷', '◃': '◅◁',
+  'ᐅ': 'ᐳ', 'ᐊ': 'ᐸ', '⟫': '》≫»', '⟪': '《≪«',
+};
+const LOOKALIKE_FOLD = new Map(
+  Object.entries(MARKER_LOOKALIKES).flatMap(([canon, alts]) => [...alts].map((alt) => [alt, canon]))
+);
+const foldCache = new Map();
+
+/**
+ * Map every UTF-16 unit to a canonical form (NFKC when that stays one unit, then the
+ * lookalike table), so markers can be located with indexOf while indexes still line up
+ * with the original text.
+ */
+function foldMarkerText(text) {
+  let out = '';
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    let f = foldCache.get(c);
+    if (f === undefined) {
+      const n = c.normalize('NFKC');
+      f = n.length === 1 ? n : c;
+      f = LOOKALIKE_FOLD.get(f) || f;
+      foldCache.set(c, f);
+    }
+    out += f;
+  }
+  return out;
+}
+
+function isJsonText(text) {
+  try {
+    JSON.parse(text);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Single string-aware pass fixing the usual near-JSON mistakes: single quotes, raw
+ * newlines in strings, unquoted keys, Python literals, trailing commas, text around the
+ * value and truncation (open strings/brackets are closed). For input that is merely
+ * truncated the result is the input plus a suffix.
+ */
+function rewriteJsonish(text, note) {
+  const start = text.search(/[{[]/);
+  if (start === -1) return text;
+  if (start > 0) {
+    note('leading_text');
+    text = text.slice(start);
+  }
+
+  let out = '';
+  const stack = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const c = text[i];
+
+    if (c === '"' || c === "'") {
+      if (c === "'") note('single_quotes');
+      let j = i + 1;
+      let str = '';
+      let closed = false;
+      while (j < text.length) {
+        const d = text[j];
+        if (d === '\\') {
+          const next = text[j + 1];
+          str += c === "'" && next === "'" ? "'" : d + (next ?? '');
+          j += 2;
+          continue;
+        }
+        if (d === c) {
+          closed = true;
+          break;
+        }
+        if (d === '"') str += '\\"';
+        else if (d === '\n' || d === '\r' || d === '\t') {
+          str += { '\n': '\\n', '\r': '\\r', '\t': '\\t' }[d];
+          note('control_chars');
+        } else str += d;
+        j++;
+      }
+      out += `"${str}"`;
+      if (!closed) {
+        note('truncated');
+        break;
+      }
+      i = j + 1;
+      continue;
+    }
+
+    if (c === '{' || c === '[') {
+      stack.push(c === '{' ? '}' : ']');
+      out += c;
+      i++;
+      continue;
+    }
+
+    if (c === '}' || c === ']') {
+      if (/,\s*$/.test(out)) {
+        out = out.replace(/,\s*$/, '');
+        note('trailing_comma');
+      }
+      if (stack[stack.length - 1] === c) stack.pop();
+      out += c;
+      i++;
+      if (stack.length === 0) {
+        if (text.slice(i).trim()) note('trailing_text');
+        return out;
+      }
+      continue;
+    }
+
+    const word = /^[A-Za-z_$][\w$]*/.exec(text.slice(i))?.[0];
+    if (word) {
+      if (text.slice(i + word.length).trimStart().startsWith(':')) {
+        out += JSON.stringify(word);
+        note('unquoted_keys');
+      } else if (word in { True: 1, False: 1, None: 1 }) {
+        out += { True: 'true', False: 'false', None: 'null' }[word];
+        note('python_literals');
+      } else {
+        out += word;
+      }
+      i += word.length;
+      continue;
+    }
+
+    out += c;
+    i++;
+  }
+
+  if (stack.length > 0) {
+    note('truncated');
+    out = out.replace(/,\s*$/, '');
+    out = out.replace(/([{,])\s*"(?:[^"\\]|\\.)*"\s*$/, '$1').replace(/,\s*$/, ''); // dangling key
+    if (/:\s*$/.test(out)) out += 'null';
+    out += stack.reverse().join('');
+  }
+  return out;
+}
+
+/**
+ * Repair tool-call arguments. Returns { ok, text, repairs }; `text` is the original
+ * (trimmed) when nothing helped.
+ */
+function repairJsonText(raw) {
+  const repairs = [];
+  const note = (r) => {
+    if (!repairs.includes(r)) repairs.push(r);
+  };
+
+  let text = String(raw || '').trim();
+  if (!text) return { ok: true, text: '{}', repairs: ['empty_arguments'] };
+  if (isJsonText(text)) return { ok: true, text, repairs };
+
+  const fence = text.match(/^```[\w-]*[^\S\n]*\n?([\s\S]*?)(?:\n?```\s*)?$/);
+  if (fence) {
+    text = fence[1].trim();
+    note('code_fence');
+    if (isJsonText(text)) return { ok: true, text, repairs };
+  }
+
+  const rewritten = rewriteJsonish(text, note);
+  if (isJsonText(rewritten)) return { ok: true, text: rewritten, repairs };
+  return { ok: false, text: String(raw || '').trim(), repairs: [] };
+}
+
+/**
+ * Parse a JSON-shaped call ({"name", "arguments" | "parameters"}) used by the fallback syntaxes.
+ */
+function parseJsonToolCall(text) {
+  const repaired = repairJsonText(text);
+  if (!repaired.ok) return null;
+
+  const obj = JSON.parse(repaired.text);
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return null;
+  if (typeof obj.name !== 'string' || !obj.name) return null;
+  if (Object.keys(obj).some((k) => !['name', 'arguments', 'parameters', 'type', 'id'].includes(k))) return null;
+
+  let args = obj.arguments ?? obj.parameters ?? {};
+  if (typeof args === 'string') {
+    const inner = repairJsonText(args);
+    if (!inner.ok) return null;
+    args = JSON.parse(inner.text);
+  }
+  return { name: obj.name, arguments: JSON.stringify(args), repairs: repaired.repairs };
+}
+
+// End index (exclusive) of the balanced JSON object starting at text[0], or -1
+function findJsonObjectEnd(text) {
+  let depth = 0;
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quote) {
+      if (c === '\\') i++;
+      else if (c === quote) quote = null;
+    } else if (c === '"' || c === "'") {
+      quote = c;
+    } else if (c === '{' || c === '[') {
+      depth++;
+    } else if (c === '}' || c === ']') {
+      depth--;
+      if (depth === 0) return i + 1;
+    }
+  }
+  return -1;
+}
+
+// ============ Delimiter spoofing protection ============
+// collision: pick a fresh marker set for a request whose content contains the current one
+// always:    fresh marker set for every request
+// off:       always use the proxy instance's set (content is still neutralized)
+const MARKER_ROTATION = ['always', 'off'].includes(process.env.MARKER_ROTATION) ? process.env.MARKER_ROTATION : 'collision';
+const MARKER_ROTATION_ATTEMPTS = 20;
+const MARKER_PLACEHOLDER = '[filtered]';
+
+/**
+ * Spans of `text` the parser would read as one of `markers` (exact, NFKC or lookalike
+ * variants), sorted and without overlaps. With jsonFrames a marker only counts when a JSON
+ * object follows it, as the json syntax requires.
+ */
+function findMarkerSpans(text, markers, jsonFrames = false) {
+  if (typeof text !== 'string' || !text) return [];
+  const folded = foldMarkerText(text);
+  const spans = [];
+  for (const marker of Object.values(markers)) {
+    if (!marker) continue;
+    const f = foldMarkerText(marker);
+    for (let i = folded.indexOf(f); i !== -1; i = folded.indexOf(f, i + f.length)) {
+      if (jsonFrames && !/^\s*\{/.test(text.slice(i + f.length))) continue;
+      spans.push([i, i + f.length]);
+    }
+  }
+  spans.sort((a, b) => a[0] - b[0]);
+  return spans.filter((span, i) => i === 0 || span[0] >= spans[i - 1][1]);
+}
+
+/**
+ * Replace marker sequences in untrusted text (tool results, user and earlier assistant
+ * messages) so it can neither forge a tool call nor close a result block early.
+ * `guard` is the delimiter's spoofGuard: which markers count, and how.
+ */
+function neutralizeMarkers(text, { markers, jsonFrames }) {
+  const spans = findMarkerSpans(text, markers, jsonFrames);
+  if (spans.length === 0) return text;
+  let out = '';
+  let pos = 0;
+  for (const [start, end] of spans) {
+    out += text.slice(pos, start) + MARKER_PLACEHOLDER;
+    pos = end;
+  }
+  return out + text.slice(pos);
+}
+
+// Text parts of content that can be neutralized in place (chat, Anthropic, Gemini, Responses parts)
+function neutralizeContent(content, guard) {
+  if (typeof content === 'string') return neutralizeMarkers(content, guard);
+  if (!Array.isArray(content)) return content;
+  return content.map((part) => (typeof part?.text === 'string' ? { ...part, text: neutralizeMarkers(part.text, guard) } : part));
+}
+
+// Everything in a chat request that did not come from the client's system prompt
+function untrustedTexts(messages) {
+  const texts = [];
+  for (const msg of messages || []) {
+    if (msg?.role === 'system') continue;
+    if (typeof msg.content === 'string') texts.push(msg.content);
+    else if (Array.isArray(msg.content)) texts.push(...msg.content.map((p) => p?.text).filter((t) => typeof t === 'string'));
+    else if (msg.content && typeof msg.content === 'object') texts.push(JSON.stringify(msg.content));
+    for (const tc of msg.tool_calls || []) texts.push(tc.function?.name || '', tc.function?.arguments || '');
+  }
+  return texts;
+}
+
+/**
+ * Marker set for one request: `shared` (the proxy instance's delimiter for the dialect)
+ * unless rotation applies. A rotated set that still collides after MARKER_ROTATION_ATTEMPTS
+ * is used anyway - neutralization covers what is left, as it does for fixed markers.
+ */
+function delimiterForRequest(messages, shared, rotation = MARKER_ROTATION) {
+  if (rotation === 'off' || !shared.rotatable) return shared;
+  const texts = untrustedTexts(messages);
+  const collides = (d) => texts.some((t) => findMarkerSpans(t, d.markers).length > 0);
+  if (rotation === 'collision' && !collides(shared)) return shared;
+
+  let candidate = null;
+  for (let i = 0; i < MARKER_ROTATION_ATTEMPTS; i++) {
+    candidate = new ToolCallDelimiter(shared.dialect);
+    if (!collides(candidate)) break;
+  }
+  return candidate;
+}
+
+// ============ Incremental tool-call parser ============
+
+// Index where `text` stops being safe to emit because it ends with a prefix of `marker`
+function findPartialMatchEndIndex(text, marker) {
+  for (let i = Math.min(marker.length - 1, text.length); i > 0; i--) {
+    if (text.endsWith(marker.slice(0, i))) {
+      return text.length - i;
+    }
+  }
+  return text.length;
+}
+
+/**
+ * Tolerant tool-call parser for streamed text (ToolCallDelimiter.parse runs it over a
+ * whole message). push(text) / end() return events in stream order:
+ *   { type: 'text', text }
+ *   { type: 'call_start', index, id, name }     - as soon as NAME_END is seen
+ *   { type: 'args_delta', index, delta }        - while the model writes the arguments
+ *                                                 (once, after repair, with bufferArgs)
+ *   { type: 'call_end', index, id, name, arguments, valid, error, repairs }
+ * Text that could be the beginning of a marker is held back until it can be decided.
+ *
+ * Tolerated: lookalike/NFKC-variant marker glyphs, ```json fences around arguments,
+ * missing ARGS_END/TC_END, near-JSON arguments (see repairJsonText) and, opt-in, the
+ * fallback syntaxes in TOOL_PARSE_FALLBACKS. Each call_end reports the repairs applied.
+ */
+class ToolCallStreamParser {
+  constructor(markers, { syntax = 'delimited', fallbacks = TOOL_PARSE_FALLBACKS, toolNames = null, bufferArgs = false } = {}) {
+    this.markers = markers;
+    this.folded = Object.fromEntries(Object.entries(markers).map(([k, v]) => [k, foldMarkerText(v)]));
+    this.syntax = syntax;
+    this.fallbacks = new Set(fallbacks);
+    this.toolNames = toolNames ? new Set(toolNames) : null;
+    this.bufferArgs = bufferArgs;
+    this.state = 'text'; // text -> name -> args_open -> args -> close -> text; text -> json | tagged | bare -> text
+    this.buffer = '';
+    this.callCount = 0;
+    this.current = null;
+    this.blockStart = ''; // raw text of the TC_START that opened the current block
+    this.blockRepairs = [];
+    this.afterCall = false; // drop whitespace between consecutive blocks
+    this.lineStart = true;  // emitted text so far ends at a line boundary
+  }
+
+  push(text) {
+    this.buffer += text;
+    return this.drain(false);
+  }
+
+  end() {
+    return this.drain(true);
+  }
+
+  drain(final) {
+    const events = [];
+    while (this[`step_${this.state}`](events, final));
+    return events;
+  }
+
+  note(repair) {
+    const list = this.current ? this.current.repairs : this.blockRepairs;
+    if (!list.includes(repair)) list.push(repair);
+  }
+
+  // record a lookalike match of marker `key` found at text[idx]
+  checkVariant(text, idx, key) {
+    if (text.slice(idx, idx + this.markers[key].length) !== this.markers[key]) this.note('marker_variant');
+  }
+
+  emitText(events, text) {
+    if (!text) return;
+    events.push({ type: 'text', text });
+    this.lineStart = /\n[^\S\n]*$/.test(text);
+  }
+
+  // first line-initial "{" or "```" in the buffer (bare_json candidates)
+  findBareJsonStart() {
+    const re = /(^|\n)[^\S\n]*(\{|```)/g;
+    let m;
+    while ((m = re.exec(this.buffer)) !== null) {
+      if (m.index === 0 && m[1] === '' && !this.lineStart) continue;
+      return m.index + m[0].length - m[2].length;
+    }
+    return -1;
+  }
+
+  step_text(events, final) {
+    if (this.afterCall) {
+      this.buffer = this.buffer.trimStart();
+      if (!this.buffer) return false;
+      this.afterCall = false;
+      this.lineStart = true;
+    }
+
+    const folded = foldMarkerText(this.buffer);
+    const candidates = [];
+    const delimited = folded.indexOf(this.folded.TC_START);
+    if (delimited !== -1) candidates.push([delimited, this.syntax === 'json' ? 'json' : 'name']);
+    if (this.fallbacks.has('tool_call_tag')) {
+      const tagged = this.buffer.indexOf(TOOL_CALL_TAG_OPEN);
+      if (tagged !== -1) candidates.push([tagged, 'tagged']);
+    }
+    if (this.fallbacks.has('bare_json') && this.toolNames) {
+      const bare = this.findBareJsonStart();
+      if (bare !== -1) candidates.push([bare, 'bare']);
+    }
+
+    if (candidates.length > 0) {
+      const [idx, next] = candidates.sort((a, b) => a[0] - b[0])[0];
+      this.emitText(events, this.buffer.slice(0, idx));
+      this.blockRepairs = [];
+      if (next === 'name' || next === 'json') {
+        this.checkVariant(this.buffer, idx, 'TC_START');
+        this.blockStart = this.buffer.slice(idx, idx + this.markers.TC_START.length);
+        this.buffer = this.buffer.slice(idx + this.markers.TC_START.length);
+      } else if (next === 'tagged') {
+        this.buffer = this.buffer.slice(idx + TOOL_CALL_TAG_OPEN.length);
+      } else {
+        this.buffer = this.buffer.slice(idx);
+      }
+      this.state = next;
+      return true;
+    }
+
+    let safeEnd = this.buffer.length;
+    if (!final) {
+      safeEnd = findPartialMatchEndIndex(folded, this.folded.TC_START);
+      if (this.fallbacks.has('tool_call_tag')) {
+        safeEnd = Math.min(safeEnd, findPartialMatchEndIndex(this.buffer, TOOL_CALL_TAG_OPEN));
+      }
+      if (this.fallbacks.has('bare_json') && this.toolNames) {
+        const tick = /(^|\n)[^\S\n]*`{1,2}$/.exec(this.buffer.slice(0, safeEnd));
+        if (tick) safeEnd = tick.index + tick[1].length;
+      }
+    }
+    this.emitText(events, this.buffer.slice(0, safeEnd));
+    this.buffer = this.buffer.slice(safeEnd);
+    return false;
+  }
+
+  step_name(events, final) {
+    const m = this.folded;
+    const s = this.buffer.trimStart();
+    const fs = foldMarkerText(s);
+
+    if (!fs.startsWith(m.NAME_START)) {
+      if (!final && m.NAME_START.startsWith(fs)) return false;
+      return this.abortBlock(events);
+    }
+
+    const end = fs.indexOf(m.NAME_END, m.NAME_START.length);
+    if (end === -1) {
+      // a name is short and single-line; anything else is not a block
+      if (final || fs.includes(m.TC_END) || s.length > 256) return this.abortBlock(events);
+      return false;
+    }
+
+    const name = s.slice(m.NAME_START.length, end).trim();
+    if (!name || name.includes('\n')) return this.abortBlock(events);
+
+    this.checkVariant(s, 0, 'NAME_START');
+    this.checkVariant(s, end, 'NAME_END');
+    this.startCall(events, name);
+    this.buffer = s.slice(end + m.NAME_END.length);
+    this.state = 'args_open';
+    return true;
+  }
+
+  step_args_open(events, final) {
+    const m = this.folded;
+    const s = this.buffer.trimStart();
+    const fs = foldMarkerText(s);
+
+    if (fs.startsWith(m.ARGS_START)) {
+      this.checkVariant(s, 0, 'ARGS_START');
+      this.buffer = s.slice(m.ARGS_START.length);
+      this.state = 'args';
+      return true;
+    }
+    if (!final && m.ARGS_START.startsWith(fs)) return false;
+
+    // header is already out; close the call with empty arguments
+    this.note('missing_arguments');
+    this.buffer = s;
+    return this.finishCall(events, 'close');
+  }
+
+  step_args(events, final) {
+    const m = this.folded;
+
+    // ```json fence around the arguments: drop the opening line
+    if (!this.current.argsStarted) {
+      const s = this.buffer.trimStart();
+      if (!s && !final) return false;
+      if (s.startsWith('```') || (!final && '```'.startsWith(s))) {
+        const nl = s.indexOf('\n');
+        if (nl === -1 && !final) return false;
+        this.buffer = nl === -1 ? '' : s.slice(nl + 1);
+        this.current.fenced = true;
+        this.note('code_fence');
+      }
+      this.current.argsStarted = true;
+    }
+
+    const folded = foldMarkerText(this.buffer);
+    const hits = ['ARGS_END', 'TC_END', 'TC_START']
+      .map((key) => [folded.indexOf(m[key]), key])
+      .filter(([idx]) => idx !== -1)
+      .sort((a, b) => a[0] - b[0]);
+
+    if (hits.length > 0) {
+      const [idx, key] = hits[0];
+      this.appendArgs(events, this.buffer.slice(0, idx), true);
+      if (key === 'ARGS_END') {
+        this.checkVariant(this.buffer, idx, 'ARGS_END');
+        this.buffer = this.buffer.slice(idx + m.ARGS_END.length);
+        return this.finishCall(events, 'close');
+      }
+      this.note('missing_args_end');
+      if (key === 'TC_END') {
+        this.buffer = this.buffer.slice(idx + m.TC_END.length);
+      } else {
+        // the next block started before this one was closed
+        this.note('missing_tc_end');
+        this.buffer = this.buffer.slice(idx);
+      }
+      return this.finishCall(events, 'text');
+    }
+
+    if (final) {
+      this.appendArgs(events, this.buffer, true);
+      this.buffer = '';
+      this.note('missing_args_end');
+      return this.finishCall(events, 'text');
+    }
+
+    let safeEnd = Math.min(...['ARGS_END', 'TC_END', 'TC_START'].map((key) => findPartialMatchEndIndex(folded, m[key])));
+    // trailing whitespace / backticks may turn out to be a closing fence
+    while (safeEnd > 0 && /[\s`]/.test(this.buffer[safeEnd - 1])) safeEnd--;
+    this.appendArgs(events, this.buffer.slice(0, safeEnd));
+    this.buffer = this.buffer.slice(safeEnd);
+    return false;
+  }
+
+  step_close(events, final) {
+    const m = this.folded;
+    const s = this.buffer.trimStart();
+    const fs = foldMarkerText(s);
+
+    if (fs.startsWith(m.TC_END)) {
+      this.checkVariant(s, 0, 'TC_END');
+      this.buffer = s.slice(m.TC_END.length);
+    } else if (!final && m.TC_END.startsWith(fs)) {
+      return false;
+    } else {
+      // missing TC_END: keep whatever follows as normal text
+      this.note('missing_tc_end');
+      this.buffer = s;
+    }
+    events.push(this.callEndEvent());
+    this.state = 'text';
+    this.afterCall = true;
+    return true;
+  }
+
+  // json syntax: TC_START {"name": ..., "arguments": ...} [TC_END]; sent as a whole call
+  step_json(events, final) {
+    let s = this.buffer.trimStart();
+    const fenced = s.startsWith('```');
+    if (fenced || (!final && s && '```'.startsWith(s))) {
+      const nl = s.indexOf('\n');
+      if (nl === -1 && !final) return false;
+      s = nl === -1 ? '' : s.slice(nl + 1).trimStart();
+    }
+    if (!s && !final) return false;
+    if (!s.startsWith('{')) return this.abortBlock(events);
+
+    const end = findJsonObjectEnd(s);
+    if (end === -1 && !final) return false;
+    const call = parseJsonToolCall(end === -1 ? s : s.slice(0, end));
+    if (!call) return this.abortBlock(events);
+
+    let rest = end === -1 ? '' : s.slice(end);
+    if (fenced) rest = rest.replace(/^\s*```/, '');
+    if (this.folded.TC_END) {
+      const closing = foldMarkerText(rest.trimStart());
+      if (closing.startsWith(this.folded.TC_END)) rest = rest.trimStart().slice(this.markers.TC_END.length);
+      else if (!final && this.folded.TC_END.startsWith(closing)) return false;
+    }
+
+    this.blockRepairs = call.repairs.filter((r) => r !== 'code_fence');
+    if (fenced) this.blockRepairs.push('code_fence');
+    this.buffer = rest;
+    return this.emitWholeCall(events, call);
+  }
+
+  // <tool_call>{...}</tool_call>
+  step_tagged(events, final) {
+    const end = this.buffer.indexOf(TOOL_CALL_TAG_CLOSE);
+    if (end === -1 && !final) return false;
+
+    const inner = end === -1 ? this.buffer : this.buffer.slice(0, end);
+    const raw = TOOL_CALL_TAG_OPEN + (end === -1 ? this.buffer : this.buffer.slice(0, end + TOOL_CALL_TAG_CLOSE.length));
+    this.buffer = end === -1 ? '' : this.buffer.slice(end + TOOL_CALL_TAG_CLOSE.length);
+
+    const call = parseJsonToolCall(inner);
+    if (!call) {
+      this.emitText(events, raw);
+      this.state = 'text';
+      return true;
+    }
+    this.blockRepairs = ['format:tool_call_tag', ...call.repairs];
+    if (end === -1) this.blockRepairs.push('missing_end_tag');
+    return this.emitWholeCall(events, call);
+  }
+
+  // {"name": ..., "arguments": ...} or the same inside a ```json fence
+  step_bare(events, final) {
+    let end;
+    if (this.buffer.startsWith('```')) {
+      const close = this.buffer.indexOf('```', this.buffer.indexOf('\n') + 1);
+      end = this.buffer.indexOf('\n') === -1 || close === -1 ? -1 : close + 3;
+    } else {
+      end = findJsonObjectEnd(this.buffer);
+    }
+    if (end === -1 && !final) return false;
+
+    const block = end === -1 ? this.buffer : this.buffer.slice(0, end);
+    this.buffer = this.buffer.slice(block.length);
+
+    const call = parseJsonToolCall(block);
+    if (!call || !this.toolNames.has(call.name)) {
+      this.emitText(events, block);
+      this.state = 'text';
+      return true;
+    }
+    this.blockRepairs = ['format:bare_json', ...call.repairs.filter((r) => r !== 'code_fence' || !block.startsWith('```'))];
+    if (block.startsWith('```')) this.blockRepairs.push('code_fence');
+    return this.emitWholeCall(events, call);
+  }
+
+  startCall(events, name) {
+    this.current = {
+      index: this.callCount++,
+      id: generateCallId(),
+      name,
+      arguments: '', // raw text received so far
+      streamed: '',  // what went out in args_delta events
+      repairs: this.blockRepairs,
+    };
+    this.blockRepairs = [];
+    events.push({ type: 'call_start', index: this.current.index, id: this.current.id, name });
+  }
+
+  emitWholeCall(events, call) {
+    this.startCall(events, call.name);
+    this.current.argsStarted = true;
+    this.appendArgs(events, call.arguments, true);
+    return this.finishCall(events, 'text');
+  }
+
+  appendArgs(events, delta, last = false) {
+    const c = this.current;
+    if (!c.arguments) delta = delta.trimStart();
+    if (last) {
+      delta = delta.trimEnd();
+      if (c.fenced) delta = delta.replace(/`{3}$/, '').trimEnd();
+    }
+    if (!delta) return;
+    c.arguments += delta;
+    if (!this.bufferArgs) {
+      c.streamed += delta;
+      events.push({ type: 'args_delta', index: c.index, delta });
+    }
+  }
+
+  /**
+   * Repair the arguments and send whatever the client has not seen yet. In incremental
+   * mode only append-only repairs (e.g. closing a truncated object) can still be applied.
+   */
+  finishCall(events, nextState) {
+    const c = this.current;
+    const repaired = repairJsonText(c.arguments);
+    let args = repaired.ok ? repaired.text : c.arguments.trim();
+    for (const r of repaired.repairs) this.note(r);
+
+    if (this.bufferArgs) {
+      if (args) events.push({ type: 'args_delta', index: c.index, delta: args });
+    } else if (args !== c.streamed) {
+      if (args.startsWith(c.streamed)) {
+        events.push({ type: 'args_delta', index: c.index, delta: args.slice(c.streamed.length) });
+      } else {
+        this.note('unrepaired_in_stream');
+        args = c.streamed;
+      }
+    }
+    c.final = args;
+
+    this.state = nextState;
+    if (nextState === 'close') return true; // call_end once TC_END is resolved
+    events.push(this.callEndEvent());
+    this.afterCall = true;
+    return true;
+  }
+
+  callEndEvent() {
+    const { index, id, name, final, repairs } = this.current;
+    let error = null;
+    try {
+      JSON.parse(final);
+    } catch (e) {
+      error = `arguments are not valid JSON (${e.message})`;
+    }
+    this.current = null;
+    metrics.toolCalls.inc({ result: error ? 'invalid' : 'parsed' });
+    return { type: 'call_end', index, id, name, arguments: final, valid: !error, error, repairs };
+  }
+
+  abortBlock(events) {
+    // not a well-formed block: give the start marker back as text and rescan the rest
+    metrics.skippedBlocks.inc();
+    this.emitText(events, this.blockStart);
+    this.blockRepairs = [];
+    this.state = 'text';
+    return true;
+  }
+}
+
+// ============ SCIFI ONE-SHOT DEFINITION ============
+const SCIFI_TOOL_DEF = {
+  type: 'function',
+  function: {
+    name: 'hyper_dimensional_resonance_calibrator',
+    description: 'Calibrates cross-dimensional subspace resonance frequencies to stabilize the quantum flux of Einstein-Rosen bridges. Use only when dimensional rift fluctuation values exceed 5.0.',
+    parameters: {
+      type: 'object',
+      properties: {
+        dimension_id: { type: 'string', description: "Target dimension coordinates, e.g. 'C-137'" },
+        flux_threshold: { type: 'number', description: 'Maximum allowable flux fluctuation threshold' },
+        stabilization_mode: { type: 'string', enum: ['static', 'dynamic', 'hybrid'], default: 'static' },
+      },
+      required: ['dimension_id', 'flux_threshold'],
+    },
+  },
+};
+
+// ============ Few-shot example ============
+// off:       no example call
+// fixed:     the made-up SCIFI tool is offered and called once (tools stay untouched)
+// synthetic: one of the client's own tools is called once with placeholder arguments
+//            derived from its schema (they pass validation)
+const FEW_SHOT = ['off', 'synthetic'].includes(process.env.FEW_SHOT) ? process.env.FEW_SHOT : 'fixed';
+
+const SCHEMA_FORMAT_EXAMPLES = {
+  'date-time': '2024-01-01T00:00:00Z',
+  date: '2024-01-01',
+  time: '00:00:00',
+  email: 'user@example.com',
+  uri: 'https://example.com',
+  url: 'https://example.com',
+  uuid: '00000000-0000-4000-8000-000000000000',
+  hostname: 'example.com',
+  ipv4: '192.0.2.1',
+};
+
+// the SCIFI tool exists only in the example: calls to it are never returned to the client
+function isFewShotCall(name) {
+  return name === SCIFI_TOOL_DEF.function.name;
+}
+
+/**
+ * Placeholder value for a JSON schema: const / enum / default / examples first, otherwise
+ * a value of the declared type within its min/max bounds. Objects get their required
+ * properties (or the first property when nothing is required). `pattern` is not
+ * generated - callers check the result with validateJsonSchema.
+ */
+function schemaExample(schema, depth = 0) {
+  if (!schema || typeof schema !== 'object' || depth > 8) return 'example';
+  if (schema.const !== undefined) return schema.const;
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) return schema.enum[0];
+  if (schema.default !== undefined) return schema.default;
+  if (Array.isArray(schema.examples) && schema.examples.length > 0) return schema.examples[0];
+
+  const options = schema.anyOf || schema.oneOf;
+  if (Array.isArray(options) && options.length > 0) {
+    return schemaExample(options.find((o) => String(o?.type).toLowerCase() !== 'null') || options[0], depth + 1);
+  }
+  if (Array.isArray(schema.allOf) && schema.allOf.length > 0) {
+    const merged = { ...schema, allOf: undefined, properties: {}, required: [] };
+    for (const part of [schema, ...schema.allOf]) {
+      Object.assign(merged.properties, part?.properties);
+      merged.required.push(...(Array.isArray(part?.required) ? part.required : []));
+      if (part?.type && !merged.type) merged.type = part.type;
+    }
+    return schemaExample(merged, depth + 1);
+  }
+
+  const implied = schema.properties ? 'object' : schema.items ? 'array' : 'string';
+  const types = [].concat(schema.type ?? implied).map((t) => String(t).toLowerCase());
+  const type = types.find((t) => t !== 'null') || 'null';
+
+  if (type === 'object') {
+    const props = schema.properties && typeof schema.properties === 'object' ? schema.properties : {};
+    const required = Array.isArray(schema.required) ? schema.required : [];
+    const keys = required.length > 0 ? required : Object.keys(props).slice(0, 1);
+    return Object.fromEntries(keys.map((key) => [key, schemaExample(props[key], depth + 1)]));
+  }
+  if (type === 'array') {
+    const count = Math.min(Math.max(schema.minItems ?? 1, 1), schema.maxItems ?? Infinity);
+    return Array.from({ length: count }, () => schemaExample(schema.items, depth + 1));
+  }
+  if (type === 'integer' || type === 'number') {
+    let n = 1;
+    if (typeof schema.minimum === 'number') n = Math.max(n, schema.minimum);
+    if (typeof schema.exclusiveMinimum === 'number') n = Math.max(n, schema.exclusiveMinimum + 1);
+    if (typeof schema.maximum === 'number') n = Math.min(n, schema.maximum);
+    if (typeof schema.exclusiveMaximum === 'number' && n >= schema.exclusiveMaximum) n = schema.exclusiveMaximum - 1;
+    return type === 'integer' ? Math.ceil(n) : n;
+  }
+  if (type === 'boolean') return true;
+  if (type === 'null') return null;
+
+  const text = SCHEMA_FORMAT_EXAMPLES[schema.format] || 'example';
+  return text.padEnd(schema.minLength ?? 0, 'x').slice(0, schema.maxLength ?? Infinity);
+}
+
+// First client tool whose schema yields valid placeholder arguments (tools with arguments preferred)
+function syntheticExampleCall(tools) {
+  let fallback = null;
+  for (const tool of tools) {
+    const { name, parameters } = tool.function || {};
+    if (!name) continue;
+    const args = parameters ? schemaExample(parameters) : {};
+    if (!args || typeof args !== 'object' || Array.isArray(args)) continue;
+    if (parameters && validateJsonSchema(args, parameters).length > 0) continue;
+    if (Object.keys(args).length > 0) return { name, args };
+    fallback = fallback || { name, args };
+  }
+  return fallback;
+}
+
+/**
+ * The example exchange spliced in before the last user message, or null:
+ * { tool, text, name, args, result } - `tool` is an extra definition for the tool list
+ * (fixed only), `args` / `result` are JSON text.
+ */
+function buildFewShotExample(tools, strategy = FEW_SHOT) {
+  if (strategy === 'fixed') {
+    return {
+      tool: SCIFI_TOOL_DEF,
+      text: 'Detected abnormal dimensional rift fluctuation (current value 5.2), immediate calibration of C-137 quadrant stability required.',
+      name: SCIFI_TOOL_DEF.function.name,
+      args: JSON.stringify({
+        dimension_id: "C-137",
+        flux_threshold: 5.0,
+        stabilization_mode: "static"
+      }),
+      result: JSON.stringify({
+        status: "calibrated",
+        new_flux_index: 0.42, 
+        entropy_delta: "-3.14e-9",
+        message: "Resonance stabilized."
+      }),
+    };
+  }
+  if (strategy === 'synthetic') {
+    const call = syntheticExampleCall(tools);
+    if (!call) return null;
+    return {
+      tool: null,
+      text: `Checking the tool call format with \`${call.name}\` (placeholder arguments).`,
+      name: call.name,
+      args: JSON.stringify(call.args),
+      result: JSON.stringify({ status: 'ok', note: 'Format check only - the arguments were placeholders and nothing was executed.' }),
+    };
+  }
+  return null;
+}
+
+// ============ tool_choice emulation ============
+const TOOL_CHOICE_MAX_RETRIES = Number(process.env.TOOL_CHOICE_MAX_RETRIES ?? 1);
+
+/**
+ * Normalize OpenAI tool_choice into { mode: 'auto' | 'none' | 'required' | 'function', name? }.
+ */
+function normalizeToolChoice(toolChoice) {
+  if (toolChoice === 'none' || toolChoice === 'required') return { mode: toolChoice };
+  if (toolChoice && typeof toolChoice === 'object') {
+    const name = toolChoice.function?.name || toolChoice.name;
+    if (name) return { mode: 'function', name };
+  }
+  return { mode: 'auto' };
+}
+
+/**
+ * Returns a description of how toolCalls break the tool_choice constraint, or null.
+ */
+function checkToolChoice(toolChoice, toolCalls) {
+  switch (toolChoice.mode) {
+    case 'none':
+      return toolCalls.length > 0 ? 'tool_choice is "none" but the model called a tool' : null;
+    case 'required':
+      return toolCalls.length === 0 ? 'tool_choice is "required" but the model did not call any tool' : null;
+    case 'function':
+      return toolCalls.some((tc) => tc.function.name === toolChoice.name)
+        ? null
+        : `tool_choice requires "${toolChoice.name}" but the model did not call it`;
+    default:
+      return null;
+  }
+}
+
+// Follow-up user turn sent upstream after a violating response
+function toolChoiceCorrection(toolChoice) {
+  switch (toolChoice.mode) {
+    case 'none':
+      return 'Tool calling is disabled. Answer my previous message again in plain text, without any tool call block.';
+    case 'required':
+      return 'Your previous reply did not call a tool. You MUST call at least one of the available tools now, using the exact tool call delimiters.';
+    case 'function':
+      return `Your previous reply did not call \`${toolChoice.name}\`. You MUST call \`${toolChoice.name}\` now, using the exact tool call delimiters.`;
+    default:
+      return '';
+  }
+}
+
+function toolChoiceViolationError(message) {
+  return { message: `Upstream response violated tool_choice: ${message}`, type: 'tool_choice_violation' };
+}
+
+// ============ Tool argument validation ============
+const TOOL_VALIDATION = process.env.TOOL_VALIDATION !== 'false';
+const TOOL_VALIDATION_MAX_RETRIES = Number(process.env.TOOL_VALIDATION_MAX_RETRIES ?? 1);
+
+function jsonSchemaType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Pragmatic JSON Schema check covering what tool definitions use in practice:
+ * type (incl. OpenAPI-style uppercase / nullable), enum, const, required, properties,
+ * additionalProperties, items, anyOf/oneOf/allOf and the usual min/max keywords.
+ * Unsupported keywords ($ref, format, ...) are accepted as-is.
+ */
+function validateJsonSchema(value, schema, at = '$', errors = []) {
+  if (!schema || typeof schema !== 'object') return errors;
+  // OpenAPI-style nullable admits null whatever else the schema says (enum, const, type)
+  if (value === null && schema.nullable) return errors;
+
+  for (const key of ['anyOf', 'oneOf']) {
+    if (Array.isArray(schema[key]) && !schema[key].some((s) => validateJsonSchema(value, s, at).length === 0)) {
+      errors.push(`${at}: does not match any of the allowed shapes`);
+    }
+  }
+  if (Array.isArray(schema.allOf)) {
+    for (const s of schema.allOf) validateJsonSchema(value, s, at, errors);
+  }
+
+  if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push(`${at}: must be ${JSON.stringify(schema.const)}`);
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.some((e) => JSON.stringify(e) === JSON.stringify(value))) {
+    errors.push(`${at}: must be one of ${JSON.stringify(schema.enum)}, got ${JSON.stringify(value)}`);
+  }
+
+  const actual = jsonSchemaType(value);
+  if (schema.type) {
+    const types = [].concat(schema.type).map((t) => String(t).toLowerCase());
+    if (!types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+      errors.push(`${at}: expected ${types.join(' | ')}, got ${actual}`);
+      return errors;
+    }
+  }
+
+  if (actual === 'object') {
+    const props = schema.properties && typeof schema.properties === 'object' ? schema.properties : {};
+    for (const key of Array.isArray(schema.required) ? schema.required : []) {
+      if (!(key in value)) errors.push(`${at}: missing required property "${key}"`);
+    }
+    for (const [key, v] of Object.entries(value)) {
+      if (props[key]) validateJsonSchema(v, props[key], `${at}.${key}`, errors);
+      else if (schema.additionalProperties === false) errors.push(`${at}: unexpected property "${key}"`);
+      else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        validateJsonSchema(v, schema.additionalProperties, `${at}.${key}`, errors);
+      }
+    }
+  } else if (actual === 'array') {
+    if (schema.items && typeof schema.items === 'object' && !Array.isArray(schema.items)) {
+      value.forEach((v, i) => validateJsonSchema(v, schema.items, `${at}[${i}]`, errors));
+    }
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at}: needs at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at}: allows at most ${schema.maxItems} items`);
+  } else if (actual === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${at}: shorter than ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at}: longer than ${schema.maxLength} characters`);
+    if (schema.pattern) {
+      try {
+        if (!new RegExp(schema.pattern, 'u').test(value)) errors.push(`${at}: does not match pattern ${schema.pattern}`);
+      } catch {
+        // pattern not understood by JS RegExp: skip
+      }
+    }
+  } else if (actual === 'number' || actual === 'integer') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: must be <= ${schema.maximum}`);
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) errors.push(`${at}: must be > ${schema.exclusiveMinimum}`);
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) errors.push(`${at}: must be < ${schema.exclusiveMaximum}`);
+  }
+
+  return errors;
+}
+
+function indexTools(tools) {
+  return new Map((tools || []).filter((t) => t?.function?.name).map((t) => [t.function.name, t]));
+}
+
+/**
+ * Returns the list of problems with one parsed call (empty when it can be executed).
+ */
+function validateToolCall(call, toolsByName) {
+  const name = call.function.name;
+  const tool = toolsByName.get(name);
+  if (!tool) {
+    return [`unknown tool "${name}". Available tools: ${[...toolsByName.keys()].join(', ')}`];
+  }
+
+  let args;
+  try {
+    args = JSON.parse(call.function.arguments || '{}');
+  } catch (e) {
+    return [`arguments are not valid JSON (${e.message})`];
+  }
+  return validateJsonSchema(args, tool.function.parameters || {}, 'arguments');
+}
+
+/**
+ * Validate every parsed call. Returns [{ tool_call_id, name, errors }] for the failing ones.
+ */
+function validateToolCalls(toolCalls, invalidCalls, toolsByName) {
+  const problems = [];
+  for (const call of toolCalls) {
+    const errors = validateToolCall(call, toolsByName);
+    if (errors.length > 0) problems.push({ tool_call_id: call.id, name: call.function.name, errors });
+  }
+  for (const { call, error } of invalidCalls || []) {
+    problems.push({ tool_call_id: call.id, name: call.function.name, errors: [error] });
+  }
+  return problems;
+}
+
+// Follow-up user turn that feeds validation errors back to the model
+function validationCorrection(problems) {
+  return 'Your tool call(s) could not be executed:\n' +
+    problems.map((p) => `- ${p.name}: ${p.errors.join('; ')}`).join('\n') +
+    '\nCall the tool(s) again with corrected arguments, using the exact tool call delimiters. Only use tools from the available list.';
+}
+
+function toolValidationError(message) {
+  return { message: `Upstream tool call failed validation: ${message}`, type: 'tool_validation_error' };
+}
+
+// Client-facing error for a rejected reply that gets no further correction round
+function rejectionError(rejection) {
+  return rejection.kind === 'validation' ? toolValidationError(rejection.message) : toolChoiceViolationError(rejection.message);
+}
+
+// Arguments as an object for formats that carry them structured (invalid JSON -> {})
+function toolArgumentsObject(args) {
+  try {
+    const value = JSON.parse(args);
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+  } catch {
+    return {};
+  }
+}
+
+// ============ Tool call / result linkage ============
+// repair: label orphaned results and stand in for missing ones; strict: reject with 400
+const TOOL_RESULT_CHECK = process.env.TOOL_RESULT_CHECK === 'strict' ? 'strict' : 'repair';
+const TOOL_ARGS_SUMMARY_MAX = 80;
+const MISSING_RESULT_TEXT = '[No result was returned for this call]';
+
+// OpenAI-style id (call_ + 24 hex chars); random so ids never repeat across requests
+function generateCallId() {
+  return `call_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+/**
+ * Pair tool results with the assistant tool_calls they answer (by tool_call_id).
+ * - calls:   id -> { name, arguments } for every assistant tool call
+ * - orphans: results whose id matches no earlier call
+ * - missing: calls that got no result before the conversation moved on, with the
+ *            index of the message in front of which the result was expected.
+ *            Calls of a final assistant turn are not missing: nothing follows yet.
+ */
+function linkToolResults(messages) {
+  const calls = new Map();
+  const orphans = [];
+  const missing = [];
+  let pending = new Map(); // calls of the latest assistant turn still waiting for a result
+
+  (messages || []).forEach((msg, index) => {
+    if (msg.role === 'tool') {
+      if (pending.has(msg.tool_call_id)) pending.delete(msg.tool_call_id);
+      else if (!calls.has(msg.tool_call_id)) orphans.push({ id: msg.tool_call_id ?? null, name: msg.name ?? null });
+      return;
+    }
+    for (const [id, call] of pending) missing.push({ id, name: call.name, before: index });
+    pending = new Map();
+    if (msg.role !== 'assistant' || !Array.isArray(msg.tool_calls)) return;
+    for (const tc of msg.tool_calls) {
+      const call = { name: tc.function?.name || 'unknown', arguments: tc.function?.arguments ?? '' };
+      calls.set(tc.id, call);
+      pending.set(tc.id, call);
+    }
+  });
+
+  return { calls, orphans, missing };
+}
+
+function toolLinkProblems({ orphans, missing }) {
+  return [
+    ...orphans.map((o) => `tool result ${o.id ?? '(without tool_call_id)'} does not match any assistant tool call`),
+    ...missing.map((c) => `assistant tool call ${c.id} (${c.name}) has no tool result`),
+  ];
+}
+
+// Short one-line form of the call arguments for result labels
+function summarizeToolArguments(args) {
+  let text = typeof args === 'string' ? args : JSON.stringify(args ?? {});
+  try {
+    text = JSON.stringify(JSON.parse(text));
+  } catch {
+    text = text.replace(/\s+/g, ' ').trim();
+  }
+  return text.length > TOOL_ARGS_SUMMARY_MAX ? `${text.slice(0, TOOL_ARGS_SUMMARY_MAX - 1)}…` : text;
+}
+
+// "get_weather({"city":"Rome"}) id=call_1" - which call a result belongs to
+function toolResultLabel(id, call, fallbackName) {
+  if (!call) return `${fallbackName || 'unknown'} id=${id ?? 'none'} (no matching call)`;
+  return `${call.name}(${summarizeToolArguments(call.arguments)}) id=${id}`;
+}
+
+// ============ Tool prompt size: schema rendering and pruning ============
+// The injected prompt lists every offered tool with its parameters; with large toolkits
+// that list dominates the request and confuses small models.
+//   TOOL_SCHEMA=full|compact|typescript (default full) - how parameters are written:
+//     full       the client's JSON schema as-is
+//     compact    the schema without titles / examples / $schema, descriptions cut to one sentence
+//     typescript one-line signature: {city: string /* City name */, unit?: "c" | "f"}
+//   TOOL_TOP_K=12 - offer only the 12 tools scoring best (BM25 over name, description and
+//     parameters) against the latest messages, plus every tool already called in the
+//     conversation; 0 offers all (default)
+//   TOOL_PRUNED_CALLS=repair|reject (default repair) - a call to a tool that was not offered:
+//     repair  returned (the client has the tool), reported under repairs as tool_not_offered
+//     reject  handled like an unknown tool: a validation correction round (needs TOOL_VALIDATION)
+// Arguments are always validated against the client's full schema.
+const TOOL_SCHEMAS = ['full', 'compact', 'typescript'];
+const TOOL_SCHEMA = TOOL_SCHEMAS.includes(process.env.TOOL_SCHEMA) ? process.env.TOOL_SCHEMA : 'full';
+const TOOL_TOP_K = Math.max(0, Number(process.env.TOOL_TOP_K ?? 0) || 0);
+const TOOL_PRUNED_CALLS = process.env.TOOL_PRUNED_CALLS === 'reject' ? 'reject' : 'repair';
+const PRUNED_CALL_REPAIR = 'tool_not_offered';
+const PRUNE_QUERY_MESSAGES = 4; // latest non-system messages the relevance query is built from
+const SCHEMA_NOISE_KEYS = ['title', 'examples', '$schema', '$id', '$comment'];
+const SCHEMA_VALUE_KEYS = ['default', 'const', 'enum']; // copied as-is, never compacted
+const SCHEMA_DESCRIPTION_MAX = 120;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+// function words would otherwise match every other description
+const SCORING_STOPWORDS = new Set(('a an and any are as at be but by can could do does for from has have how i if in into is it its '
+  + 'me my no not of on or our please so some than that the their then there these this to us was we what when where which '
+  + 'who why will with would you your also just now').split(' '));
+
+// first sentence, whitespace collapsed, at most SCHEMA_DESCRIPTION_MAX characters
+function shortDescription(text) {
+  const flat = String(text ?? '').replace(/\s+/g, ' ').trim();
+  const sentence = flat.match(/^.*?(?:[.!?](?=\s|$)|[。！？])/)?.[0] || flat;
+  return sentence.length > SCHEMA_DESCRIPTION_MAX ? `${sentence.slice(0, SCHEMA_DESCRIPTION_MAX - 1)}…` : sentence;
+}
+
+function compactSchema(schema, depth = 0) {
+  if (Array.isArray(schema)) return schema.map((s) => compactSchema(s, depth + 1));
+  if (!schema || typeof schema !== 'object' || depth > 16) return schema;
+  const out = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (SCHEMA_NOISE_KEYS.includes(key)) continue;
+    if (SCHEMA_VALUE_KEYS.includes(key)) {
+      out[key] = value;
+    } else if (key === 'description') {
+      const short = shortDescription(value);
+      if (short) out.description = short;
+    } else if (['properties', '$defs', 'definitions'].includes(key) && value && typeof value === 'object') {
+      // keys are names here, not keywords ("title" may be a property)
+      out[key] = Object.fromEntries(Object.entries(value).map(([name, sub]) => [name, compactSchema(sub, depth + 1)]));
+    } else {
+      out[key] = compactSchema(value, depth + 1);
+    }
+  }
+  return out;
+}
+
+// "#/$defs/Address" inside `root`, or null
+function resolveLocalRef(root, ref) {
+  if (!ref.startsWith('#/')) return null;
+  let node = root;
+  for (const part of ref.slice(2).split('/')) {
+    node = node?.[part.replace(/~1/g, '/').replace(/~0/g, '~')];
+  }
+  return node && typeof node === 'object' ? node : null;
+}
+
+// TypeScript-like type of a schema; local $refs are inlined (to a depth), constraints dropped
+function schemaSignature(schema, root = schema, depth = 0) {
+  if (!schema || typeof schema !== 'object') return 'any';
+  if (depth > 6) return 'object';
+  if (typeof schema.$ref === 'string') {
+    const target = resolveLocalRef(root, schema.$ref);
+    return target ? schemaSignature(target, root, depth + 1) : 'any';
+  }
+
+  let type;
+  const options = schema.anyOf || schema.oneOf;
+  if (schema.const !== undefined) {
+    type = JSON.stringify(schema.const);
+  } else if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+    type = schema.enum.map((v) => JSON.stringify(v)).join(' | ');
+  } else if (Array.isArray(options) && options.length > 0) {
+    type = options.map((o) => schemaSignature(o, root, depth + 1)).join(' | ');
+  } else if (Array.isArray(schema.allOf) && schema.allOf.length > 0) {
+    type = schema.allOf.map((o) => schemaSignature(o, root, depth + 1)).join(' & ');
+  } else {
+    const implied = schema.properties ? 'object' : schema.items ? 'array' : 'any';
+    type = [].concat(schema.type ?? implied).map((t) => typeSignature(String(t).toLowerCase(), schema, root, depth)).join(' | ');
+  }
+  // OpenAPI style
+  if (schema.nullable === true && !/\bnull$/.test(type)) type += ' | null';
+  return type;
+}
+
+function typeSignature(type, schema, root, depth) {
+  if (type === 'array') {
+    const item = schemaSignature(schema.items, root, depth + 1);
+    return /[|&]/.test(item) && !item.startsWith('{') ? `(${item})[]` : `${item}[]`;
+  }
+  if (type !== 'object') return ['string', 'number', 'integer', 'boolean', 'null'].includes(type) ? type : 'any';
+
+  const props = schema.properties && typeof schema.properties === 'object' ? Object.entries(schema.properties) : [];
+  if (props.length === 0) {
+    const extra = schema.additionalProperties;
+    return extra && typeof extra === 'object' ? `Record<string, ${schemaSignature(extra, root, depth + 1)}>` : 'object';
+  }
+  const required = new Set(Array.isArray(schema.required) ? schema.required : []);
+  return `{${props.map(([name, prop]) => {
+    const key = /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+    const notes = [prop?.description && shortDescription(prop.description), prop?.default !== undefined && `default ${JSON.stringify(prop.default)}`].filter(Boolean);
+    const comment = notes.length > 0 ? ` /* ${notes.join('; ').replace(/\*\//g, '* /')} */` : '';
+    return `${key}${required.has(name) ? '' : '?'}: ${schemaSignature(prop, root, depth + 1)}${comment}`;
+  }).join(', ')}}`;
+}
+
+// {{parameters}} of a tool entry in the prompt
+function renderToolParameters(parameters, style = TOOL_SCHEMA) {
+  if (style === 'typescript') return parameters ? schemaSignature(parameters) : '{}';
+  if (style === 'compact') return JSON.stringify(compactSchema(parameters));
+  return JSON.stringify(parameters);
+}
+
+// words for relevance scoring: camelCase / snake_case split, Han characters one by one
+function scoringTerms(text) {
+  const spaced = String(text || '').replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase();
+  const words = spaced.match(/\p{Script=Han}|(?:(?!\p{Script=Han})[\p{L}\p{N}])+/gu) || [];
+  return words.filter((w) => !SCORING_STOPWORDS.has(w));
+}
+
+function toolTerms(tool) {
+  const fn = tool.function || {};
+  const props = fn.parameters?.properties && typeof fn.parameters.properties === 'object' ? fn.parameters.properties : {};
+  const name = scoringTerms(fn.name);
+  // the name counts twice: it is the densest description of what the tool does
+  return [
+    ...name, ...name,
+    ...scoringTerms(fn.description),
+    ...Object.entries(props).flatMap(([key, p]) => [...scoringTerms(key), ...scoringTerms(p?.description)]),
+  ];
+}
+
+// Okapi BM25 score of every tool against the query (term -> weight)
+function rankTools(tools, query) {
+  const docs = tools.map(toolTerms);
+  const avgLength = docs.reduce((n, d) => n + d.length, 0) / Math.max(docs.length, 1) || 1;
+  const df = new Map();
+  for (const doc of docs) {
+    for (const term of new Set(doc)) df.set(term, (df.get(term) || 0) + 1);
+  }
+  const terms = [...query.keys()].filter((t) => df.has(t));
+  return docs.map((doc) => {
+    const tf = new Map();
+    for (const term of doc) tf.set(term, (tf.get(term) || 0) + 1);
+    let score = 0;
+    for (const term of terms) {
+      const f = tf.get(term);
+      if (!f) continue;
+      const idf = Math.log(1 + (docs.length - df.get(term) + 0.5) / (df.get(term) + 0.5));
+      score += query.get(term) * idf * (f * (BM25_K1 + 1)) / (f + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / avgLength));
+    }
+    return score;
+  });
+}
+
+function messageText(msg) {
+  if (typeof msg.content === 'string') return msg.content;
+  if (Array.isArray(msg.content)) return msg.content.map((part) => (typeof part?.text === 'string' ? part.text : '')).join(' ');
+  return '';
+}
+
+/**
+ * Tools to offer in the prompt: { tools, pruned } with `pruned` the names left out. Only
+ * prunes when there are more than topK tools; keeps the client's order. A forced
+ * tool_choice offers its one tool anyway.
+ */
+function selectPromptTools(request, { toolChoice = { mode: 'auto' }, topK = TOOL_TOP_K } = {}) {
+  const tools = Array.isArray(request.tools) ? request.tools : [];
+  if (!topK || tools.length <= topK || toolChoice.mode === 'function') return { tools, pruned: [] };
+
+  const used = new Set();
+  for (const msg of request.messages || []) {
+    for (const tc of Array.isArray(msg.tool_calls) ? msg.tool_calls : []) used.add(tc.function?.name);
+  }
+  // the latest message decides, earlier ones only add context
+  const recent = (request.messages || []).filter((m) => m.role !== 'system').slice(-PRUNE_QUERY_MESSAGES);
+  const query = new Map();
+  recent.forEach((msg, i) => {
+    const weight = i === recent.length - 1 ? 1 : 0.5;
+    for (const term of scoringTerms(messageText(msg))) query.set(term, Math.max(query.get(term) || 0, weight));
+  });
+  const scores = rankTools(tools, query);
+  const best = tools.map((tool, index) => ({ tool, index, score: scores[index] }))
+    .filter(({ tool }) => !used.has(tool.function?.name))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, topK);
+  const offered = new Set(best.map((b) => b.tool));
+  const kept = tools.filter((t) => offered.has(t) || used.has(t.function?.name));
+  return { tools: kept, pruned: tools.filter((t) => !kept.includes(t)).map((t) => t.function?.name).filter(Boolean) };
+}
+
+// rough token count: ~4 characters per token for ASCII, one per other character (CJK, marker glyphs)
+function estimateTokens(text) {
+  const chars = Array.from(String(text || ''));
+  const ascii = chars.filter((c) => c.charCodeAt(0) < 0x80).length;
+  return Math.ceil(ascii / 4) + (chars.length - ascii);
+}
+
+// ============ Reasoning channels ============
+// Reasoning models think in a separate channel: reasoning_content / reasoning (chat
+// completions), thinking blocks (Anthropic), thought parts (Gemini), reasoning items
+// (Responses). It is never parsed as content and always passes through unchanged.
+//   REASONING_TOOL_CALLS=fallback|off (default fallback)
+//     fallback  when the content has no tool call, calls written in the reasoning are used
+//               (only calls to the request's tools; reported under repairs as call_in_reasoning)
+//     off       reasoning is never scanned (it may discuss the delimiters)
+//   REASONING_HISTORY=keep|drop (default keep)
+//     keep  earlier assistant turns go upstream with their reasoning and signatures: chat
+//           reasoning fields as sent, Anthropic thinking / redacted_thinking blocks, Gemini
+//           thought parts and thoughtSignature
+//     drop  removed, for upstreams that reject them
+// Responses reasoning items are always dropped from history: they have to be followed by the
+// item that followed them, and prompt injection rewrites those.
+const REASONING_TOOL_CALLS = process.env.REASONING_TOOL_CALLS === 'off' ? 'off' : 'fallback';
+const REASONING_HISTORY = process.env.REASONING_HISTORY === 'drop' ? 'drop' : 'keep';
+const REASONING_CALL_REPAIR = 'call_in_reasoning';
+// where a chat message carries its reasoning: client fields (chat completions) and the
+// native blocks toChat keeps for fromChat (thinking_blocks, thought_signature)
+const REASONING_FIELDS = ['reasoning_content', 'reasoning', 'reasoning_details', 'thinking_blocks', 'thought_signature'];
+
+// reasoning text of a chat-completions message or stream delta
+function chatReasoningText(message) {
+  const text = message?.reasoning_content ?? message?.reasoning;
+  return typeof text === 'string' ? text : null;
+}
+
+// ============ Request message transforms ============
+// Content is a string or an array of parts in the client format's own shape (image_url,
+// Anthropic image / document blocks, Gemini inline_data, Responses input_image ...). Text
+// the proxy adds to a part array is a chat-style { type: 'text', text } part; fromChat
+// turns it into the format's text part.
+const TEXT_PART_TYPES = ['text', 'input_text', 'output_text'];
+
+// text part in any format (Gemini text parts have no type)
+function isTextPart(part) {
+  return typeof part?.text === 'string' && (part.type === undefined || TEXT_PART_TYPES.includes(part.type));
+}
+
+function contentParts(content) {
+  if (Array.isArray(content)) return content;
+  return content ? [{ type: 'text', text: String(content) }] : [];
+}
+
+// strings are joined as before; as soon as one side has parts, the parts are concatenated
+function mergeContent(a, b) {
+  if (!Array.isArray(a) && !Array.isArray(b)) return `${a || ''}\n\n${b || ''}`;
+  return [...contentParts(a), ...contentParts(b)];
+}
+
+/**
+ * Tool message content -> { text, attachments }: text parts are joined, any other part
+ * (image, file, document ...) is kept as-is; other non-string content becomes JSON text.
+ */
+function splitToolContent(content) {
+  if (typeof content === 'string') return { text: content, attachments: [] };
+  if (!Array.isArray(content)) return { text: JSON.stringify(content ?? ''), attachments: [] };
+  return {
+    text: content.filter(isTextPart).map((p) => p.text).join('\n'),
+    attachments: content.filter((p) => !isTextPart(p)),
+  };
+}
+
+function mergeAdjacentMessages(messages) {
+  if (!Array.isArray(messages) || messages.length === 0) return messages || [];
+
+  const merged = [];
+  let current = { ...messages[0] };
+
+  for (let i = 1; i < messages.length; i++) {
+    const msg = messages[i];
+    if (msg.role === current.role) {
+      current.content = mergeContent(current.content, msg.content);
+      if (msg.thinking_blocks) current.thinking_blocks = [...(current.thinking_blocks || []), ...msg.thinking_blocks];
+    } else {
+      merged.push(current);
+      current = { ...msg };
+    }
+  }
+  merged.push(current);
+  return merged;
+}
+
+/**
+ * Transform OpenAI-style tools/tool_calls/tool results into prompt-injection mode.
+ * - If hasTools=true: inject system prompt + encode tool results with RESULT markers.
+ * - If hasTools=false but hasToolHistory=true: strip structured tool_calls/tool role into plain text.
+ * - tool_choice shapes the injected prompt (a forced function is the only tool exposed).
+ * - Marker sequences in user, assistant and tool content are neutralized.
+ * - promptTools (default: all) are the tools listed, written in the toolSchema style.
+ * - stats, when given, receives injectedTokens: the estimated size of the prompt and example.
+ * - Reasoning of assistant turns is kept or dropped per reasoningHistory.
+ */
+function transformRequest(request, {
+  hasTools,
+  toolChoice = normalizeToolChoice(request.tool_choice),
+  toolDelimiter,
+  toolLinks = linkToolResults(request.messages),
+  fewShot = FEW_SHOT,
+  promptTools = request.tools,
+  toolSchema = TOOL_SCHEMA,
+  stats = null,
+  reasoningHistory = REASONING_HISTORY,
+}) {
+  const guard = toolDelimiter.spoofGuard;
+  
+  // 1. 基础判断逻辑
+  const historyExists = hasToolHistory(request);
+  const rawMessages = request.messages || [];
+  
+  // 判断是否需要在末尾注入 One-Shot 示例（注意：这里仅判断意图，不判断位置；FEW_SHOT=off 时不注入）
+  // 只有在开启工具、无历史调用、且最后是用户发言时才准备注入
+  // tool_choice 为 none 或强制指定工具时不注入（虚构工具会与约束冲突）
+  const shouldInjectOneShot = hasTools && !historyExists && rawMessages.length > 0 && rawMessages[rawMessages.length - 1].role === 'user'
+    && (toolChoice.mode === 'auto' || toolChoice.mode === 'required');
+
+  // 2. 准备工具列表 (如果需要注入，添加虚构工具到 System Prompt)
+  let activeTools = Array.isArray(promptTools) ? promptTools : [];
+  if (toolChoice.mode === 'function') {
+    activeTools = (request.tools || []).filter((t) => t.function?.name === toolChoice.name);
+  }
+  const example = shouldInjectOneShot ? buildFewShotExample(activeTools, fewShot) : null;
+  if (example?.tool) {
+    activeTools = [...activeTools, example.tool];
+  }
+
+  const toolSystemPrompt = hasTools && activeTools.length ? toolDelimiter.getSystemPrompt(activeTools, toolChoice, { schema: toolSchema }) : '';
+  let injectedText = toolSystemPrompt;
+
+  const outMessages = [];
+  let hasSystem = false;
+
+  // 结果标注调用名、参数摘要和 ID，并行调用的多个结果合并后仍能对应
+  // 图片/文件等附件紧跟在结果文本之后，作为同一条 user 消息的内容部分
+  const pushToolResult = (label, result, attachments = []) => {
+    label = neutralizeMarkers(label, guard);
+    result = neutralizeMarkers(result, guard);
+    if (attachments.length > 0) result += `${result ? '\n' : ''}[${attachments.length} attachment(s) follow this result]`;
+    const text = hasTools ? toolDelimiter.encodeResult(label, result) : `[Tool result: ${label}]\n${result}`;
+    outMessages.push({
+      role: 'user',
+      content: attachments.length > 0 ? [{ type: 'text', text }, ...neutralizeContent(attachments, guard)] : text,
+    });
+  };
+
+  // 3. 遍历并转换现有消息 (保持原有逻辑)
+  for (const [index, msg] of rawMessages.entries()) {
+    // 缺少结果的调用：在对话继续之前补一个占位结果
+    for (const call of toolLinks.missing) {
+      if (call.before === index) pushToolResult(toolResultLabel(call.id, toolLinks.calls.get(call.id)), MISSING_RESULT_TEXT);
+    }
+
+    if (msg.role === 'system') {
+      outMessages.push({
+        role: 'system',
+        content: toolSystemPrompt ? mergeContent(msg.content, toolSystemPrompt) : msg.content || '',
+      });
+      hasSystem = true;
+      continue;
+    }
+
+    if (msg.role === 'assistant' && Array.isArray(msg.tool_calls) && msg.tool_calls.length > 0) {
+      let calls = '';
+      if (hasTools) {
+        for (const tc of msg.tool_calls) {
+          const name = neutralizeMarkers(tc.function.name, guard);
+          const args = neutralizeMarkers(tc.function.arguments, guard);
+          calls += `\n${toolDelimiter.encodeCall(name, args)}`;
+        }
+      } else {
+        const names = msg.tool_calls.map((tc) => tc.function?.name).filter(Boolean).join(', ');
+        calls += `\n\n[Called tools: ${names}]`;
+      }
+      // the calls follow the text as one more part when the turn has parts
+      const content = Array.isArray(msg.content)
+        ? [...neutralizeContent(msg.content, guard), { type: 'text', text: calls.trimStart() }]
+        : neutralizeMarkers(msg.content || '', guard) + calls;
+      // other fields (reasoning, signatures) stay with the turn
+      const { tool_calls, function_call, ...rest } = msg;
+      outMessages.push({ ...rest, content });
+      continue;
+    }
+
+    if (msg.role === 'tool') {
+      const label = toolResultLabel(msg.tool_call_id, toolLinks.calls.get(msg.tool_call_id), msg.name);
+      const { text, attachments } = splitToolContent(msg.content);
+      pushToolResult(label, text, attachments);
+      continue;
+    }
+
+    outMessages.push({ ...msg, content: neutralizeContent(msg.content, guard) });
+  }
+
+  if (!hasSystem && toolSystemPrompt) {
+    outMessages.unshift({ role: 'system', content: toolSystemPrompt });
+  }
+  if (reasoningHistory === 'drop') {
+    for (const msg of outMessages) {
+      if (msg.role === 'assistant') for (const field of REASONING_FIELDS) delete msg[field];
+    }
+  }
+
+  const mergedMessages = mergeAdjacentMessages(outMessages);
+
+  if (example && mergedMessages.length > 0) {
+    const lastMsg = mergedMessages[mergedMessages.length - 1];
+    
+    // 再次确认最后一条是 User（防止 merge 过程中顺序发生意料之外的变化，虽然不太可能）
+    if (lastMsg.role === 'user') {
+      // 构造示例的 Assistant 调用
+      const fakeAssistantContent = `${example.text}\n` + toolDelimiter.encodeCall(example.name, example.args);
+
+      // 构造示例的 User (Tool) 返回
+      const fakeLabel = toolResultLabel(generateCallId(), { name: example.name, arguments: example.args });
+      const fakeToolResult = toolDelimiter.encodeResult(fakeLabel, example.result);
+
+      // 插入到倒数第一条之前 (User 消息之前)
+      mergedMessages.splice(mergedMessages.length - 1, 0, 
+        { role: 'assistant', content: fakeAssistantContent },
+        { role: 'user', content: fakeToolResult }
+      );
+      injectedText += fakeAssistantContent + fakeToolResult;
+    }
+  }
+  if (stats) stats.injectedTokens = estimateTokens(injectedText);
+
+  // 6. 返回结果
+  const newRequest = { ...request, messages: mergedMessages };
+  delete newRequest.tools;
+  delete newRequest.tool_choice;
+
+  return newRequest;
+}
+
+/**
+ * Append a correction round to an already transformed request:
+ * the rejected assistant reply followed by a user instruction.
+ */
+function withCorrectionTurn(upstreamBody, assistantContent, instruction) {
+  const messages = [...(upstreamBody.messages || [])];
+  if (assistantContent) messages.push({ role: 'assistant', content: assistantContent });
+  messages.push({ role: 'user', content: instruction });
+  return { ...upstreamBody, messages: mergeAdjacentMessages(messages) };
+}
+
+// ============ SSE parsing / formatting ============
+
+/**
+ * Minimal SSE event parser:
+ * - Accumulates incoming text
+ * - Splits by "\n\n" (blank line) to get events
+ * - Within one event, collects multiple "data:" lines and joins with "\n" (SSE spec)
+ */
+class SseEventParser {
+  constructor() {
+    this.buffer = '';
+    this.pendingCr = false;
+  }
+
+  pushText(text) {
+    // CRLF / CR line endings (Gemini sends \r\n\r\n) become \n; a \r at the end of a read
+    // waits for the next one, it may be the first half of a CRLF
+    let chunk = (this.pendingCr ? '\r' : '') + text;
+    this.pendingCr = chunk.endsWith('\r');
+    if (this.pendingCr) chunk = chunk.slice(0, -1);
+    this.buffer += chunk.replace(/\r\n?/g, '\n');
+    const events = [];
+
+    while (true) {
+      const idx = this.buffer.indexOf('\n\n');
+      if (idx === -1) break;
+      const rawEvent = this.buffer.slice(0, idx);
+      this.buffer = this.buffer.slice(idx + 2);
+      events.push(rawEvent);
+    }
+
+    return events;
+  }
+
+  static extractDataLines(rawEvent) {
+    // Supports: data: xxx  (possibly multiple lines)
+    const lines = rawEvent.split('\n');
+    const datas = [];
+    for (const line of lines) {
+      if (line.startsWith('data:')) {
+        datas.push(line.slice(5).trimStart());
+      }
+    }
+    return datas;
+  }
+
+  static isDoneEvent(rawEvent) {
+    const datas = SseEventParser.extractDataLines(rawEvent);
+    return datas.length === 1 && datas[0] === '[DONE]';
+  }
+
+  static parseJsonFromEvent(rawEvent) {
+    const datas = SseEventParser.extractDataLines(rawEvent);
+    if (datas.length === 0) return null;
+    if (datas.length === 1 && datas[0] === '[DONE]') return { __done: true };
+
+    const joined = datas.join('\n');
+    try {
+      return JSON.parse(joined);
+    } catch {
+      return { __raw: rawEvent };
+    }
+  }
+}
+
+function sseEncodeData(data) {
+  return `data: ${data}\n\n`;
+}
+
+function sseEncodeJson(obj) {
+  return sseEncodeData(JSON.stringify(obj));
+}
+
+// Named event (Anthropic style: "event: <type>" line before the data)
+function sseEncodeEvent(event, obj) {
+  return `event: ${event}\n${sseEncodeJson(obj)}`;
+}
+
+function cloneJson(obj) {
+  return obj ? JSON.parse(JSON.stringify(obj)) : obj;
+}
+
+// ============ Tool-call session ============
+
+/**
+ * Per-response tool-call state shared by the stream transformers of all API formats.
+ * Feeds model text through ToolCallStreamParser and turns parser events into
+ * operations for the client:
+ *   { type: 'text', text }
+ *   { type: 'call_start', index, id, name }   index counts forwarded calls only
+ *   { type: 'args', index, delta }
+ *   { type: 'call_end', index }
+ * - Enforces tool_choice: with "required"/forced function, text is held back until a
+ *   matching call starts
+ * - Validates calls against `tools`; problems and the repairs the lenient parser applied
+ *   are collected until takeDiagnostics() (calls to `prunedTools` count as repaired)
+ *
+ * When the attempt has to be redone `rejection` is set ({ kind, message, correction,
+ * content, emitted }) and no further operations are produced. That happens on a
+ * tool_choice violation, and - with retryValidation - on an unknown tool seen before
+ * anything reached the client (arguments are already streamed when their errors show up).
+ *
+ * With rejectAttempt=false (one session per choice when n>1) a violation cannot redo the
+ * attempt: the offending calls are dropped, held text is released at the end and the
+ * violation is reported as anytoolcall.tool_choice_violation.
+ *
+ * Reasoning goes to pushReasoning() and is never turned into text. With
+ * reasoningToolCalls='fallback' it is parsed on the side; if the content ended without a
+ * call, the reasoning's calls to known tools are emitted at end() (repair call_in_reasoning).
+ */
+class ToolCallSession {
+  constructor({
+    markers,
+    toolChoice = { mode: 'auto' },
+    tools = null,
+    retryValidation = false,
+    rejectAttempt = true,
+    parserOptions = {},
+    prunedTools = null,
+    reasoningToolCalls = REASONING_TOOL_CALLS,
+  } = {}) {
+    this.parser = new ToolCallStreamParser(markers, {
+      bufferArgs: STREAM_TOOL_ARGS === 'buffered',
+      ...parserOptions,
+    });
+    // calls in the reasoning are only used after the content ended, so arguments are buffered
+    this.reasoningParser = reasoningToolCalls === 'fallback' && toolChoice.mode !== 'none'
+      ? new ToolCallStreamParser(markers, { ...parserOptions, bufferArgs: true })
+      : null;
+    this.reasoningEvents = [];
+    this.toolNames = parserOptions.toolNames ? new Set(parserOptions.toolNames) : null;
+    this.toolChoice = toolChoice;
+    this.holdText = toolChoice.mode === 'required' || toolChoice.mode === 'function';
+    this.toolsByName = tools ? indexTools(tools) : null;
+    this.retryValidation = retryValidation;
+    this.rejectAttempt = rejectAttempt;
+    this.prunedTools = prunedTools ? new Set(prunedTools) : null; // calls to them are reported as repairs
+
+    this.sawToolCall = false;
+    this.finished = false;      // parser.end() already called
+    this.heldText = '';         // text withheld until the tool_choice constraint is met
+    this.rawContent = '';       // everything the model wrote (for correction rounds)
+    this.emittedContent = false;
+    this.rejection = null;
+    this.violation = null;      // tool_choice violation not yet reported (rejectAttempt=false)
+    this.validationErrors = [];
+    this.repairReports = [];
+
+    // parser call index -> client index (null = call not forwarded)
+    this.callIndexMap = new Map();
+    this.forwardedCalls = 0;
+  }
+
+  push(text) {
+    if (this.finished || this.rejection || !text) return [];
+    this.rawContent += text;
+    return this.apply(this.parser.push(text));
+  }
+
+  pushReasoning(text) {
+    if (this.finished || this.rejection || !this.reasoningParser || !text) return;
+    for (const ev of this.reasoningParser.push(text)) {
+      if (ev.type !== 'text') this.reasoningEvents.push(ev);
+    }
+  }
+
+  end() {
+    if (this.finished || this.rejection) return [];
+    this.finished = true;
+    const ops = this.apply(this.parser.end());
+    if (!this.rejection && !this.sawToolCall && this.reasoningParser) {
+      ops.push(...this.apply(this.reasoningCalls()));
+    }
+    if (!this.rejection && this.holdText && !this.sawToolCall) {
+      this.reject('tool_choice', checkToolChoice(this.toolChoice, []), toolChoiceCorrection(this.toolChoice));
+      if (this.rejection) return [];
+      if (this.heldText) ops.push({ type: 'text', text: this.heldText });
+      this.heldText = '';
+    }
+    return ops;
+  }
+
+  // Completed calls to known tools from the reasoning, renumbered apart from the content's calls
+  reasoningCalls() {
+    const events = [...this.reasoningEvents, ...this.reasoningParser.end()];
+    this.reasoningEvents = [];
+    const complete = new Set(events
+      .filter((ev) => ev.type === 'call_end' && ev.valid !== false && (!this.toolNames || this.toolNames.has(ev.name)))
+      .map((ev) => ev.index));
+    return events
+      .filter((ev) => ev.type !== 'text' && complete.has(ev.index))
+      .map((ev) => ({
+        ...ev,
+        index: `reasoning:${ev.index}`,
+        ...(ev.type === 'call_end' && { repairs: [...ev.repairs, REASONING_CALL_REPAIR] }),
+      }));
+  }
+
+  /** Validation problems and repairs collected since the last call, or null */
+  takeDiagnostics() {
+    const report = {};
+    if (this.validationErrors.length > 0) report.validation_errors = this.validationErrors.splice(0);
+    if (this.repairReports.length > 0) report.repairs = this.repairReports.splice(0);
+    if (this.violation) report.tool_choice_violation = this.violation;
+    this.violation = null;
+    return Object.keys(report).length > 0 ? report : null;
+  }
+
+  hasDiagnostics() {
+    return this.validationErrors.length > 0 || this.repairReports.length > 0 || !!this.violation;
+  }
+
+  reject(kind, message, correction) {
+    if (!this.rejectAttempt) {
+      if (kind === 'tool_choice') this.violation = message;
+      return;
+    }
+    this.rejection = { kind, message, correction, content: this.rawContent, emitted: this.emittedContent || this.sawToolCall };
+  }
+
+  // Decide whether a starting call is forwarded; may reject the whole attempt
+  admitCall(ev) {
+    const { toolChoice } = this;
+    if (toolChoice.mode === 'none' || (toolChoice.mode === 'function' && ev.name !== toolChoice.name && !this.sawToolCall)) {
+      this.reject('tool_choice', checkToolChoice(toolChoice, [{ function: { name: ev.name } }]), toolChoiceCorrection(toolChoice));
+      return false;
+    }
+    if (toolChoice.mode === 'function' && ev.name !== toolChoice.name) return false;
+
+    if (this.toolsByName && !this.toolsByName.has(ev.name) && this.retryValidation && !this.emittedContent && !this.sawToolCall) {
+      const problem = { tool_call_id: ev.id, name: ev.name, errors: validateToolCall({ function: { name: ev.name } }, this.toolsByName) };
+      this.reject('validation', problem.errors[0], validationCorrection([problem]));
+      return false;
+    }
+    // the few-shot example tool is never forwarded
+    return !isFewShotCall(ev.name);
+  }
+
+  apply(events) {
+    const ops = [];
+
+    for (const ev of events) {
+      if (ev.type === 'text') {
+        if (this.holdText && !this.sawToolCall) this.heldText += ev.text;
+        else ops.push({ type: 'text', text: ev.text });
+      } else if (ev.type === 'call_start') {
+        if (!this.admitCall(ev)) {
+          if (this.rejection) return [];
+          this.callIndexMap.set(ev.index, null);
+          continue;
+        }
+        if (!this.sawToolCall && this.heldText) {
+          ops.push({ type: 'text', text: this.heldText });
+          this.heldText = '';
+        }
+        this.sawToolCall = true;
+        const index = this.forwardedCalls++;
+        this.callIndexMap.set(ev.index, index);
+        ops.push({ type: 'call_start', index, id: ev.id, name: ev.name });
+      } else if (ev.type === 'args_delta') {
+        const index = this.callIndexMap.get(ev.index);
+        if (index === null || index === undefined) continue;
+        ops.push({ type: 'args', index, delta: ev.delta });
+      } else if (ev.type === 'call_end') {
+        const index = this.callIndexMap.get(ev.index);
+        if (index === null || index === undefined) continue;
+        const repairs = this.prunedTools?.has(ev.name) ? [...ev.repairs, PRUNED_CALL_REPAIR] : ev.repairs;
+        if (repairs.length > 0) this.repairReports.push({ tool_call_id: ev.id, name: ev.name, repairs });
+        if (this.toolsByName) {
+          const call = { id: ev.id, function: { name: ev.name, arguments: ev.arguments } };
+          const errors = validateToolCall(call, this.toolsByName);
+          if (errors.length > 0) this.validationErrors.push({ tool_call_id: ev.id, name: ev.name, errors });
+        }
+        ops.push({ type: 'call_end', index });
+      }
+    }
+
+    if (ops.some((op) => op.type === 'text')) this.emittedContent = true;
+    return ops;
+  }
+}
+
+// ============ Transparent stream transformer ============
+
+// Fold session operations into a single delta: content is concatenated, tool_calls merged per index
+function applyToolOps(delta, ops) {
+  let content = '';
+  const toolCalls = [];
+
+  for (const op of ops) {
+    if (op.type === 'text') {
+      content += op.text;
+    } else if (op.type === 'call_start') {
+      toolCalls.push({ index: op.index, id: op.id, type: 'function', function: { name: op.name, arguments: '' } });
+    } else if (op.type === 'args') {
+      const last = toolCalls[toolCalls.length - 1];
+      if (last && last.index === op.index) last.function.arguments += op.delta;
+      else toolCalls.push({ index: op.index, function: { arguments: op.delta } });
+    }
+  }
+
+  if (content) delta.content = content;
+  else delete delta.content;
+  if (toolCalls.length > 0) delta.tool_calls = toolCalls;
+}
+
+/**
+ * Creates a Transform stream that:
+ * - Parses upstream SSE events
+ * - Transparently forwards all fields
+ * - Only intercepts/rewrites choices[].delta.content to extract AnyToolCall blocks
+ * - Emits OpenAI-style incremental delta.tool_calls: id/type/name as soon as the name is
+ *   complete, then arguments fragments while the model is still writing them
+ * - Keeps one ToolCallSession per choice index, so n>1 streams are parsed independently
+ * - Reports validation problems and repairs in choices[].anytoolcall.{validation_errors,repairs}
+ *   on each choice's finishing chunk
+ *
+ * tool_choice and validation are handled by ToolCallSession; when it rejects the attempt
+ * the transformer emits 'reject' with the rejection and swallows the rest of the upstream stream.
+ */
+function createTransparentToolStreamTransformer({ shared, ...sessionOptions } = {}) {
+  const parser = new SseEventParser();
+  const sessions = new Map(); // choice index -> ToolCallSession
+  let rejection = null;
+
+  // keep last upstream envelope for events emitted after upstream stopped sending content
+  let lastEnvelope = null; // {id, object, created, model, ...} as json event
+  let sawDone = false;
+
+  function sessionFor(index) {
+    if (!sessions.has(index)) sessions.set(index, new ToolCallSession(sessionOptions));
+    return sessions.get(index);
+  }
+
+  function attachDiagnostics(choice, session) {
+    const report = session.takeDiagnostics();
+    if (report) choice.anytoolcall = { ...choice.anytoolcall, ...report };
+  }
+
+  function flushToolParser(stream) {
+    const choices = [];
+    for (const [index, session] of sessions) {
+      if (session.finished && !session.hasDiagnostics()) continue;
+      const ops = session.end();
+      if (session.rejection) {
+        rejection = session.rejection;
+        return;
+      }
+      const choice = { index, delta: {}, finish_reason: null };
+      applyToolOps(choice.delta, ops);
+      attachDiagnostics(choice, session);
+      if (choice.delta.content || choice.delta.tool_calls || choice.anytoolcall) choices.push(choice);
+    }
+    if (choices.length === 0 || !lastEnvelope) return;
+
+    const evt = cloneJson(lastEnvelope);
+    evt.choices = choices;
+    stream.push(sseEncodeJson(evt));
+  }
+
+  function reportRejection(stream) {
+    stream.emit('reject', rejection);
+  }
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      if (rejection) return callback();
+
+      const text = chunk.toString('utf8');
+      const rawEvents = parser.pushText(text);
+
+      for (const rawEvent of rawEvents) {
+        // [DONE]
+        if (SseEventParser.isDoneEvent(rawEvent)) {
+          sawDone = true;
+          // flush held-back text / an unterminated block before forwarding DONE
+          flushToolParser(this);
+          if (rejection) {
+            reportRejection(this);
+            break;
+          }
+          this.push(sseEncodeData('[DONE]'));
+          continue;
+        }
+
+        const parsed = SseEventParser.parseJsonFromEvent(rawEvent);
+
+        // If we can't parse JSON, forward raw as-is (best effort)
+        if (!parsed || parsed.__raw) {
+          // raw passthrough, keep original formatting
+          this.push(rawEvent + '\n\n');
+          continue;
+        }
+
+        // record last upstream envelope for patching
+        lastEnvelope = parsed;
+
+        // If no choices -> transparent pass-through (e.g. usage-only chunk)
+        const choices = parsed.choices;
+        if (!Array.isArray(choices) || choices.length === 0) {
+          this.push(sseEncodeJson(parsed));
+          continue;
+        }
+
+        // Each choice: only delta.content / delta.tool_calls are replaced, other keys preserved
+        const outEvt = cloneJson(parsed);
+        let rewritten = false;
+        outEvt.choices.forEach((choice, position) => {
+          if (rejection) return;
+          const content = choice?.delta?.content;
+          const finishReason = choice?.finish_reason;
+          const hasContent = typeof content === 'string' && content.length > 0;
+          // reasoning is forwarded as is; the session only looks for calls in it
+          const reasoning = chatReasoningText(choice?.delta);
+          if (reasoning) sessionFor(choice.index ?? position).pushReasoning(reasoning);
+          // Nothing to rewrite (e.g. reasoning_content-only delta)
+          if (!hasContent && !finishReason) return;
+
+          const session = sessionFor(choice.index ?? position);
+          const ops = [];
+          if (hasContent) ops.push(...session.push(content));
+          if (finishReason) ops.push(...session.end());
+          if (session.rejection) {
+            rejection = session.rejection;
+            return;
+          }
+
+          rewritten = true;
+          choice.delta = choice.delta && typeof choice.delta === 'object' ? choice.delta : {};
+          applyToolOps(choice.delta, ops);
+          if (session.sawToolCall && choice.finish_reason === 'stop') {
+            choice.finish_reason = 'tool_calls';
+          }
+          if (finishReason) attachDiagnostics(choice, session);
+        });
+
+        if (rejection) {
+          reportRejection(this);
+          break;
+        }
+        this.push(sseEncodeJson(rewritten ? outEvt : parsed));
+      }
+
+      callback();
+    },
+
+    flush(callback) {
+      // If upstream ended abruptly without [DONE], best effort: flush pending
+      if (!rejection) {
+        if (!sawDone) metrics.streamsWithoutDone.inc();
+        flushToolParser(this);
+        if (rejection) reportRejection(this);
+      }
+
+      // Do not force [DONE] here; upstream should provide it in normal cases.
+      callback();
+    },
+  });
+}
+
+/**
+ * Pump one upstream SSE response through a tool transformer into res (without ending res).
+ * Resolves with the transformer's rejection, if any, once it has drained. When the upstream
+ * breaks off (idle timeout, reset, client abort) what was parsed is flushed and the error rethrown.
+ */
+async function pipeToolStream(upstreamRes, res, transformer) {
+  const reader = upstreamRes.body.getReader();
+  const decoder = new TextDecoder();
+  let rejection = null;
+  let failure = null;
+
+  transformer.on('data', (c) => res.write(c));
+  transformer.on('reject', (r) => {
+    rejection = r;
+  });
+  const drained = new Promise((resolve) => {
+    transformer.on('end', resolve);
+    transformer.on('error', resolve);
+  });
+
+  try {
+    while (!rejection) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      transformer.write(decoder.decode(value, { stream: true }));
+    }
+  } catch (e) {
+    failure = e;
+  } finally {
+    if (rejection) reader.cancel().catch(() => {});
+    transformer.end();
+  }
+
+  await drained;
+  if (failure) throw failure;
+  return rejection;
+}
+
+// ============ Anthropic Messages API ============
+
+// Custom (client-side) tools; server tools such as web_search are left to the upstream
+function isAnthropicCustomTool(tool) {
+  return !!tool?.input_schema && (tool.type === undefined || tool.type === 'custom');
+}
+
+// Text of an Anthropic content value (string or content blocks)
+function anthropicText(content, separator = '') {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content.filter((b) => b?.type === 'text').map((b) => b.text || '').join(separator);
+}
+
+function anthropicToolResult(block) {
+  let content = block.content ?? '';
+  if (Array.isArray(content) && content.every((b) => b?.type === 'text')) content = anthropicText(content, '\n');
+  if (block.is_error) content = Array.isArray(content) ? [{ type: 'text', text: '[error]' }, ...content] : `[error] ${content}`;
+  return content;
+}
+
+function anthropicToolChoice(toolChoice) {
+  switch (toolChoice?.type) {
+    case 'any':
+      return 'required';
+    case 'none':
+      return 'none';
+    case 'tool':
+      return { type: 'function', function: { name: toolChoice.name } };
+    default:
+      return 'auto';
+  }
+}
+
+/**
+ * Anthropic Messages request -> chat-completions shaped request (messages/tools/tool_choice)
+ * for transformRequest. tool_use blocks become tool_calls, tool_result blocks become tool
+ * messages; images and other user blocks are kept as content parts. thinking and
+ * redacted_thinking blocks of assistant turns are kept (with their signatures) in thinking_blocks.
+ */
+function anthropicToChat(body) {
+  const messages = [];
+  const system = anthropicText(body?.system, '\n\n');
+  if (system) messages.push({ role: 'system', content: system });
+
+  const toolNames = new Map(); // tool_use id -> name, to label results
+  for (const msg of body?.messages || []) {
+    if (!Array.isArray(msg.content)) {
+      messages.push({ role: msg.role, content: msg.content });
+      continue;
+    }
+
+    if (msg.role === 'assistant') {
+      const toolCalls = msg.content.filter((b) => b?.type === 'tool_use').map((b) => {
+        toolNames.set(b.id, b.name);
+        return { id: b.id, type: 'function', function: { name: b.name, arguments: JSON.stringify(b.input ?? {}) } };
+      });
+      const out = { role: 'assistant', content: anthropicText(msg.content) };
+      if (toolCalls.length > 0) out.tool_calls = toolCalls;
+      const thinking = msg.content.filter((b) => b?.type === 'thinking' || b?.type === 'redacted_thinking');
+      if (thinking.length > 0) out.thinking_blocks = thinking;
+      messages.push(out);
+      continue;
+    }
+
+    const parts = [];
+    for (const block of msg.content) {
+      if (block?.type === 'tool_result') {
+        messages.push({ role: 'tool', tool_call_id: block.tool_use_id, name: toolNames.get(block.tool_use_id), content: anthropicToolResult(block) });
+      } else {
+        parts.push(block);
+      }
+    }
+    if (parts.length > 0) {
+      messages.push({ role: msg.role, content: parts.every((b) => b?.type === 'text') ? anthropicText(parts, '\n') : parts });
+    }
+  }
+
+  const chat = { messages };
+  const tools = Array.isArray(body?.tools) ? body.tools.filter(isAnthropicCustomTool) : [];
+  if (tools.length > 0) {
+    chat.tools = tools.map((t) => ({
+      type: 'function',
+      function: { name: t.name, description: t.description, parameters: t.input_schema },
+    }));
+    chat.tool_choice = anthropicToolChoice(body.tool_choice);
+  }
+  return chat;
+}
+
+/**
+ * Transformed chat request -> Anthropic request body. Everything except system, messages,
+ * tools and tool_choice is kept from the original body. System blocks (cache_control etc.)
+ * are preserved, with the injected prompt appended as an extra block.
+ */
+function chatToAnthropic(chat, body) {
+  const out = { ...body };
+
+  const system = chat.messages.find((m) => m.role === 'system')?.content;
+  if (system !== undefined) {
+    const original = anthropicText(body.system, '\n\n');
+    if (Array.isArray(body.system) && system.startsWith(original)) {
+      const extra = system.slice(original.length).trim();
+      out.system = extra ? [...body.system, { type: 'text', text: extra }] : body.system;
+    } else {
+      out.system = system;
+    }
+  }
+  // thinking blocks have to come first in an assistant turn
+  out.messages = chat.messages.filter((m) => m.role !== 'system').map((m) => ({
+    role: m.role,
+    content: m.thinking_blocks ? [...m.thinking_blocks, ...contentParts(m.content)] : m.content,
+  }));
+
+  const serverTools = Array.isArray(body.tools) ? body.tools.filter((t) => !isAnthropicCustomTool(t)) : [];
+  if (serverTools.length > 0) out.tools = serverTools;
+  else delete out.tools;
+  delete out.tool_choice;
+
+  return out;
+}
+
+function anthropicToolUseId(id) {
+  return id.replace(/^call_/, 'toolu_');
+}
+
+/**
+ * Rewrite a non-stream Anthropic message: text blocks are replaced by the cleaned text
+ * (at the position of the first one), parsed calls are appended as tool_use blocks.
+ */
+function applyAnthropicToolCalls(data, index, { toolCalls, cleanContent, diagnostics }) {
+  if (cleanContent !== null) {
+    const content = [];
+    let textPlaced = false;
+    for (const block of data.content) {
+      if (block?.type !== 'text') {
+        content.push(block);
+      } else if (!textPlaced) {
+        textPlaced = true;
+        if (cleanContent) content.push({ ...block, text: cleanContent });
+      }
+    }
+    for (const tc of toolCalls) {
+      content.push({ type: 'tool_use', id: anthropicToolUseId(tc.id), name: tc.function.name, input: toolArgumentsObject(tc.function.arguments) });
+    }
+    data.content = content;
+  }
+  if (toolCalls.length > 0) {
+    data.stop_reason = 'tool_use';
+    data.stop_sequence = null;
+  }
+  if (diagnostics) data.anytoolcall = { ...data.anytoolcall, ...diagnostics };
+}
+
+/**
+ * Anthropic counterpart of createTransparentToolStreamTransformer. Upstream text blocks go
+ * through a ToolCallSession and are re-emitted as text and tool_use content blocks
+ * (content_block_start / input_json_delta / content_block_stop); other blocks such as
+ * thinking pass through with their index shifted (thinking is also fed to the session's
+ * reasoning fallback). Diagnostics are attached to message_delta.
+ *
+ * `shared` carries message state across correction rounds, so the client sees a single
+ * message_start and continuous block indexes.
+ */
+function createAnthropicToolStreamTransformer({ shared = {}, ...sessionOptions } = {}) {
+  const parser = new SseEventParser();
+  const session = new ToolCallSession(sessionOptions);
+  shared.nextIndex = shared.nextIndex || 0;
+
+  let openBlock = null;              // client block currently being written: { index, type }
+  const textBlocks = new Set();      // upstream indexes of text blocks
+  const blockIndexMap = new Map();   // upstream index -> client index for passed-through blocks
+
+  const send = (stream, evt) => stream.push(sseEncodeEvent(evt.type, evt));
+
+  function closeBlock(stream) {
+    if (!openBlock) return;
+    send(stream, { type: 'content_block_stop', index: openBlock.index });
+    openBlock = null;
+  }
+
+  function openNewBlock(stream, contentBlock) {
+    closeBlock(stream);
+    openBlock = { index: shared.nextIndex++, type: contentBlock.type };
+    send(stream, { type: 'content_block_start', index: openBlock.index, content_block: contentBlock });
+  }
+
+  function emitOps(stream, ops) {
+    for (const op of ops) {
+      if (op.type === 'text') {
+        if (openBlock?.type !== 'text') openNewBlock(stream, { type: 'text', text: '' });
+        send(stream, { type: 'content_block_delta', index: openBlock.index, delta: { type: 'text_delta', text: op.text } });
+      } else if (op.type === 'call_start') {
+        openNewBlock(stream, { type: 'tool_use', id: anthropicToolUseId(op.id), name: op.name, input: {} });
+      } else if (op.type === 'args' && openBlock?.type === 'tool_use') {
+        send(stream, { type: 'content_block_delta', index: openBlock.index, delta: { type: 'input_json_delta', partial_json: op.delta } });
+      } else if (op.type === 'call_end') {
+        closeBlock(stream);
+      }
+    }
+  }
+
+  function finish(stream) {
+    emitOps(stream, session.end());
+    if (!session.rejection) closeBlock(stream);
+  }
+
+  function remap(evt) {
+    return { ...evt, index: blockIndexMap.get(evt.index) ?? evt.index };
+  }
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      if (session.rejection) return callback();
+
+      for (const rawEvent of parser.pushText(chunk.toString('utf8'))) {
+        const evt = SseEventParser.parseJsonFromEvent(rawEvent);
+        if (!evt || evt.__raw || evt.__done) {
+          this.push(rawEvent + '\n\n');
+          continue;
+        }
+
+        switch (evt.type) {
+          case 'message_start':
+            if (shared.messageStarted) break;
+            shared.messageStarted = true;
+            send(this, evt);
+            break;
+
+          case 'content_block_start':
+            if (evt.content_block?.type === 'text') {
+              textBlocks.add(evt.index);
+              emitOps(this, session.push(evt.content_block.text || ''));
+            } else {
+              closeBlock(this);
+              blockIndexMap.set(evt.index, shared.nextIndex++);
+              send(this, remap(evt));
+            }
+            break;
+
+          case 'content_block_delta':
+            if (evt.delta?.type === 'thinking_delta') session.pushReasoning(evt.delta.thinking);
+            if (!textBlocks.has(evt.index)) send(this, remap(evt));
+            else if (evt.delta?.type === 'text_delta') emitOps(this, session.push(evt.delta.text || ''));
+            break;
+
+          case 'content_block_stop':
+            // text blocks are closed by emitOps/finish, tool calls may continue in the next block
+            if (!textBlocks.has(evt.index)) send(this, remap(evt));
+            break;
+
+          case 'message_delta': {
+            finish(this);
+            if (session.rejection) break;
+            const out = cloneJson(evt);
+            if (session.sawToolCall && out.delta && ['end_turn', 'stop_sequence'].includes(out.delta.stop_reason)) {
+              out.delta.stop_reason = 'tool_use';
+              out.delta.stop_sequence = null;
+            }
+            const report = session.takeDiagnostics();
+            if (report) out.anytoolcall = { ...out.anytoolcall, ...report };
+            send(this, out);
+            break;
+          }
+
+          case 'message_stop':
+            finish(this);
+            if (!session.rejection) send(this, evt);
+            break;
+
+          default: // ping, error, ...
+            send(this, evt);
+        }
+
+        if (session.rejection) {
+          this.emit('reject', session.rejection);
+          break;
+        }
+      }
+
+      callback();
+    },
+
+    flush(callback) {
+      // upstream ended without message_delta: flush what the parser still holds
+      if (!session.rejection) {
+        if (!session.finished) metrics.streamsWithoutDone.inc();
+        finish(this);
+        if (session.rejection) this.emit('reject', session.rejection);
+      }
+      callback();
+    },
+  });
+}
+
+// ============ Gemini generateContent API ============
+
+// Gemini REST accepts both camelCase and snake_case field names
+function geminiField(obj, camel, snake) {
+  return obj?.[camel] ?? obj?.[snake];
+}
+
+// Visible text of Gemini parts (thought summaries excluded)
+function geminiText(parts, separator = '') {
+  if (!Array.isArray(parts)) return '';
+  return parts.filter((p) => typeof p?.text === 'string' && !p.thought).map((p) => p.text).join(separator);
+}
+
+function geminiToolChoice(toolConfig) {
+  const config = geminiField(toolConfig, 'functionCallingConfig', 'function_calling_config');
+  const allowed = geminiField(config, 'allowedFunctionNames', 'allowed_function_names');
+  switch (String(config?.mode || '').toUpperCase()) {
+    case 'NONE':
+      return 'none';
+    case 'ANY':
+      return Array.isArray(allowed) && allowed.length === 1 ? { type: 'function', function: { name: allowed[0] } } : 'required';
+    default:
+      return 'auto';
+  }
+}
+
+/**
+ * Gemini generateContent request -> chat-completions shaped request for transformRequest.
+ * functionCall parts become tool_calls, functionResponse parts become tool messages, other
+ * user parts are kept as content parts. Thought parts of model turns are kept in
+ * thinking_blocks and the first thoughtSignature of the other parts in thought_signature,
+ * chatToGemini puts both back.
+ */
+function geminiToChat(body) {
+  const messages = [];
+  const system = geminiText(geminiField(body, 'systemInstruction', 'system_instruction')?.parts, '\n\n');
+  if (system) messages.push({ role: 'system', content: system });
+
+  // functionCall / functionResponse ids are optional: unanswered calls are matched by name, in order
+  let unanswered = [];
+  const answer = (response) => {
+    const i = unanswered.findIndex((c) => (response.id ? c.id === response.id : c.name === response.name));
+    return i === -1 ? response.id : unanswered.splice(i, 1)[0].id;
+  };
+
+  for (const content of body?.contents || []) {
+    const parts = Array.isArray(content?.parts) ? content.parts : [];
+
+    if (content.role === 'model') {
+      const toolCalls = parts.map((p) => geminiField(p, 'functionCall', 'function_call')).filter(Boolean).map((fc) => ({
+        id: fc.id || generateCallId(),
+        type: 'function',
+        function: { name: fc.name, arguments: JSON.stringify(fc.args ?? {}) },
+      }));
+      unanswered = toolCalls.map((tc) => ({ id: tc.id, name: tc.function.name }));
+      const out = { role: 'assistant', content: geminiText(parts) };
+      if (toolCalls.length > 0) out.tool_calls = toolCalls;
+      const thoughts = parts.filter((p) => p?.thought);
+      if (thoughts.length > 0) out.thinking_blocks = thoughts;
+      const signature = parts.filter((p) => !p?.thought).map((p) => geminiField(p, 'thoughtSignature', 'thought_signature')).find(Boolean);
+      if (signature) out.thought_signature = signature;
+      messages.push(out);
+      continue;
+    }
+
+    const rest = [];
+    for (const part of parts) {
+      const response = geminiField(part, 'functionResponse', 'function_response');
+      if (!response) {
+        rest.push(part);
+        continue;
+      }
+      // multimodal function responses carry inline_data / file_data parts next to the JSON
+      const media = Array.isArray(response.parts) ? response.parts : [];
+      const content = media.length > 0 ? [{ text: JSON.stringify(response.response ?? {}) }, ...media] : response.response ?? {};
+      messages.push({ role: 'tool', tool_call_id: answer(response), name: response.name, content });
+    }
+    if (rest.length > 0) {
+      messages.push({ role: 'user', content: rest.every((p) => typeof p?.text === 'string') ? geminiText(rest, '\n') : rest });
+    }
+  }
+
+  const chat = { messages };
+  const declarations = [];
+  for (const tool of Array.isArray(body?.tools) ? body.tools : []) {
+    declarations.push(...(geminiField(tool, 'functionDeclarations', 'function_declarations') || []));
+  }
+  if (declarations.length > 0) {
+    const toolConfig = geminiField(body, 'toolConfig', 'tool_config');
+    chat.tool_choice = geminiToolChoice(toolConfig);
+    // mode ANY with several allowedFunctionNames: only those are offered
+    const config = geminiField(toolConfig, 'functionCallingConfig', 'function_calling_config');
+    const allowed = geminiField(config, 'allowedFunctionNames', 'allowed_function_names');
+    const restrict = chat.tool_choice === 'required' && Array.isArray(allowed) && allowed.length > 0;
+    chat.tools = declarations
+      .filter((d) => !restrict || allowed.includes(d.name))
+      .map((d) => ({
+        type: 'function',
+        function: { name: d.name, description: d.description, parameters: d.parameters ?? geminiField(d, 'parametersJsonSchema', 'parameters_json_schema') },
+      }));
+  }
+  return chat;
+}
+
+/**
+ * Transformed chat request -> Gemini request body. Function declarations and the
+ * function-calling config are removed; built-in tools (googleSearch, codeExecution, ...),
+ * generationConfig, safetySettings etc. are kept.
+ */
+function chatToGemini(chat, body) {
+  const out = { ...body };
+
+  const system = chat.messages.find((m) => m.role === 'system')?.content;
+  if (system !== undefined) {
+    delete out.system_instruction;
+    out.systemInstruction = { parts: [{ text: system }] };
+  }
+  out.contents = chat.messages.filter((m) => m.role !== 'system').map((m) => {
+    const parts = typeof m.content === 'string' ? [{ text: m.content }] : m.content.map((p) => (p?.type === 'text' ? { text: p.text } : p));
+    if (m.thought_signature) parts[0] = parts.length > 0 ? { ...parts[0], thoughtSignature: m.thought_signature } : { text: '', thoughtSignature: m.thought_signature };
+    return { role: m.role === 'assistant' ? 'model' : 'user', parts: [...(m.thinking_blocks || []), ...parts] };
+  });
+
+  const builtinTools = (Array.isArray(body.tools) ? body.tools : [])
+    .map(({ functionDeclarations, function_declarations, ...rest }) => rest)
+    .filter((t) => Object.keys(t).length > 0);
+  if (builtinTools.length > 0) out.tools = builtinTools;
+  else delete out.tools;
+
+  const toolConfig = geminiField(body, 'toolConfig', 'tool_config');
+  delete out.toolConfig;
+  delete out.tool_config;
+  if (toolConfig) {
+    const { functionCallingConfig, function_calling_config, ...rest } = toolConfig;
+    if (Object.keys(rest).length > 0) out.toolConfig = rest;
+  }
+
+  return out;
+}
+
+function geminiFunctionCallPart(id, name, args) {
+  return { functionCall: { id, name, args: toolArgumentsObject(args) } };
+}
+
+/**
+ * Rewrite a non-stream Gemini response: visible text parts are replaced by the cleaned
+ * text, parsed calls are appended as functionCall parts. Thought parts, safetyRatings,
+ * groundingMetadata etc. are untouched. A thought signature carried by a replaced text
+ * part moves to the first functionCall part, where Gemini itself puts it.
+ */
+function applyGeminiToolCalls(data, index, { toolCalls, cleanContent, diagnostics }) {
+  const candidate = data.candidates[index];
+  if (cleanContent !== null) {
+    const parts = [];
+    let textPlaced = false;
+    let signature = null;
+    for (const part of candidate.content.parts) {
+      if (typeof part?.text !== 'string' || part.thought) {
+        parts.push(part);
+      } else if (!textPlaced && cleanContent) {
+        textPlaced = true;
+        parts.push({ ...part, text: cleanContent });
+      } else {
+        signature = signature || geminiField(part, 'thoughtSignature', 'thought_signature') || null;
+      }
+    }
+    const calls = toolCalls.map((tc) => geminiFunctionCallPart(tc.id, tc.function.name, tc.function.arguments));
+    if (signature && calls.length > 0) calls[0].thoughtSignature = signature;
+    else if (signature) parts.push({ text: '', thoughtSignature: signature });
+    candidate.content.parts = [...parts, ...calls];
+  }
+  if (diagnostics) candidate.anytoolcall = { ...candidate.anytoolcall, ...diagnostics };
+}
+
+/**
+ * Gemini counterpart of createTransparentToolStreamTransformer (alt=sse responses).
+ * Visible text parts of each candidate go through that candidate's ToolCallSession; Gemini
+ * has no incremental function-call form, so each call is sent as one functionCall part once
+ * its arguments are complete. Thought parts and all other fields pass through (thoughts are
+ * also fed to the reasoning fallback); diagnostics are attached to the candidate carrying
+ * finishReason.
+ */
+function createGeminiToolStreamTransformer({ shared, ...sessionOptions } = {}) {
+  const parser = new SseEventParser();
+  const candidates = new Map(); // candidate index -> { session, pendingCalls, pendingSignature }
+  let rejection = null;
+  let lastEnvelope = null;
+
+  function stateFor(index) {
+    if (!candidates.has(index)) {
+      candidates.set(index, {
+        session: new ToolCallSession(sessionOptions),
+        pendingCalls: new Map(), // client index -> { id, name, args }
+        pendingSignature: null,  // signature of a text part we consumed
+      });
+    }
+    return candidates.get(index);
+  }
+
+  function opsToParts(state, ops) {
+    const parts = [];
+    for (const op of ops) {
+      if (op.type === 'text') {
+        const last = parts[parts.length - 1];
+        if (last && typeof last.text === 'string') last.text += op.text;
+        else parts.push({ text: op.text });
+      } else if (op.type === 'call_start') {
+        state.pendingCalls.set(op.index, { id: op.id, name: op.name, args: '' });
+      } else if (op.type === 'args') {
+        state.pendingCalls.get(op.index).args += op.delta;
+      } else if (op.type === 'call_end') {
+        const call = state.pendingCalls.get(op.index);
+        state.pendingCalls.delete(op.index);
+        parts.push(geminiFunctionCallPart(call.id, call.name, call.args));
+      }
+    }
+    if (state.pendingSignature && parts.length > 0) {
+      (parts.find((p) => p.functionCall) || parts[0]).thoughtSignature = state.pendingSignature;
+      state.pendingSignature = null;
+    }
+    return parts;
+  }
+
+  function attachDiagnostics(candidate, session) {
+    const report = session.takeDiagnostics();
+    if (report) candidate.anytoolcall = { ...candidate.anytoolcall, ...report };
+  }
+
+  function flushToolParser(stream) {
+    const out = [];
+    for (const [index, state] of candidates) {
+      if (state.session.finished && !state.session.hasDiagnostics()) continue;
+      const parts = opsToParts(state, state.session.end());
+      if (state.session.rejection) {
+        rejection = state.session.rejection;
+        return;
+      }
+      const candidate = { index, content: { role: 'model', parts } };
+      attachDiagnostics(candidate, state.session);
+      if (parts.length > 0 || candidate.anytoolcall) out.push(candidate);
+    }
+    if (out.length === 0 || !lastEnvelope) return;
+
+    const evt = cloneJson(lastEnvelope);
+    evt.candidates = out;
+    stream.push(sseEncodeJson(evt));
+  }
+
+  // Rewrite one candidate in place; false = nothing to send for it yet
+  function rewriteCandidate(candidate, position) {
+    const state = stateFor(candidate.index ?? position);
+    const { session } = state;
+
+    const kept = [];
+    const ops = [];
+    for (const part of candidate.content?.parts || []) {
+      if (typeof part?.text === 'string' && !part.thought) {
+        state.pendingSignature = geminiField(part, 'thoughtSignature', 'thought_signature') || state.pendingSignature;
+        ops.push(...session.push(part.text));
+      } else {
+        if (part?.thought && typeof part.text === 'string') session.pushReasoning(part.text);
+        kept.push(part);
+      }
+    }
+    if (candidate.finishReason) ops.push(...session.end());
+    if (session.rejection) {
+      rejection = session.rejection;
+      return false;
+    }
+
+    const parts = [...kept, ...opsToParts(state, ops)];
+    if (candidate.finishReason && state.pendingSignature) {
+      parts.push({ text: '', thoughtSignature: state.pendingSignature });
+      state.pendingSignature = null;
+    }
+    // text held back by the parser (partial delimiter, tool_choice) -> nothing to send yet
+    if (parts.length === 0 && !candidate.finishReason) return false;
+
+    candidate.content = { role: 'model', ...candidate.content, parts };
+    if (candidate.finishReason) attachDiagnostics(candidate, session);
+    return true;
+  }
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      if (rejection) return callback();
+
+      for (const rawEvent of parser.pushText(chunk.toString('utf8'))) {
+        const parsed = SseEventParser.parseJsonFromEvent(rawEvent);
+        if (!parsed || parsed.__raw || parsed.__done) {
+          this.push(rawEvent + '\n\n');
+          continue;
+        }
+
+        const hasText = (c) => Array.isArray(c?.content?.parts) || c?.finishReason;
+        if (!Array.isArray(parsed.candidates) || !parsed.candidates.some(hasText)) {
+          this.push(sseEncodeJson(parsed));
+          continue;
+        }
+        lastEnvelope = parsed;
+
+        const outEvt = cloneJson(parsed);
+        outEvt.candidates = outEvt.candidates.filter((c, position) => !hasText(c) || rewriteCandidate(c, position));
+        if (rejection) {
+          this.emit('reject', rejection);
+          break;
+        }
+        if (outEvt.candidates.length > 0) this.push(sseEncodeJson(outEvt));
+      }
+
+      callback();
+    },
+
+    flush(callback) {
+      // upstream ended without finishReason: flush what the parsers still hold
+      if (!rejection) {
+        if ([...candidates.values()].some((state) => !state.session.finished)) metrics.streamsWithoutDone.inc();
+        flushToolParser(this);
+        if (rejection) this.emit('reject', rejection);
+      }
+      callback();
+    },
+  });
+}
+
+// ============ OpenAI Responses API ============
+
+// Text of Responses content (string or input_text / output_text parts)
+function responsesText(content, separator = '') {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content.filter((p) => p?.type === 'input_text' || p?.type === 'output_text').map((p) => p.text || '').join(separator);
+}
+
+function isResponsesTextPart(part) {
+  return part?.type === 'input_text' || part?.type === 'output_text';
+}
+
+function responsesToolChoice(toolChoice) {
+  if (toolChoice?.type === 'allowed_tools') return toolChoice.mode === 'required' ? 'required' : 'auto';
+  return toolChoice;
+}
+
+/**
+ * Responses request -> chat-completions shaped request for transformRequest.
+ * instructions and system/developer messages form the system message; function_call items
+ * become tool_calls of the preceding assistant turn, function_call_output items become
+ * tool messages. Reasoning and other non-message items are dropped.
+ */
+function responsesToChat(body) {
+  const messages = [];
+  const systemParts = body?.instructions ? [body.instructions] : [];
+  const toolNames = new Map(); // call_id -> name, to label results
+
+  const items = typeof body?.input === 'string' ? [{ role: 'user', content: body.input }] : body?.input || [];
+  for (const item of items) {
+    const type = item?.type || 'message';
+
+    if (type === 'message') {
+      if (item.role === 'system' || item.role === 'developer') {
+        systemParts.push(responsesText(item.content, '\n'));
+      } else if (item.role === 'assistant') {
+        messages.push({ role: 'assistant', content: responsesText(item.content) });
+      } else if (typeof item.content === 'string' || (Array.isArray(item.content) && item.content.every(isResponsesTextPart))) {
+        messages.push({ role: 'user', content: responsesText(item.content, '\n') });
+      } else {
+        messages.push({ role: 'user', content: item.content });
+      }
+    } else if (type === 'function_call') {
+      toolNames.set(item.call_id, item.name);
+      let last = messages[messages.length - 1];
+      if (last?.role !== 'assistant') {
+        last = { role: 'assistant', content: '' };
+        messages.push(last);
+      }
+      last.tool_calls = [...(last.tool_calls || []), {
+        id: item.call_id,
+        type: 'function',
+        function: { name: item.name, arguments: item.arguments || '{}' },
+      }];
+    } else if (type === 'function_call_output') {
+      const output = Array.isArray(item.output) && item.output.every(isResponsesTextPart) ? responsesText(item.output, '\n') : item.output;
+      messages.push({ role: 'tool', tool_call_id: item.call_id, name: toolNames.get(item.call_id), content: output ?? '' });
+    }
+  }
+
+  const system = systemParts.filter(Boolean).join('\n\n');
+  if (system) messages.unshift({ role: 'system', content: system });
+
+  const chat = { messages };
+  let tools = Array.isArray(body?.tools) ? body.tools.filter((t) => t?.type === 'function') : [];
+  if (body?.tool_choice?.type === 'allowed_tools') {
+    const allowed = new Set((body.tool_choice.tools || []).map((t) => t.name));
+    tools = tools.filter((t) => allowed.has(t.name));
+  }
+  if (tools.length > 0) {
+    chat.tools = tools.map((t) => ({
+      type: 'function',
+      function: { name: t.name, description: t.description, parameters: t.parameters },
+    }));
+    chat.tool_choice = responsesToolChoice(body.tool_choice);
+  }
+  return chat;
+}
+
+/**
+ * Transformed chat request -> Responses request body. The system message becomes
+ * `instructions`, the rest plain role/content input messages; function tools and
+ * tool_choice are removed, built-in tools (web_search, file_search, ...) kept.
+ */
+function chatToResponses(chat, body) {
+  const out = { ...body };
+
+  const system = chat.messages.find((m) => m.role === 'system')?.content;
+  if (system !== undefined) out.instructions = system;
+  out.input = chat.messages.filter((m) => m.role !== 'system').map((m) => ({
+    role: m.role,
+    content: Array.isArray(m.content)
+      ? m.content.map((p) => (p?.type === 'text' ? { type: m.role === 'assistant' ? 'output_text' : 'input_text', text: p.text } : p))
+      : m.content,
+  }));
+
+  const builtinTools = Array.isArray(body.tools) ? body.tools.filter((t) => t?.type !== 'function') : [];
+  if (builtinTools.length > 0) out.tools = builtinTools;
+  else delete out.tools;
+  delete out.tool_choice;
+
+  return out;
+}
+
+function responsesFunctionCallItem(callId, name, args, status = 'completed') {
+  return { id: `fc_${callId}`, type: 'function_call', status, arguments: args, call_id: callId, name };
+}
+
+/**
+ * Rewrite a non-stream Responses object: the first message item keeps the cleaned text
+ * (dropped if empty), further message items are removed, parsed calls are appended as
+ * function_call items. Reasoning and other items stay in place.
+ */
+function applyResponsesToolCalls(data, index, { toolCalls, cleanContent, diagnostics }) {
+  if (cleanContent !== null) {
+    const output = [];
+    let textPlaced = false;
+    for (const item of data.output) {
+      if (item?.type !== 'message') {
+        output.push(item);
+      } else if (!textPlaced) {
+        textPlaced = true;
+        if (cleanContent) output.push({ ...item, content: [{ type: 'output_text', text: cleanContent, annotations: [] }] });
+      }
+    }
+    for (const tc of toolCalls) output.push(responsesFunctionCallItem(tc.id, tc.function.name, tc.function.arguments));
+    data.output = output;
+    if (typeof data.output_text === 'string') data.output_text = cleanContent;
+  }
+  if (diagnostics) data.anytoolcall = { ...data.anytoolcall, ...diagnostics };
+}
+
+/**
+ * Responses counterpart of createTransparentToolStreamTransformer. Upstream message items
+ * are consumed and their text goes through a ToolCallSession; the client receives newly
+ * synthesized message and function_call items (output_item.added, output_text.delta,
+ * function_call_arguments.delta/done, output_item.done). Other items such as reasoning pass
+ * through (reasoning text also feeds the reasoning fallback). output_index and sequence_number are renumbered, and the final response object
+ * lists the items the client actually saw (plus `anytoolcall` diagnostics).
+ *
+ * `shared` carries the numbering and finished items across correction rounds, so the
+ * client sees one response.created and one response.completed.
+ */
+function createResponsesToolStreamTransformer({ shared = {}, ...sessionOptions } = {}) {
+  const parser = new SseEventParser();
+  const session = new ToolCallSession(sessionOptions);
+  const continuation = !!shared.started; // correction round: response already announced
+  shared.started = true;
+  shared.seq = shared.seq || 0;
+  shared.nextIndex = shared.nextIndex || 0;
+  shared.items = shared.items || [];    // finished output items by client output_index
+
+  let openItem = null;                  // synthesized item being written
+  const messageItems = new Set();       // upstream output_index of consumed message items
+  const indexMap = new Map();           // upstream output_index -> client output_index
+  let textItems = 0;
+
+  // events are encoded right away, so passing live item objects is fine
+  const send = (stream, evt) => {
+    const out = { ...evt, sequence_number: shared.seq++ };
+    stream.push(sseEncodeEvent(out.type, out));
+  };
+
+  function closeItem(stream) {
+    if (!openItem) return;
+    const { item, outputIndex } = openItem;
+    if (item.type === 'message') {
+      const part = item.content[0];
+      send(stream, { type: 'response.output_text.done', item_id: item.id, output_index: outputIndex, content_index: 0, text: part.text });
+      send(stream, { type: 'response.content_part.done', item_id: item.id, output_index: outputIndex, content_index: 0, part });
+    } else {
+      send(stream, { type: 'response.function_call_arguments.done', item_id: item.id, output_index: outputIndex, arguments: item.arguments });
+    }
+    item.status = 'completed';
+    send(stream, { type: 'response.output_item.done', output_index: outputIndex, item });
+    shared.items[outputIndex] = item;
+    openItem = null;
+  }
+
+  function openNewItem(stream, item) {
+    closeItem(stream);
+    openItem = { item, outputIndex: shared.nextIndex++ };
+    send(stream, { type: 'response.output_item.added', output_index: openItem.outputIndex, item });
+  }
+
+  function emitOps(stream, ops) {
+    for (const op of ops) {
+      if (op.type === 'text') {
+        if (openItem?.item.type !== 'message') {
+          const id = `msg_${Date.now()}_${textItems++}`;
+          openNewItem(stream, { id, type: 'message', status: 'in_progress', role: 'assistant', content: [] });
+          const part = { type: 'output_text', text: '', annotations: [] };
+          openItem.item.content.push(part);
+          send(stream, { type: 'response.content_part.added', item_id: id, output_index: openItem.outputIndex, content_index: 0, part });
+        }
+        openItem.item.content[0].text += op.text;
+        send(stream, { type: 'response.output_text.delta', item_id: openItem.item.id, output_index: openItem.outputIndex, content_index: 0, delta: op.text });
+      } else if (op.type === 'call_start') {
+        openNewItem(stream, responsesFunctionCallItem(op.id, op.name, '', 'in_progress'));
+      } else if (op.type === 'args' && openItem?.item.type === 'function_call') {
+        openItem.item.arguments += op.delta;
+        send(stream, { type: 'response.function_call_arguments.delta', item_id: openItem.item.id, output_index: openItem.outputIndex, delta: op.delta });
+      } else if (op.type === 'call_end') {
+        closeItem(stream);
+      }
+    }
+  }
+
+  function finish(stream) {
+    emitOps(stream, session.end());
+    if (!session.rejection) closeItem(stream);
+  }
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      if (session.rejection) return callback();
+
+      for (const rawEvent of parser.pushText(chunk.toString('utf8'))) {
+        const evt = SseEventParser.parseJsonFromEvent(rawEvent);
+        if (!evt || evt.__raw || evt.__done) {
+          this.push(rawEvent + '\n\n');
+          continue;
+        }
+        const idx = evt.output_index;
+
+        switch (evt.type) {
+          case 'response.created':
+          case 'response.in_progress':
+            if (!continuation) send(this, evt);
+            break;
+
+          case 'response.output_item.added':
+            if (evt.item?.type === 'message') {
+              messageItems.add(idx);
+            } else {
+              closeItem(this);
+              indexMap.set(idx, shared.nextIndex++);
+              send(this, { ...evt, output_index: indexMap.get(idx) });
+            }
+            break;
+
+          case 'response.output_text.delta':
+            if (messageItems.has(idx)) emitOps(this, session.push(evt.delta || ''));
+            break;
+
+          case 'response.output_item.done':
+            if (messageItems.has(idx)) break;
+            shared.items[indexMap.get(idx) ?? idx] = evt.item;
+            send(this, { ...evt, output_index: indexMap.get(idx) ?? idx });
+            break;
+
+          case 'response.completed':
+          case 'response.incomplete':
+          case 'response.failed': {
+            finish(this);
+            if (session.rejection) break;
+            const out = cloneJson(evt);
+            if (out.response) {
+              out.response.output = shared.items.filter(Boolean);
+              const report = session.takeDiagnostics();
+              if (report) out.response.anytoolcall = { ...out.response.anytoolcall, ...report };
+            }
+            send(this, out);
+            break;
+          }
+
+          default:
+            if (evt.type === 'response.reasoning_text.delta' || evt.type === 'response.reasoning_summary_text.delta') {
+              session.pushReasoning(evt.delta);
+            }
+            // remaining events of consumed message items are replaced by our own
+            if (idx !== undefined && messageItems.has(idx)) break;
+            send(this, idx !== undefined && indexMap.has(idx) ? { ...evt, output_index: indexMap.get(idx) } : evt);
+        }
+
+        if (session.rejection) {
+          this.emit('reject', session.rejection);
+          break;
+        }
+      }
+
+      callback();
+    },
+
+    flush(callback) {
+      // upstream ended without response.completed: flush what the parser still holds
+      if (!session.rejection) {
+        if (!session.finished) metrics.streamsWithoutDone.inc();
+        finish(this);
+        if (session.rejection) this.emit('reject', session.rejection);
+      }
+      callback();
+    },
+  });
+}
+
+// ============ API formats ============
+
+/**
+ * Each supported upstream API is described by an adapter that maps its native request onto
+ * the chat-completions shape transformRequest works on, and maps responses back:
+ * - isStream(body, pathname): whether the client asked for a streamed response
+ * - modelName(body, pathname): requested model (selects the tool dialect)
+ * - toChat(body) / fromChat(chat, body): request conversion (fromChat runs after every
+ *   transformRequest / correction round)
+ * - choiceCount(body) (optional): number of choices requested (n / candidateCount)
+ * - responseTexts(data): assistant text per choice of a non-stream response (null = skip)
+ * - reasoningTexts(data): reasoning text per choice (null = none), for the reasoning fallback
+ * - applyToolCalls(data, index, { toolCalls, cleanContent, diagnostics }): write parsed calls
+ *   back into one choice (cleanContent null = leave the text alone)
+ * - createStreamTransformer(options): tool-call aware SSE transformer
+ * - errorBody(error) / streamError(error, shared): error in the format's own envelope
+ * - usage(obj): { input, output } tokens reported by a response or stream event, or null
+ * - checkStream(url) (optional): reason a streamed tool request cannot be transformed
+ */
+const API_FORMATS = {
+  openai: {
+    matches: (pathname) => pathname.includes('/chat/completions'),
+    isStream: (body) => body?.stream === true,
+    modelName: (body) => body?.model ?? null,
+    choiceCount: (body) => body?.n ?? 1,
+    toChat: (body) => body,
+    fromChat: (chat) => chat,
+    responseTexts: (data) => (Array.isArray(data?.choices) ? data.choices.map((c) => (c?.message ? c.message.content || '' : null)) : []),
+    reasoningTexts: (data) => (Array.isArray(data?.choices) ? data.choices.map((c) => chatReasoningText(c?.message)) : []),
+    applyToolCalls(data, index, { toolCalls, cleanContent, diagnostics }) {
+      const choice = data.choices[index];
+      if (cleanContent !== null) choice.message.content = cleanContent || null;
+      if (toolCalls.length > 0) {
+        choice.message.tool_calls = toolCalls;
+        choice.finish_reason = 'tool_calls';
+      }
+      if (diagnostics) choice.anytoolcall = { ...choice.anytoolcall, ...diagnostics };
+    },
+    createStreamTransformer: createTransparentToolStreamTransformer,
+    errorBody: (error) => ({ error }),
+    streamError: (error) => sseEncodeJson({ error }) + sseEncodeData('[DONE]'),
+    usage: ({ usage }) => (usage ? { input: usage.prompt_tokens, output: usage.completion_tokens } : null),
+  },
+
+  anthropic: {
+    matches: (pathname) => /\/messages\/?$/.test(pathname),
+    isStream: (body) => body?.stream === true,
+    modelName: (body) => body?.model ?? null,
+    toChat: anthropicToChat,
+    fromChat: chatToAnthropic,
+    responseTexts: (data) => (Array.isArray(data?.content) ? [anthropicText(data.content)] : []),
+    reasoningTexts: (data) => {
+      if (!Array.isArray(data?.content)) return [];
+      return [data.content.filter((b) => b?.type === 'thinking').map((b) => b.thinking || '').join('\n') || null];
+    },
+    applyToolCalls: applyAnthropicToolCalls,
+    createStreamTransformer: createAnthropicToolStreamTransformer,
+    errorBody: (error) => ({ type: 'error', error }),
+    streamError: (error) => sseEncodeEvent('error', { type: 'error', error }),
+    // message_start carries the input, message_delta the running output count
+    usage: (obj) => {
+      const usage = obj.usage || obj.message?.usage;
+      return usage ? { input: usage.input_tokens, output: usage.output_tokens } : null;
+    },
+  },
+
+  responses: {
+    matches: (pathname) => /\/responses\/?$/.test(pathname),
+    isStream: (body) => body?.stream === true,
+    modelName: (body) => body?.model ?? null,
+    toChat: responsesToChat,
+    fromChat: chatToResponses,
+    responseTexts: (data) => {
+      if (!Array.isArray(data?.output)) return [];
+      return [data.output.filter((item) => item?.type === 'message').map((item) => responsesText(item.content)).join('')];
+    },
+    reasoningTexts: (data) => {
+      if (!Array.isArray(data?.output)) return [];
+      const parts = data.output.filter((item) => item?.type === 'reasoning').flatMap((item) => [...(item.content || []), ...(item.summary || [])]);
+      return [parts.map((p) => p?.text || '').join('\n') || null];
+    },
+    applyToolCalls: applyResponsesToolCalls,
+    createStreamTransformer: createResponsesToolStreamTransformer,
+    errorBody: (error) => ({ error }),
+    streamError: ({ code, message, type }, shared = {}) => sseEncodeEvent('error', {
+      type: 'error',
+      code: code ?? type,
+      message,
+      param: null,
+      sequence_number: shared.seq ?? 0,
+    }),
+    usage: (obj) => {
+      const usage = obj.usage || obj.response?.usage;
+      return usage ? { input: usage.input_tokens, output: usage.output_tokens } : null;
+    },
+  },
+
+  gemini: {
+    matches: (pathname) => /:(stream)?generateContent$/i.test(pathname),
+    isStream: (body, pathname) => /:streamGenerateContent$/i.test(pathname),
+    modelName: (body, pathname) => /\/models\/([^/:]+):/.exec(pathname)?.[1] ?? null,
+    choiceCount: (body) => geminiField(geminiField(body, 'generationConfig', 'generation_config'), 'candidateCount', 'candidate_count') ?? 1,
+    toChat: geminiToChat,
+    fromChat: chatToGemini,
+    responseTexts: (data) => {
+      if (!Array.isArray(data?.candidates)) return [];
+      return data.candidates.map((c) => (Array.isArray(c?.content?.parts) ? geminiText(c.content.parts) : null));
+    },
+    reasoningTexts: (data) => {
+      if (!Array.isArray(data?.candidates)) return [];
+      return data.candidates.map((c) => (c?.content?.parts || []).filter((p) => p?.thought && typeof p.text === 'string').map((p) => p.text).join('') || null);
+    },
+    applyToolCalls: applyGeminiToolCalls,
+    createStreamTransformer: createGeminiToolStreamTransformer,
+    errorBody: ({ code, message, type }) => ({ error: { code, message, status: type } }),
+    streamError: (error) => sseEncodeJson(API_FORMATS.gemini.errorBody(error)),
+    usage: ({ usageMetadata: usage }) => (usage ? { input: usage.promptTokenCount, output: (usage.totalTokenCount || 0) - (usage.promptTokenCount || 0) } : null),
+    // without alt=sse Gemini streams one JSON array, which the transformer does not speak
+    checkStream: (url) => (url.searchParams.get('alt') === 'sse' ? null : 'streamGenerateContent with tools requires alt=sse'),
+  },
+};
+
+function detectApiFormat(upstream) {
+  return apiFormatForPath(new URL(upstream).pathname);
+}
+
+function apiFormatForPath(pathname) {
+  return Object.values(API_FORMATS).find((f) => f.matches(pathname)) || null;
+}
+
+// ============ Tool mode routing ============
+// inject:   tools are emulated by prompt injection (default)
+// native:   tools are forwarded untouched, the upstream does function calling itself
+// fallback: native first; a tool-related 400/422 is retried once with prompt injection
+const TOOL_MODES = ['inject', 'native', 'fallback'];
+const TOOL_MODE = TOOL_MODES.includes(process.env.TOOL_MODE) ? process.env.TOOL_MODE : 'inject';
+// TOOL_MODE_MODELS=gpt-4o*=native,gemini-*=fallback / TOOL_MODE_HOSTS=api.openai.com=native
+const TOOL_MODE_MODELS = parsePatternRules('TOOL_MODE_MODELS');
+const TOOL_MODE_HOSTS = parsePatternRules('TOOL_MODE_HOSTS');
+for (const rule of [...TOOL_MODE_MODELS, ...TOOL_MODE_HOSTS]) {
+  if (!TOOL_MODES.includes(rule.value)) throw new Error(`unknown tool mode "${rule.value}" for ${rule.pattern}`);
+}
+
+// What native tool calling typically trips over, as upstreams word it: no tool support at all,
+// invalid tool definitions, call/result pairing and ordering, Gemini thought signatures.
+// Bare words like "function" or "role" would also match unrelated 400s ("invalid role 'developer'").
+const TOOL_ERROR_PATTERNS = [
+  /(does not|doesn't) support (tools|tool[ _]?calling|function[ _]?calling|functions)/i, // Ollama, vLLM, ...
+  /(tools?|tool[ _]?calling|function[ _]?calling|functions|tool_choice) (is |are )?not (supported|enabled|available)/i,
+  /auto\W* tool choice requires/i, // vLLM without --enable-auto-tool-choice
+  /invalid schema for function|tools\[\d+\]|functions\[\d+\]/i,
+  /'tool_calls' must be followed by tool messages|role 'tool' must be a response/i, // OpenAI
+  /tool_use`? ids? .*without .*tool_result|unexpected `?tool_use_id|tool_result` blocks?/i, // Anthropic
+  /thought_?signature|function call turn comes immediately after|number of function (response|call) parts/i, // Gemini
+  /number of function calls and responses|unexpected role '?tool'?/i, // Mistral
+];
+
+// model patterns first, then upstream host patterns, then `fallback` (TOOL_MODE)
+function selectToolMode({ hostname, model, fallback = TOOL_MODE }) {
+  const rule = (model && TOOL_MODE_MODELS.find((r) => globMatches(r.pattern, model)))
+    || TOOL_MODE_HOSTS.find((r) => globMatches(r.pattern, hostname));
+  return rule ? rule.value : fallback;
+}
+
+function isToolRelatedError(status, errText) {
+  return (status === 400 || status === 422) && TOOL_ERROR_PATTERNS.some((pattern) => pattern.test(errText || ''));
+}
+
+// ============ Upstream URL extraction ============
+function extractUpstream(reqUrl) {
+  // format: /https://api.xxx/v1/chat/completions
+  const match = reqUrl.match(/^\/(https?:\/\/.+)$/);
+  if (!match) return null;
+  return match[1];
+}
+
+function hasToolHistory(body) {
+  const msgs = body?.messages;
+  if (!Array.isArray(msgs)) return false;
+  return msgs.some((m) => m?.role === 'tool' || (m?.role === 'assistant' && Array.isArray(m?.tool_calls) && m.tool_calls.length > 0));
+}
+
+// ============ Header forwarding ============
+// Client request headers reach the upstream when they match the request allow list and not
+// its deny list; upstream response headers come back to the client under the response
+// lists. Hop-by-hop and framing headers, the proxy's own x-anytoolcall-* headers and a proxy
+// key never pass, whatever the lists say. `set` headers are added after filtering (upstream,
+// provider headers and api_key still win).
+//   FORWARD_REQUEST_HEADERS=x-gateway-*,user-agent   appended to the request allow list
+//   BLOCK_REQUEST_HEADERS=openai-organization         request deny list
+//   SET_REQUEST_HEADERS=X-Title=My App,HTTP-Referer=https://example.com
+//   FORWARD_RESPONSE_HEADERS / BLOCK_RESPONSE_HEADERS / SET_RESPONSE_HEADERS the same for responses
+// CONFIG_FILE `headers` and createProxy({ headers }) extend this in the same shape (see loadConfig).
+const DEFAULT_REQUEST_HEADERS = [
+  'authorization', 'x-api-key', 'x-goog-api-key',
+  'anthropic-version', 'anthropic-beta',
+  'openai-organization', 'openai-project', 'openai-beta',
+  'http-referer', 'x-title', // OpenRouter app attribution
+];
+// rate limits first: SDKs back off on them
+const DEFAULT_RESPONSE_HEADERS = [
+  'x-ratelimit-*', 'anthropic-ratelimit-*', 'retry-after', 'retry-after-ms',
+  'x-request-id', 'request-id', 'openai-processing-ms', 'openai-organization', 'openai-project', 'openai-version',
+];
+// bodies are re-encoded by the proxy (and decompressed by fetch), so framing is its own
+const NEVER_FORWARDED_HEADERS = [
+  'connection', 'keep-alive', 'proxy-connection', 'proxy-authorization', 'proxy-authenticate',
+  'te', 'trailer', 'transfer-encoding', 'upgrade', 'host',
+  'content-length', 'content-type', 'content-encoding', 'accept-encoding',
+  'x-anytoolcall-*',
+];
+
+function envList(name) {
+  return String(process.env[name] || '').split(',').map((s) => s.trim().toLowerCase()).filter(Boolean);
+}
+
+// "Header=value,Header=value"; values may contain "=" but not ","
+function envHeaderSet(name) {
+  const set = {};
+  for (const entry of String(process.env[name] || '').split(',').map((s) => s.trim()).filter(Boolean)) {
+    const eq = entry.indexOf('=');
+    if (eq <= 0) throw new Error(`${name}: expected Header=value, got "${entry}"`);
+    set[entry.slice(0, eq).trim()] = entry.slice(eq + 1).trim();
+  }
+  return set;
+}
+
+/**
+ * `base` extended by a { request, response } spec of { allow, deny, set }: lists are
+ * appended, set values override. Throws on a malformed spec (`origin` names it).
+ */
+function mergeHeaderPolicy(base, spec, origin) {
+  if (!spec) return base;
+  const merged = {};
+  for (const direction of ['request', 'response']) {
+    const part = spec[direction] || {};
+    for (const field of ['allow', 'deny']) {
+      if (part[field] !== undefined && !Array.isArray(part[field])) throw new Error(`${origin}: headers.${direction}.${field} must be a list`);
+    }
+    if (part.set !== undefined && (typeof part.set !== 'object' || Array.isArray(part.set) || part.set === null)) {
+      throw new Error(`${origin}: headers.${direction}.set must be a map of header: value`);
+    }
+    merged[direction] = {
+      allow: [...base[direction].allow, ...(part.allow || []).map((h) => String(h).toLowerCase())],
+      deny: [...base[direction].deny, ...(part.deny || []).map((h) => String(h).toLowerCase())],
+      set: { ...base[direction].set, ...part.set },
+    };
+  }
+  return merged;
+}
+
+const HEADER_POLICY = {
+  request: {
+    allow: [...DEFAULT_REQUEST_HEADERS, ...envList('FORWARD_REQUEST_HEADERS')],
+    deny: envList('BLOCK_REQUEST_HEADERS'),
+    set: envHeaderSet('SET_REQUEST_HEADERS'),
+  },
+  response: {
+    allow: [...DEFAULT_RESPONSE_HEADERS, ...envList('FORWARD_RESPONSE_HEADERS')],
+    deny: envList('BLOCK_RESPONSE_HEADERS'),
+    set: envHeaderSet('SET_RESPONSE_HEADERS'),
+  },
+};
+
+function headerAllowed(name, rules) {
+  const matches = (patterns) => patterns.some((p) => globMatches(p, name));
+  return !matches(NEVER_FORWARDED_HEADERS) && matches(rules.allow) && !matches(rules.deny);
+}
+
+// header names are case-insensitive: replace any spelling already present
+function setHeader(headers, name, value) {
+  for (const key of Object.keys(headers)) {
+    if (key.toLowerCase() === name.toLowerCase()) delete headers[key];
+  }
+  headers[name] = value;
+}
+
+// client headers for the upstream request; `skip` is the header that carried a proxy key
+function upstreamRequestHeaders(req, policy, skip = null) {
+  const headers = {};
+  for (const [name, value] of Object.entries(req.headers)) {
+    if (name !== skip && headerAllowed(name, policy.request)) headers[name] = value;
+  }
+  for (const [name, value] of Object.entries(policy.request.set)) setHeader(headers, name, value);
+  return headers;
+}
+
+// upstream headers for the client; before the first write, and again for a later round
+function forwardResponseHeaders(res, upstreamRes, policy) {
+  for (const [name, value] of upstreamRes.headers) {
+    if (headerAllowed(name, policy.response)) res.setHeader(name, value);
+  }
+  for (const [name, value] of Object.entries(policy.response.set)) res.setHeader(name, value);
+}
+
+// ============ Config file: providers and model aliases ============
+// With CONFIG_FILE set, SDKs can use the proxy as a plain base URL: ROUTED_PATHS pick the
+// provider from the `model` field and /v1/models lists what can be routed. The raw
+// /{upstream_url} form keeps working next to it.
+const CONFIG_FILE = process.env.CONFIG_FILE || '';
+const ROUTED_PATHS = ['/v1/chat/completions', '/v1/responses', '/v1/messages'];
+const CREDENTIAL_HEADERS = ['authorization', 'x-api-key', 'x-goog-api-key'];
+
+// ${ENV_VAR} references in string values, so API keys can stay out of the file
+function expandEnv(value) {
+  if (typeof value === 'string') return value.replace(/\$\{(\w+)\}/g, (all, name) => process.env[name] ?? '');
+  if (Array.isArray(value)) return value.map(expandEnv);
+  if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, expandEnv(v)]));
+  return value;
+}
+
+/**
+ * CONFIG_FILE (.yaml / .yml / .json):
+ *   providers:
+ *     <name>:
+ *       base_url: https://api.openai.com/v1    required; ROUTED_PATHS are appended without /v1
+ *       api_key: ${OPENAI_API_KEY}              replaces the client's credentials
+ *       api_key_header: authorization           default (Bearer); x-api-key etc. get the bare key
+ *       headers: { OpenAI-Organization: org-1 } added to every upstream request
+ *       tool_mode: inject | native | fallback   overrides the TOOL_MODE rules
+ *       models: [gpt-4o, gpt-4o-mini]           routable by bare name, listed in /v1/models
+ *   aliases: { fast: openai/gpt-4o-mini }
+ *   default_provider: openai                    for models nothing else matches
+ *   keys:                                       proxy-issued keys; any entry turns inbound auth on
+ *     <name>:
+ *       key: ${TEAM_A_PROXY_KEY}                or key_sha256: <hex digest>, keeps the secret out of the file
+ *       upstreams: [openai, "*.anthropic.com"]  provider names or upstream host patterns (default: all)
+ *       models: ["gpt-4o*", fast]               requested / routed model patterns (default: all)
+ *       rpm: 60                                 requests per minute
+ *       tokens_per_day: 2000000                 upstream-reported tokens per UTC day
+ *       max_concurrency: 4                      requests in flight
+ *   headers:                                    extends the header forwarding env lists
+ *     request:  { allow: [x-gateway-*], deny: [openai-organization], set: { X-Title: My App } }
+ *     response: { allow: [x-upstream-*], deny: [openai-organization], set: { X-Served-By: proxy } }
+ * A broken file stops the proxy at startup. createProxy({ config }) also takes the same
+ * structure as an object.
+ */
+function loadConfig(source) {
+  if (!source) return null;
+  const file = typeof source === 'string' ? source : 'options.config';
+  let raw = source;
+  if (typeof source === 'string') {
+    try {
+      const text = fs.readFileSync(file, 'utf8');
+      raw = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+    } catch (e) {
+      throw new Error(`config file ${file}: ${e.message}`);
+    }
+  }
+  const spec = expandEnv(raw || {});
+
+  const providers = new Map();
+  for (const [name, p] of Object.entries(spec.providers || {})) {
+    if (!p?.base_url) throw new Error(`config file ${file}: provider "${name}" has no base_url`);
+    if (p.tool_mode && !TOOL_MODES.includes(p.tool_mode)) {
+      throw new Error(`config file ${file}: provider "${name}" has unknown tool_mode "${p.tool_mode}"`);
+    }
+    providers.set(name, {
+      name,
+      baseUrl: String(p.base_url).replace(/\/+$/, ''),
+      apiKey: p.api_key || null,
+      apiKeyHeader: String(p.api_key_header || 'authorization').toLowerCase(),
+      headers: p.headers || {},
+      toolMode: p.tool_mode || null,
+      models: [].concat(p.models || []).map(String),
+    });
+  }
+
+  const config = {
+    providers,
+    aliases: spec.aliases || {},
+    defaultProvider: spec.default_provider || null,
+    headers: mergeHeaderPolicy(HEADER_POLICY, spec.headers, `config file ${file}`),
+  };
+  if (config.defaultProvider && !providers.has(config.defaultProvider)) {
+    throw new Error(`config file ${file}: default_provider "${config.defaultProvider}" is not a provider`);
+  }
+  // checked on the target itself: resolveModel would send any typo to default_provider
+  const listed = (model) => [...providers.values()].some((p) => p.models.includes(model));
+  for (const [alias, target] of Object.entries(config.aliases)) {
+    const name = String(target);
+    const slash = name.indexOf('/');
+    if (slash > 0 && !providers.has(name.slice(0, slash)) && !listed(name)) {
+      throw new Error(`config file ${file}: alias "${alias}" -> "${name}": "${name.slice(0, slash)}" is not a provider`);
+    }
+    if (slash <= 0 && !listed(name) && !config.defaultProvider) {
+      throw new Error(`config file ${file}: alias "${alias}" -> "${name}" is in no provider's models and there is no default_provider`);
+    }
+  }
+
+  // proxy keys by SHA-256 of the secret
+  config.keys = new Map();
+  for (const [name, k] of Object.entries(spec.keys || {})) {
+    const hash = k?.key_sha256 ? String(k.key_sha256).toLowerCase() : k?.key ? sha256(String(k.key)) : null;
+    if (!hash) throw new Error(`config file ${file}: key "${name}" has neither key nor key_sha256 (is its env var set?)`);
+    if (config.keys.has(hash)) throw new Error(`config file ${file}: key "${name}" reuses the secret of "${config.keys.get(hash).name}"`);
+    for (const field of ['rpm', 'tokens_per_day', 'max_concurrency']) {
+      if (k[field] !== undefined && !(Number.isInteger(k[field]) && k[field] > 0)) {
+        throw new Error(`config file ${file}: key "${name}" ${field} must be a positive integer`);
+      }
+    }
+    config.keys.set(hash, {
+      name,
+      upstreams: k.upstreams ? [].concat(k.upstreams).map(String) : null,
+      models: k.models ? [].concat(k.models).map(String) : null,
+      rpm: k.rpm ?? null,
+      tokensPerDay: k.tokens_per_day ?? null,
+      maxConcurrency: k.max_concurrency ?? null,
+    });
+  }
+  return config;
+}
+
+const CONFIG = loadConfig(CONFIG_FILE);
+
+/**
+ * Model name -> { provider, model }, or null: aliases first, then "provider/model", then a
+ * provider that lists the model, then default_provider.
+ */
+function resolveModel(name, config = CONFIG) {
+  if (!config || typeof name !== 'string' || !name) return null;
+  const target = String(config.aliases[name] ?? name);
+  const slash = target.indexOf('/');
+  if (slash > 0 && config.providers.has(target.slice(0, slash))) {
+    return { provider: config.providers.get(target.slice(0, slash)), model: target.slice(slash + 1) };
+  }
+  for (const provider of config.providers.values()) {
+    if (provider.models.includes(target)) return { provider, model: target };
+  }
+  if (config.defaultProvider) return { provider: config.providers.get(config.defaultProvider), model: target };
+  return null;
+}
+
+/**
+ * Upstream for a request on one of ROUTED_PATHS: { upstream, provider, body } with the
+ * model name rewritten for the provider, or { status, error }.
+ */
+function routeRequest(pathname, search, body, config = CONFIG) {
+  const target = resolveModel(body?.model, config);
+  if (!target) {
+    return {
+      status: 404,
+      error: { message: `model "${body?.model ?? ''}" is not routed by this proxy`, type: 'invalid_request_error', code: 'model_not_found' },
+    };
+  }
+  return {
+    upstream: target.provider.baseUrl + pathname.replace(/^\/v1/, '') + search,
+    provider: target.provider,
+    body: { ...body, model: target.model },
+  };
+}
+
+// OpenAI-style model list: provider/model for every listed model, plus the aliases
+function listModels(config = CONFIG) {
+  const data = [];
+  for (const provider of config.providers.values()) {
+    for (const model of provider.models) data.push({ id: `${provider.name}/${model}`, object: 'model', created: 0, owned_by: provider.name });
+  }
+  for (const alias of Object.keys(config.aliases)) {
+    data.push({ id: alias, object: 'model', created: 0, owned_by: resolveModel(alias, config).provider.name });
+  }
+  return { object: 'list', data };
+}
+
+// Upstream credentials and extra headers of a configured provider
+function applyProviderHeaders(headers, provider) {
+  if (provider.apiKey) {
+    for (const key of Object.keys(headers)) {
+      if (CREDENTIAL_HEADERS.includes(key.toLowerCase())) delete headers[key];
+    }
+    headers[provider.apiKeyHeader] = provider.apiKeyHeader === 'authorization' ? `Bearer ${provider.apiKey}` : provider.apiKey;
+  }
+  for (const [name, value] of Object.entries(provider.headers)) setHeader(headers, name, value);
+  return headers;
+}
+
+// ============ Proxy keys: inbound auth, rate limits and quotas ============
+// With `keys` in the config every request needs a proxy-issued key. The key is taken from
+// PROXY_KEY_HEADER, or from the usual credential headers when it is a proxy key (routed
+// providers then bring their own api_key); either way it never reaches the upstream.
+// Token usage per UTC day is persisted to KEY_STATE_FILE; request rates and concurrency
+// are kept in memory.
+const PROXY_KEY_HEADER = 'x-anytoolcall-key';
+const KEY_STATE_FILE = process.env.KEY_STATE_FILE || './anytoolcall-keys.json';
+const KEY_STATE_SAVE_DELAY = 1000;
+const RATE_WINDOW_MS = 60 * 1000;
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// { [key name]: { day: 'YYYY-MM-DD', tokens, requests } }
+function loadKeyState(file) {
+  if (!fs.existsSync(file)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8')) || {};
+  } catch (e) {
+    throw new Error(`key state file ${file}: ${e.message}`);
+  }
+}
+
+// the config's keys, or null when inbound auth is off
+function configKeys(config) {
+  return config && config.keys.size > 0 ? config.keys : null;
+}
+
+let keyState = null; // loaded on first use; shared by all proxy instances
+const keyRuntime = new Map(); // key name -> { recent: [timestamps], inFlight }
+let keyStateTimer = null;
+
+function saveKeyState() {
+  keyStateTimer = null;
+  try {
+    const tmp = `${KEY_STATE_FILE}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(keyState, null, 2));
+    fs.renameSync(tmp, KEY_STATE_FILE);
+  } catch (e) {
+    console.error('Failed to save key state:', e.message);
+  }
+}
+
+function scheduleKeyStateSave() {
+  if (!keyStateTimer) keyStateTimer = setTimeout(saveKeyState, KEY_STATE_SAVE_DELAY).unref();
+}
+
+process.on('exit', () => {
+  if (keyStateTimer) saveKeyState();
+});
+
+function utcDay(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+// today's counters of a key (a new day starts from zero)
+function keyUsage(key) {
+  keyState = keyState || loadKeyState(KEY_STATE_FILE);
+  const day = utcDay();
+  if (keyState[key.name]?.day !== day) keyState[key.name] = { day, tokens: 0, requests: 0 };
+  return keyState[key.name];
+}
+
+function keyRuntimeState(key) {
+  if (!keyRuntime.has(key.name)) keyRuntime.set(key.name, { recent: [], inFlight: 0 });
+  return keyRuntime.get(key.name);
+}
+
+function recordKeyTokens(key, tokens) {
+  if (!(tokens > 0)) return;
+  keyUsage(key).tokens += tokens;
+  scheduleKeyStateSave();
+}
+
+/**
+ * Proxy key of a request: { key, header } (header = the credential header that carried it,
+ * stripped before forwarding), { status, error } when auth fails, or null with auth off.
+ */
+function authenticateRequest(req, keys) {
+  if (!keys) return null;
+  const candidates = [
+    [PROXY_KEY_HEADER, req.headers[PROXY_KEY_HEADER]],
+    ['authorization', /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '')?.[1]],
+    ['x-api-key', req.headers['x-api-key']],
+    ['x-goog-api-key', req.headers['x-goog-api-key']],
+  ];
+  for (const [header, secret] of candidates) {
+    const key = secret ? keys.get(sha256(secret.trim())) : null;
+    if (key) return { key, header };
+    // an explicit proxy key header must be valid on its own
+    if (header === PROXY_KEY_HEADER && secret) break;
+  }
+  return {
+    status: 401,
+    error: {
+      message: `Missing or invalid proxy API key (send it as ${PROXY_KEY_HEADER} or as the bearer token)`,
+      type: 'invalid_request_error',
+      param: null,
+      code: 'invalid_api_key',
+    },
+  };
+}
+
+function keyAllowsModel(key, names) {
+  if (!key.models) return true;
+  return names.some((name) => name && key.models.some((pattern) => globMatches(pattern, name)));
+}
+
+function keyAllowsUpstream(key, { hostname, provider }) {
+  if (!key.upstreams) return true;
+  return key.upstreams.some((pattern) => (provider && pattern === provider.name) || globMatches(pattern, hostname));
+}
+
+function sendKeyError(res, format, { status, error, retryAfter }) {
+  if (retryAfter) res.setHeader('Retry-After', String(retryAfter));
+  return sendJson(res, status, format ? format.errorBody(error) : { error });
+}
+
+function rateLimitError(message, type, retryAfter) {
+  return { status: 429, retryAfter, error: { message, type, param: null, code: 'rate_limit_exceeded' } };
+}
+
+/**
+ * Admit one request for a key: upstream / model permissions, then concurrency, requests per
+ * minute and tokens per day. Returns { release } or { status, error, retryAfter? }.
+ */
+function admitKeyRequest(key, { hostname, provider, models }) {
+  if (!keyAllowsUpstream(key, { hostname, provider })) {
+    return { status: 403, error: { message: `Proxy key "${key.name}" may not use upstream ${provider?.name || hostname}`, type: 'invalid_request_error', param: null, code: 'upstream_not_allowed' } };
+  }
+  if (!keyAllowsModel(key, models)) {
+    return { status: 403, error: { message: `Proxy key "${key.name}" may not use model "${models.find(Boolean) ?? ''}"`, type: 'invalid_request_error', param: 'model', code: 'model_not_allowed' } };
+  }
+
+  const now = Date.now();
+  const runtime = keyRuntimeState(key);
+  runtime.recent = runtime.recent.filter((t) => now - t < RATE_WINDOW_MS);
+  const usage = keyUsage(key);
+
+  if (key.maxConcurrency && runtime.inFlight >= key.maxConcurrency) {
+    return rateLimitError(`Concurrency limit reached for proxy key "${key.name}": ${key.maxConcurrency} requests in flight`, 'requests', 1);
+  }
+  if (key.rpm && runtime.recent.length >= key.rpm) {
+    const retryAfter = Math.ceil((runtime.recent[0] + RATE_WINDOW_MS - now) / 1000);
+    return rateLimitError(`Rate limit reached for proxy key "${key.name}": ${key.rpm} requests per minute`, 'requests', retryAfter);
+  }
+  if (key.tokensPerDay && usage.tokens >= key.tokensPerDay) {
+    const retryAfter = Math.ceil((Date.parse(`${usage.day}T00:00:00Z`) + 24 * 3600 * 1000 - now) / 1000);
+    return rateLimitError(`Daily token quota reached for proxy key "${key.name}": ${usage.tokens} / ${key.tokensPerDay} tokens`, 'tokens', retryAfter);
+  }
+
+  runtime.recent.push(now);
+  runtime.inFlight++;
+  usage.requests++;
+  scheduleKeyStateSave();
+  let released = false;
+  return {
+    release: () => {
+      if (!released) runtime.inFlight--;
+      released = true;
+    },
+  };
+}
+
+/**
+ * Count the tokens an upstream response reports (format.usage) while its body passes
+ * through; SSE events are read as they arrive, JSON bodies once complete. onTokens gets
+ * the increments, so a stream cut short is still counted up to where it stopped.
+ */
+function meterResponse(upstreamRes, format, onTokens) {
+  if (!upstreamRes.ok) return upstreamRes;
+  const isSse = isSseContentType(upstreamRes.headers.get('content-type'));
+  const events = new SseEventParser();
+  const seen = { input: 0, output: 0 };
+  let text = '';
+
+  // usage figures are cumulative within one response, so keep the largest seen
+  const observe = (obj) => {
+    const usage = obj && typeof obj === 'object' ? format.usage(obj) : null;
+    if (!usage) return;
+    const before = seen.input + seen.output;
+    seen.input = Math.max(seen.input, usage.input || 0);
+    seen.output = Math.max(seen.output, usage.output || 0);
+    onTokens(seen.input + seen.output - before);
+  };
+
+  return tapResponseBody(upstreamRes, (str) => {
+    if (isSse) {
+      for (const raw of events.pushText(str.replace(/\r\n/g, '\n'))) observe(SseEventParser.parseJsonFromEvent(raw));
+    } else {
+      text += str;
+    }
+  }, () => {
+    if (isSse) return;
+    try {
+      [].concat(JSON.parse(text)).forEach(observe);
+    } catch {
+      // not JSON; nothing to count
+    }
+  });
+}
+
+// ============ Mock upstream (offline development) ============
+// MOCK_UPSTREAM=true serves a fake chat-completions model at /mock/v1/chat/completions that
+// answers in the proxy's own tool-call syntax, so the whole pipeline runs without a provider:
+//   POST /http://localhost:3000/mock/v1/chat/completions   (needs ALLOW_LOCAL_NET=true)
+// Replies come from MOCK_SCRIPT rules, else from the built-in ones (see mockReply). Faults are
+// picked per request by model name, e.g. "mock+split_markers+no_done".
+const MOCK_UPSTREAM = process.env.MOCK_UPSTREAM === 'true';
+const MOCK_PATH = '/mock/v1/chat/completions';
+const MOCK_CHUNK_CHARS = 12;
+const MOCK_FAULTS = {
+  split_markers: 'stream content is cut in the middle of every marker',
+  split_events: 'raw SSE bytes arrive in 7-byte writes, splitting events, lines and UTF-8 sequences',
+  multiline_data: 'each event spreads its JSON over several data: lines',
+  malformed_args: 'tool call arguments are not valid JSON',
+  no_done: 'the stream ends without data: [DONE]',
+  rate_limit: '429 with Retry-After',
+  server_error: '500',
+};
+
+/**
+ * MOCK_SCRIPT (.json): rules tried in order against the text of the last message
+ *   [{ "match": "weather", "content": "Checking.", "tool_calls": [{ "name": "get_weather",
+ *      "arguments": { "city": "Tokyo" } }], "faults": ["split_markers"] }]
+ */
+function loadMockScript(file) {
+  if (!MOCK_UPSTREAM || !file) return [];
+  let rules;
+  try {
+    rules = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`mock script ${file}: ${e.message}`);
+  }
+  if (!Array.isArray(rules)) throw new Error(`mock script ${file}: expected an array of rules`);
+  return rules.map((rule, i) => {
+    for (const fault of rule.faults || []) {
+      if (!MOCK_FAULTS[fault]) throw new Error(`mock script ${file}: rule ${i} has unknown fault "${fault}"`);
+    }
+    return { ...rule, pattern: new RegExp(rule.match ?? '', 'i') };
+  });
+}
+
+const MOCK_SCRIPT = loadMockScript(process.env.MOCK_SCRIPT);
+
+function mockMessageText(message) {
+  if (typeof message?.content === 'string') return message.content;
+  if (Array.isArray(message?.content)) return message.content.map((p) => p?.text || '').join('');
+  return '';
+}
+
+// the markers the request was built with: a fixed-marker dialect's, or a random set recognised
+// by its glyphs (rotated ones included); any random set when the prompt has none
+function mockDelimiter(messages) {
+  const text = messages.map(mockMessageText).join('\n');
+  const fixed = Object.values(TOOL_DIALECTS).find((d) => d.markers?.TC_START && text.includes(d.markers.TC_START));
+  if (fixed) return new ToolCallDelimiter(fixed);
+  for (const set of DELIMITER_SETS) {
+    const call = text.match(new RegExp(`${set.open}(\\S)ᐅ`));
+    if (!call) continue;
+    const result = text.match(new RegExp(`${set.open}(\\S)⟫`));
+    return new ToolCallDelimiter({ ...TOOL_DIALECTS.unicode, markers: unicodeMarkers(set, call[1], result ? result[1] : call[1]) });
+  }
+  return new ToolCallDelimiter(TOOL_DIALECTS.unicode);
+}
+
+/**
+ * Reply to the last message: the first matching MOCK_SCRIPT rule, else
+ *   a tool result          -> a short acknowledgement
+ *   "call <tool> {json}"   -> a call to that tool
+ *   anything else          -> an echo
+ */
+function mockReply(messages, toolDelimiter) {
+  const last = mockMessageText(messages[messages.length - 1]);
+  const rule = MOCK_SCRIPT.find((r) => r.pattern.test(last));
+  if (rule) return { content: rule.content || '', toolCalls: rule.tool_calls || [], faults: rule.faults || [] };
+
+  if (toolDelimiter.markers.RESULT_START && last.includes(toolDelimiter.markers.RESULT_START)) {
+    return { content: 'Mock: got the tool result.', toolCalls: [], faults: [] };
+  }
+  const call = /\bcall\s+([\w.-]+)(?:\s+(\{[\s\S]*\}))?/i.exec(last);
+  if (call) {
+    let args = {};
+    try {
+      args = call[2] ? JSON.parse(call[2]) : {};
+    } catch {
+      args = call[2];
+    }
+    return { content: `Calling ${call[1]}.`, toolCalls: [{ name: call[1], arguments: args }], faults: [] };
+  }
+  return { content: `Mock reply to: ${last.slice(0, 200)}`, toolCalls: [], faults: [] };
+}
+
+function mockArguments(args, malformed) {
+  const json = typeof args === 'string' ? args : JSON.stringify(args ?? {});
+  // single quotes and a trailing comma: the kind of JSON models actually get wrong
+  return malformed ? `${json.replace(/"/g, "'").replace(/\}$/, ',}')}` : json;
+}
+
+// stream pieces: every MOCK_CHUNK_CHARS code points, plus mid-marker cuts with split_markers
+function mockContentPieces(content, markers, splitMarkers) {
+  const chars = Array.from(content);
+  const cuts = new Set();
+  for (let i = MOCK_CHUNK_CHARS; i < chars.length; i += MOCK_CHUNK_CHARS) cuts.add(i);
+  if (splitMarkers) {
+    for (const marker of Object.values(markers)) {
+      const length = Array.from(marker || '').length;
+      if (length < 2) continue;
+      for (let at = content.indexOf(marker); at !== -1; at = content.indexOf(marker, at + 1)) {
+        cuts.add(Array.from(content.slice(0, at)).length + Math.floor(length / 2));
+      }
+    }
+  }
+  const bounds = [0, ...[...cuts].sort((a, b) => a - b), chars.length];
+  const pieces = [];
+  for (let i = 1; i < bounds.length; i++) {
+    if (bounds[i] > bounds[i - 1]) pieces.push(chars.slice(bounds[i - 1], bounds[i]).join(''));
+  }
+  return pieces;
+}
+
+function mockSseEvent(obj, multiline) {
+  if (!multiline) return sseEncodeJson(obj);
+  return `${JSON.stringify(obj, null, 1).split('\n').map((line) => `data: ${line}`).join('\n')}\n\n`;
+}
+
+async function handleMockUpstream(req, res) {
+  const body = req.body || {};
+  const messages = Array.isArray(body.messages) ? body.messages : [];
+  const [baseModel, ...modelFaults] = String(body.model || 'mock').split('+');
+  const unknown = modelFaults.find((f) => !MOCK_FAULTS[f]);
+  if (unknown) {
+    return sendJson(res, 400, {
+      error: { message: `unknown mock fault "${unknown}" (available: ${Object.keys(MOCK_FAULTS).join(', ')})`, type: 'invalid_request_error' },
+    });
+  }
+
+  const toolDelimiter = mockDelimiter(messages);
+  const reply = mockReply(messages, toolDelimiter);
+  const faults = new Set([...modelFaults, ...reply.faults]);
+
+  if (faults.has('rate_limit')) {
+    res.setHeader('Retry-After', '1');
+    return sendJson(res, 429, { error: { message: 'Rate limit reached (mock)', type: 'requests', param: null, code: 'rate_limit_exceeded' } });
+  }
+  if (faults.has('server_error')) {
+    return sendJson(res, 500, { error: { message: 'Internal server error (mock)', type: 'server_error', param: null, code: null } });
+  }
+
+  const calls = reply.toolCalls.map((c) => toolDelimiter.encodeCall(c.name, mockArguments(c.arguments, faults.has('malformed_args'))));
+  const content = [reply.content, ...calls].filter(Boolean).join('\n');
+  const id = `chatcmpl-mock-${crypto.randomBytes(6).toString('hex')}`;
+  const created = Math.floor(Date.now() / 1000);
+  // rough token counts, enough for proxy key quotas to have something to count
+  const promptTokens = Math.ceil(JSON.stringify(messages).length / 4);
+  const usage = { prompt_tokens: promptTokens, completion_tokens: Math.ceil(content.length / 4), total_tokens: promptTokens + Math.ceil(content.length / 4) };
+
+  if (body.stream !== true) {
+    return sendJson(res, 200, {
+      id,
+      object: 'chat.completion',
+      created,
+      model: baseModel,
+      choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+      usage,
+    });
+  }
+
+  const envelope = (choices, extra = {}) => ({ id, object: 'chat.completion.chunk', created, model: baseModel, choices, ...extra });
+  const multiline = faults.has('multiline_data');
+  const events = [
+    mockSseEvent(envelope([{ index: 0, delta: { role: 'assistant', content: '' }, finish_reason: null }]), multiline),
+    ...mockContentPieces(content, toolDelimiter.markers, faults.has('split_markers'))
+      .map((piece) => mockSseEvent(envelope([{ index: 0, delta: { content: piece }, finish_reason: null }]), multiline)),
+    mockSseEvent(envelope([{ index: 0, delta: {}, finish_reason: 'stop' }]), multiline),
+  ];
+  if (body.stream_options?.include_usage) events.push(mockSseEvent(envelope([], { usage }), multiline));
+  if (!faults.has('no_done')) events.push(sseEncodeData('[DONE]'));
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  const raw = Buffer.from(events.join(''), 'utf8');
+  const writes = faults.has('split_events')
+    ? Array.from({ length: Math.ceil(raw.length / 7) }, (_, i) => raw.subarray(i * 7, i * 7 + 7))
+    : events.map((e) => Buffer.from(e, 'utf8'));
+  for (const chunk of writes) {
+    if (res.destroyed) return;
+    res.write(chunk);
+    // separate writes reach the proxy as separate reads
+    await new Promise((resolve) => setTimeout(resolve, 1));
+  }
+  res.end();
+}
+
+// ============ Main handler ============
+
+/**
+ * Parse one assistant reply and check it against tool_choice and the tool schemas.
+ * `rejection` describes the correction round the reply would need, if any.
+ * Without a call in the content, calls to known tools in `reasoning` are used
+ * (reasoningToolCalls='fallback'); the reasoning itself is left alone.
+ */
+function evaluateToolReply(content, {
+  toolDelimiter,
+  toolChoice,
+  parserOptions,
+  validationTools,
+  prunedTools = null,
+  reasoning = null,
+  reasoningToolCalls = REASONING_TOOL_CALLS,
+}) {
+  let { toolCalls, cleanContent, invalidCalls, repairs } = toolDelimiter.parse(content, parserOptions);
+
+  if (reasoning && reasoningToolCalls === 'fallback' && toolChoice.mode !== 'none' && toolCalls.length === 0 && invalidCalls.length === 0) {
+    const fromReasoning = toolDelimiter.parse(reasoning, parserOptions);
+    toolCalls = fromReasoning.toolCalls.filter((tc) => !parserOptions?.toolNames || parserOptions.toolNames.includes(tc.function.name));
+    repairs = toolCalls.map((tc) => {
+      const report = fromReasoning.repairs.find((r) => r.tool_call_id === tc.id);
+      return { tool_call_id: tc.id, name: tc.function.name, repairs: [...(report?.repairs || []), REASONING_CALL_REPAIR] };
+    });
+  }
+
+  // calls to tools left out of the prompt (TOOL_PRUNED_CALLS=repair)
+  for (const tc of toolCalls) {
+    if (!prunedTools?.includes(tc.function.name)) continue;
+    const report = repairs.find((r) => r.tool_call_id === tc.id);
+    if (report) report.repairs.push(PRUNED_CALL_REPAIR);
+    else repairs.push({ tool_call_id: tc.id, name: tc.function.name, repairs: [PRUNED_CALL_REPAIR] });
+  }
+
+  // calls to the few-shot example tool are dropped; validation still reports them so a
+  // correction round can ask for a real tool
+  const exampleCalls = [...toolCalls, ...invalidCalls.map((i) => i.call)].filter((tc) => isFewShotCall(tc.function.name));
+  if (exampleCalls.length > 0) {
+    toolCalls = toolCalls.filter((tc) => !isFewShotCall(tc.function.name));
+    invalidCalls = invalidCalls.filter((i) => !isFewShotCall(i.call.function.name));
+  }
+
+  const violation = checkToolChoice(toolChoice, [...toolCalls, ...invalidCalls.map((i) => i.call)]);
+  // a forced tool_choice only ever returns calls to that tool
+  if (toolChoice.mode === 'function') {
+    toolCalls = toolCalls.filter((tc) => tc.function.name === toolChoice.name);
+    invalidCalls = invalidCalls.filter((i) => i.call.function.name === toolChoice.name);
+  }
+  const problems = validationTools ? validateToolCalls([...toolCalls, ...exampleCalls], invalidCalls, indexTools(validationTools)) : [];
+
+  let rejection = null;
+  if (violation) {
+    rejection = { kind: 'tool_choice', message: violation, correction: toolChoiceCorrection(toolChoice) };
+  } else if (problems.length > 0) {
+    rejection = { kind: 'validation', message: problems[0].errors[0], correction: validationCorrection(problems) };
+  }
+
+  return { content, toolCalls, cleanContent, invalidCalls, exampleCalls, repairs, violation, problems, rejection };
+}
+
+/**
+ * Write evaluated replies back into a non-stream response, one per choice. Failing calls
+ * are returned with a diagnostic; with reportViolations a choice that breaks tool_choice
+ * keeps its text without tool calls.
+ */
+function applyToolReplies(format, data, results, { validationTools, reportViolations }) {
+  results.forEach((result, index) => {
+    if (!result) return;
+    const violation = reportViolations ? result.violation : null;
+    const calls = violation ? [] : validationTools ? [...result.toolCalls, ...result.invalidCalls.map((i) => i.call)] : result.toolCalls;
+    const diagnostics = {};
+    if (result.problems.length > 0) diagnostics.validation_errors = result.problems;
+    if (result.repairs.length > 0) diagnostics.repairs = result.repairs;
+    if (violation) diagnostics.tool_choice_violation = violation;
+    // dropped example calls are still blocks the client must not see
+    const parsedBlocks = calls.length > 0 || result.exampleCalls.length > 0;
+    format.applyToolCalls(data, index, {
+      toolCalls: calls,
+      cleanContent: parsedBlocks || violation ? result.cleanContent : null,
+      diagnostics: Object.keys(diagnostics).length > 0 ? diagnostics : null,
+    });
+  });
+  return data;
+}
+
+async function handleRequest(req, res, proxy) {
+  const { settings } = proxy;
+  const logger = new RequestLogger();
+  const requestMetrics = trackRequestMetrics(res);
+  const recorder = RECORD_FILE ? new RequestRecorder(req, res) : null;
+  // relative to where the middleware is mounted
+  const { pathname, search } = new URL(req.url, 'http://proxy');
+
+  const access = authenticateRequest(req, configKeys(settings.config));
+  if (access?.error) return sendKeyError(res, apiFormatForPath(pathname), access);
+
+  // fixed upstream + path, raw /{upstream_url}, or a configured provider picked by model
+  let upstream = settings.upstream ? settings.upstream + req.url : extractUpstream(req.url);
+  let provider = null;
+  let clientBody = req.body;
+  if (!upstream && settings.config && ROUTED_PATHS.includes(pathname)) {
+    const route = routeRequest(pathname, search, req.body, settings.config);
+    if (route.error) return sendJson(res, route.status, apiFormatForPath(pathname).errorBody(route.error));
+    ({ upstream, provider } = route);
+    clientBody = route.body;
+  }
+  if (!upstream) {
+    const routed = settings.config ? ` or ${ROUTED_PATHS.join(' / ')} with a configured model` : '';
+    return sendJson(res, 400, {
+      error: { message: `Invalid URL format. Use: /{upstream_url}${routed}`, type: 'invalid_request' },
+    });
+  }
+
+  // replay: upstream rounds come from REPLAY_FILE, nothing goes over the network
+  const fixture = FIXTURES ? takeFixture(req) : null;
+  if (FIXTURES && !fixture) {
+    const error = { message: `no recorded exchange for ${req.method} ${redactUrl(req.url)} with this body in ${REPLAY_FILE}`, type: 'invalid_request_error', code: 'fixture_not_found' };
+    const errorFormat = apiFormatForPath(pathname);
+    return sendJson(res, 404, errorFormat ? errorFormat.errorBody(error) : { error });
+  }
+
+  const validate = fixture ? { ok: true } : await validateUpstream(upstream);
+  if (!validate.ok) {
+    return sendJson(res, 403, {
+      error: { message: `Access denied: ${validate.error}`, type: 'security_error' },
+    });
+  }
+
+  // a client that goes away cancels the upstream request, backoff waits and correction rounds
+  const abort = new AbortController();
+  res.on('close', () => {
+    if (res.writableFinished) return;
+    metrics.clientDisconnects.inc();
+    logger.log('CLIENT_DISCONNECT', {});
+    abort.abort();
+  });
+
+  // chat completions, Anthropic messages, ... (null = not a format we transform)
+  const format = detectApiFormat(upstream);
+  const upstreamUrl = new URL(upstream);
+  const model = format ? format.modelName(clientBody, upstreamUrl.pathname) : null;
+  const upstreamHost = metricHostLabel(upstreamUrl.hostname, settings);
+  Object.assign(requestMetrics, { upstream_host: upstreamHost, model: metricModelLabel(model, provider, settings) });
+
+  // proxy key: allowed upstream / model, then rate limits; the slot is freed with the response
+  if (access) {
+    const models = provider ? [req.body?.model, model, `${provider.name}/${model}`] : [model];
+    const admission = admitKeyRequest(access.key, { hostname: upstreamUrl.hostname, provider, models });
+    if (admission.error) return sendKeyError(res, format, admission);
+    res.on('close', admission.release);
+    logger.log('PROXY_KEY', access.key.name);
+    // streamed chat completions only report usage when asked to
+    if (access.key.tokensPerDay && format === API_FORMATS.openai && clientBody?.stream === true && !clientBody.stream_options?.include_usage) {
+      clientBody = { ...clientBody, stream_options: { ...clientBody.stream_options, include_usage: true } };
+    }
+  }
+
+  let body = clientBody;
+  const isStream = format ? format.isStream(body, upstreamUrl.pathname) : body?.stream === true;
+
+  // tool handling works on the chat-completions view of the request
+  const chat = format && body && typeof body === 'object' ? format.toChat(body) : null;
+  const requestHasTools = !!(chat && Array.isArray(chat.tools) && chat.tools.length > 0);
+  const requestHasToolHistory = !!chat && hasToolHistory(chat);
+
+  const toolChoice = requestHasTools ? normalizeToolChoice(chat.tool_choice) : { mode: 'auto' };
+  if (toolChoice.mode === 'function' && !chat.tools.some((t) => t.function?.name === toolChoice.name)) {
+    return sendJson(res, 400, format.errorBody({
+      message: `tool_choice references unknown tool "${toolChoice.name}"`,
+      type: 'invalid_request_error',
+    }));
+  }
+
+  const needsTransform = requestHasTools || requestHasToolHistory;
+  // native passthrough, prompt injection, or native first with injection as fallback
+  const toolMode = !needsTransform ? 'inject' : provider?.toolMode || selectToolMode({ hostname: upstreamUrl.hostname, model, fallback: settings.toolMode });
+
+  const streamProblem = requestHasTools && toolMode !== 'native' && isStream && format.checkStream ? format.checkStream(upstreamUrl) : null;
+  if (streamProblem) {
+    return sendJson(res, 400, format.errorBody({ message: streamProblem, type: 'invalid_request_error' }));
+  }
+
+  // with n>1 every choice is judged on its own; correction rounds would redo all of them
+  const multiChoice = requestHasTools && (format.choiceCount ? format.choiceCount(body) : 1) > 1;
+
+  // prompt wording and call syntax: header, then model pattern, then the instance dialect (replay: as recorded)
+  const dialect = TOOL_DIALECTS[fixture?.dialect]
+    || (format ? selectDialect({ header: req.headers[TOOL_DIALECT_HEADER], model, fallback: settings.dialect }) : TOOL_DIALECTS[settings.dialect]);
+  if (!dialect) {
+    return sendJson(res, 400, format.errorBody({
+      message: `unknown tool dialect "${req.headers[TOOL_DIALECT_HEADER]}" (available: ${Object.keys(TOOL_DIALECTS).join(', ')})`,
+      type: 'invalid_request_error',
+    }));
+  }
+
+  // tools listed in the injected prompt: all, or the most relevant ones (toolTopK)
+  const selection = requestHasTools ? selectPromptTools(chat, { toolChoice, topK: settings.toolTopK }) : { tools: [], pruned: [] };
+  const rejectPruned = selection.pruned.length > 0 && settings.prunedToolCalls === 'reject';
+  const prunedTools = selection.pruned.length > 0 && !rejectPruned ? selection.pruned : null;
+
+  // validation runs against the client's tool definitions, which transformRequest removes
+  // (only the offered ones when calls to pruned tools are rejected)
+  const validationTools = requestHasTools && settings.validation ? (rejectPruned ? selection.tools : chat.tools) : null;
+  const parserOptions = {
+    syntax: dialect.syntax,
+    toolNames: requestHasTools ? chat.tools.map((t) => t.function?.name).filter(Boolean) : null,
+  };
+
+  // correction rounds left per failure kind
+  const maxRetries = { tool_choice: settings.toolChoiceMaxRetries, validation: settings.toolValidationMaxRetries };
+  const retries = { tool_choice: 0, validation: 0 };
+  const canRetry = (kind) => retries[kind] < maxRetries[kind];
+
+  // markers for this request; rotated when the conversation already contains them
+  const sharedDelimiter = proxy.delimiterFor(dialect);
+  let toolDelimiter = needsTransform ? delimiterForRequest(chat.messages, sharedDelimiter, settings.markerRotation) : sharedDelimiter;
+  if (fixture?.markers) toolDelimiter = new ToolCallDelimiter({ ...dialect, markers: fixture.markers });
+  recorder?.note({ dialect: dialect.name, markers: toolDelimiter.markers });
+  if (dialect.name !== settings.dialect) logger.log('TOOL_DIALECT', dialect.name);
+  if (toolDelimiter !== sharedDelimiter) logger.log('MARKER_ROTATION', toolDelimiter.markers);
+
+  // which tool result answers which call; orphaned / missing results are repaired or rejected
+  const toolLinks = needsTransform ? linkToolResults(chat.messages) : null;
+  const linkProblems = toolLinks ? toolLinkProblems(toolLinks) : [];
+  if (linkProblems.length > 0) {
+    logger.log('TOOL_RESULT_LINKS', { mode: settings.toolResultCheck, problems: linkProblems });
+    if (settings.toolResultCheck === 'strict' && toolMode !== 'native') {
+      return sendJson(res, 400, format.errorBody({ message: linkProblems.join('; '), type: 'invalid_request_error' }));
+    }
+  }
+
+  // switch the request to prompt injection (upfront, or after a native attempt failed)
+  let upstreamChat = null;
+  let injected = false;
+  const promptStats = {};
+  const injectTools = () => {
+    upstreamChat = transformRequest(chat, {
+      hasTools: requestHasTools,
+      toolChoice,
+      toolDelimiter,
+      toolLinks,
+      fewShot: settings.fewShot,
+      promptTools: selection.tools,
+      toolSchema: settings.toolSchema,
+      stats: promptStats,
+      reasoningHistory: settings.reasoningHistory,
+    });
+    body = format.fromChat(upstreamChat, clientBody);
+    injected = true;
+    if (selection.pruned.length > 0) logger.log('TOOL_PRUNING', { offered: selection.tools.map((t) => t.function?.name), pruned: selection.pruned });
+  };
+  if (needsTransform && toolMode === 'inject') injectTools();
+
+  // next attempt after a rejected reply
+  const withCorrection = (assistantContent, instruction) => {
+    upstreamChat = withCorrectionTurn(upstreamChat, assistantContent, instruction);
+    return format.fromChat(upstreamChat, clientBody);
+  };
+
+  // headers: what the policy lets through (never the proxy key); the body is always JSON
+  const headers = upstreamRequestHeaders(req, settings.headers, access?.header);
+  headers['Content-Type'] = 'application/json';
+  if (provider) applyProviderHeaders(headers, provider);
+
+  logger.log('UPSTREAM_REQUEST', { upstream, provider: provider?.name, method: req.method, stream: isStream, needsTransform, toolMode, requestHasTools, requestHasToolHistory, toolChoice });
+
+  let replayedRounds = 0;
+  const sendUpstream = async (payload) => {
+    const hasBody = !['GET', 'HEAD'].includes(req.method);
+    let upstreamRes;
+    if (fixture) {
+      const round = fixture.upstream[replayedRounds++];
+      if (!round) throw new Error(`replay: ${fixture.id} has no recorded upstream round ${replayedRounds}`);
+      upstreamRes = replayResponse(round.response);
+    } else {
+      const init = {
+        method: req.method,
+        headers,
+        body: hasBody ? JSON.stringify(payload) : undefined,
+        signal: abort.signal,
+        dispatcher: upstreamAgent(settings),
+      };
+      // once the client has bytes, a repeated request could not be told apart from the first
+      const policy = {
+        ...settings,
+        maxRetries: res.headersSent ? 0 : settings.maxRetries,
+        credentialHeaders: provider ? [...CREDENTIAL_HEADERS, provider.apiKeyHeader] : CREDENTIAL_HEADERS,
+      };
+      try {
+        upstreamRes = await fetchWithRetries(upstream, init, policy, (retry) => {
+          const status = /^\d+$/.test(retry.reason) ? retry.reason : 'network';
+          metrics.upstreamErrors.inc({ upstream_host: upstreamHost, status });
+          metrics.upstreamRetries.inc({ upstream_host: upstreamHost, reason: retry.reason });
+          logger.log('UPSTREAM_RETRY', retry);
+        });
+      } catch (e) {
+        if (!abort.signal.aborted) {
+          metrics.upstreamErrors.inc({ upstream_host: upstreamHost, status: UPSTREAM_TIMEOUTS[errorCode(e)] ? 'timeout' : 'network' });
+        }
+        throw e;
+      }
+    }
+    if (!upstreamRes.ok) metrics.upstreamErrors.inc({ upstream_host: upstreamHost, status: upstreamRes.status });
+    if (recorder) upstreamRes = recorder.upstream({ url: upstream, method: req.method, headers, body: hasBody ? payload : null }, upstreamRes);
+    // every round counts against the key's daily tokens, correction rounds included
+    return access && format ? meterResponse(upstreamRes, format, (tokens) => recordKeyTokens(access.key, tokens)) : upstreamRes;
+  };
+
+  try {
+    let upstreamRes = await sendUpstream(body);
+    let errText = upstreamRes.ok ? null : await upstreamRes.text();
+
+    // native-first: a tool-related rejection is retried with prompt injection
+    if (errText !== null && toolMode === 'fallback' && !injected && isToolRelatedError(upstreamRes.status, errText)) {
+      logger.log('NATIVE_FALLBACK', { status: upstreamRes.status, body: errText });
+      metrics.correctionRounds.inc({ kind: 'native_fallback' });
+      injectTools();
+      upstreamRes = await sendUpstream(body);
+      errText = upstreamRes.ok ? null : await upstreamRes.text();
+    }
+
+    if (errText !== null) {
+      logger.log('UPSTREAM_ERROR', { status: upstreamRes.status, body: errText });
+      logger.save();
+      // out of retries (or asked to wait longer than the policy allows): Retry-After and
+      // rate-limit headers let the client decide
+      forwardResponseHeaders(res, upstreamRes, settings.headers);
+      return sendText(res, upstreamRes.status, errText, upstreamRes.headers.get('content-type') || undefined);
+    }
+    forwardResponseHeaders(res, upstreamRes, settings.headers);
+    if (needsTransform) res.setHeader('X-AnyToolCall-Mode', injected ? 'inject' : 'native');
+    // what prompt injection costs on every round, and how many tools it listed
+    if (injected) res.setHeader('X-AnyToolCall-Injected-Tokens', String(promptStats.injectedTokens));
+    if (injected && requestHasTools) res.setHeader('X-AnyToolCall-Tools', `${selection.tools.length}/${chat.tools.length}`);
+
+    // ===== Stream =====
+    if (isStream) {
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Connection', 'keep-alive');
+
+      // If this request has tools, we need to parse injected tool calls in stream.
+      // Otherwise: pure passthrough.
+      const shouldTransformStream = injected && requestHasTools;
+
+      if (!shouldTransformStream) {
+        // Transparent passthrough
+        const reader = upstreamRes.body.getReader();
+        (async () => {
+          try {
+            while (true) {
+              const { done, value } = await reader.read();
+              if (done) break;
+              res.write(value);
+            }
+          } catch (e) {
+            // left as the upstream sent it; the client sees the stream end early
+            if (!abort.signal.aborted) logger.log('UPSTREAM_STREAM_ERROR', { message: e?.message, code: errorCode(e) });
+          } finally {
+            res.end();
+            logger.save();
+          }
+        })();
+        return;
+      }
+
+      // Transform stream (transparent + minimal rewrite). A rejected attempt that
+      // has not reached the client yet triggers a correction round.
+      (async () => {
+        let currentRes = upstreamRes;
+        const shared = {}; // per-format stream state kept across correction rounds
+        try {
+          for (;;) {
+            const rejection = await pipeToolStream(currentRes, res, format.createStreamTransformer({
+              markers: toolDelimiter.markers,
+              toolChoice,
+              tools: validationTools,
+              retryValidation: !multiChoice && canRetry('validation'),
+              rejectAttempt: !multiChoice,
+              parserOptions,
+              prunedTools,
+              reasoningToolCalls: settings.reasoningToolCalls,
+              shared,
+            }));
+            if (!rejection) break;
+
+            logger.log('CORRECTION_ROUND', { retries, ...rejection });
+            if (rejection.emitted || !canRetry(rejection.kind)) {
+              res.write(format.streamError(rejectionError(rejection), shared));
+              break;
+            }
+
+            retries[rejection.kind]++;
+            metrics.correctionRounds.inc({ kind: rejection.kind });
+            body = withCorrection(rejection.content, rejection.correction);
+            currentRes = await sendUpstream(body);
+            if (!currentRes.ok) {
+              const errText = await currentRes.text();
+              logger.log('UPSTREAM_ERROR', { status: currentRes.status, body: errText });
+              res.write(format.streamError({ message: errText, type: 'upstream_error', code: currentRes.status }, shared));
+              break;
+            }
+          }
+        } catch (e) {
+          logger.log('PROXY_ERROR', { message: e?.message, stack: e?.stack });
+          if (!abort.signal.aborted) {
+            if (UPSTREAM_TIMEOUTS[errorCode(e)]) metrics.upstreamErrors.inc({ upstream_host: upstreamHost, status: 'timeout' });
+            res.write(format.streamError(upstreamFailure(e).error, shared));
+          }
+        } finally {
+          res.end();
+          logger.save();
+        }
+      })();
+
+      return;
+    }
+
+    // ===== Non-stream =====
+    let data = await upstreamRes.json();
+
+    // If tools enabled, parse AnyToolCall from the assistant text of every choice
+    while (injected && requestHasTools) {
+      const reasoning = format.reasoningTexts(data);
+      const results = format.responseTexts(data).map((content, i) => (
+        content === null ? null : evaluateToolReply(content, {
+          toolDelimiter,
+          toolChoice,
+          parserOptions,
+          validationTools,
+          prunedTools,
+          reasoning: reasoning[i],
+          reasoningToolCalls: settings.reasoningToolCalls,
+        })
+      ));
+      for (const result of results) {
+        if (result?.repairs.length > 0) logger.log('TOOL_CALL_REPAIRS', result.repairs);
+      }
+
+      const rejection = multiChoice ? null : results[0]?.rejection;
+      if (rejection) {
+        const { content, problems } = results[0];
+        logger.log('CORRECTION_ROUND', { retries, ...rejection, content, problems });
+        if (canRetry(rejection.kind)) {
+          retries[rejection.kind]++;
+          metrics.correctionRounds.inc({ kind: rejection.kind });
+          body = withCorrection(content, rejection.correction);
+          const retryRes = await sendUpstream(body);
+          if (!retryRes.ok) {
+            const errText = await retryRes.text();
+            logger.log('UPSTREAM_ERROR', { status: retryRes.status, body: errText });
+            logger.save();
+            forwardResponseHeaders(res, retryRes, settings.headers);
+            return sendText(res, retryRes.status, errText, retryRes.headers.get('content-type') || undefined);
+          }
+          // rate-limit headers of the latest round are the current ones
+          forwardResponseHeaders(res, retryRes, settings.headers);
+          data = await retryRes.json();
+          continue;
+        }
+        if (rejection.kind === 'tool_choice') {
+          logger.save();
+          return sendJson(res, 502, format.errorBody(rejectionError(rejection)));
+        }
+      }
+
+      // Out of correction rounds (or n>1)
+      applyToolReplies(format, data, results, { validationTools, reportViolations: multiChoice });
+      break;
+    }
+
+    logger.save();
+    return sendJson(res, 200, data);
+  } catch (err) {
+    logger.log('PROXY_ERROR', { message: err?.message, stack: err?.stack });
+    logger.save();
+    if (abort.signal.aborted) return;
+    const failure = upstreamFailure(err);
+    return sendJson(res, failure.status, format ? format.errorBody(failure.error) : { error: failure.error });
+  }
+}
+
+
+// ============ Proxy instances ============
+const DEFAULT_BODY_LIMIT = 50 * 1024 * 1024;
+
+/**
+ * Settings of one createProxy instance: its options over the environment defaults.
+ * Invalid options throw, like an invalid environment does at startup.
+ */
+function resolveProxyOptions(options = {}) {
+  const oneOf = (name, allowed, fallback) => {
+    if (options[name] === undefined) return fallback;
+    if (!allowed.includes(options[name])) throw new Error(`createProxy: ${name} must be one of ${allowed.join(', ')}`);
+    return options[name];
+  };
+  const count = (name, fallback) => {
+    if (options[name] === undefined) return fallback;
+    if (!Number.isInteger(options[name]) || options[name] < 0) throw new Error(`createProxy: ${name} must be a non-negative integer`);
+    return options[name];
+  };
+
+  const dialect = options.dialect ?? DEFAULT_DIALECT;
+  if (!TOOL_DIALECTS[dialect]) throw new Error(`unknown tool dialect "${dialect}"`);
+  const config = options.config === undefined ? CONFIG : loadConfig(options.config);
+
+  return {
+    // base URL the request path is appended to; without it the path carries the upstream
+    upstream: options.upstream ? new URL(options.upstream).href.replace(/\/+$/, '') : null,
+    config,
+    headers: mergeHeaderPolicy(config?.headers ?? HEADER_POLICY, options.headers, 'createProxy'),
+    dialect,
+    markers: options.markers ?? null,
+    toolMode: oneOf('toolMode', TOOL_MODES, TOOL_MODE),
+    fewShot: oneOf('fewShot', ['fixed', 'synthetic', 'off'], FEW_SHOT),
+    toolSchema: oneOf('toolSchema', TOOL_SCHEMAS, TOOL_SCHEMA),
+    toolTopK: count('toolTopK', TOOL_TOP_K),
+    prunedToolCalls: oneOf('prunedToolCalls', ['repair', 'reject'], TOOL_PRUNED_CALLS),
+    reasoningToolCalls: oneOf('reasoningToolCalls', ['fallback', 'off'], REASONING_TOOL_CALLS),
+    reasoningHistory: oneOf('reasoningHistory', ['keep', 'drop'], REASONING_HISTORY),
+    markerRotation: oneOf('markerRotation', ['collision', 'always', 'off'], MARKER_ROTATION),
+    toolResultCheck: oneOf('toolResultCheck', ['repair', 'strict'], TOOL_RESULT_CHECK),
+    validation: options.validation ?? TOOL_VALIDATION,
+    toolChoiceMaxRetries: count('toolChoiceMaxRetries', TOOL_CHOICE_MAX_RETRIES),
+    toolValidationMaxRetries: count('toolValidationMaxRetries', TOOL_VALIDATION_MAX_RETRIES),
+    bodyLimit: count('bodyLimit', DEFAULT_BODY_LIMIT),
+    connectTimeout: count('connectTimeout', UPSTREAM_CONNECT_TIMEOUT_MS),
+    firstByteTimeout: count('firstByteTimeout', UPSTREAM_FIRST_BYTE_TIMEOUT_MS),
+    idleTimeout: count('idleTimeout', UPSTREAM_IDLE_TIMEOUT_MS),
+    maxRetries: count('maxRetries', UPSTREAM_MAX_RETRIES),
+    retryBaseDelay: count('retryBaseDelay', UPSTREAM_RETRY_BASE_MS),
+    retryMaxDelay: count('retryMaxDelay', UPSTREAM_RETRY_MAX_MS),
+  };
+}
+
+// JSON body for servers without a body parser (an empty body stays undefined)
+function readJsonBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let failed = false;
+    const fail = (status, message) => {
+      failed = true;
+      reject(Object.assign(new Error(message), { status }));
+    };
+    req.on('data', (chunk) => {
+      if (failed) return;
+      size += chunk.length;
+      if (size > limit) fail(413, `request body larger than ${limit} bytes`);
+      else chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (failed) return;
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (!text.trim()) return resolve(undefined);
+      try {
+        resolve(JSON.parse(text));
+      } catch (e) {
+        fail(400, `invalid JSON body: ${e.message}`);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// OpenAI-style list of the configured models; a key only sees the models it may use
+function sendModelList(req, res, config) {
+  const access = authenticateRequest(req, configKeys(config));
+  if (access?.error) return sendKeyError(res, null, access);
+  const list = listModels(config);
+  if (access) {
+    list.data = list.data.filter((m) => {
+      const { provider, model } = resolveModel(m.id, config);
+      return keyAllowsModel(access.key, [m.id, model, `${provider.name}/${model}`])
+        && keyAllowsUpstream(access.key, { hostname: new URL(provider.baseUrl).hostname, provider });
+    });
+  }
+  return sendJson(res, 200, list);
+}
+
+/**
+ * Express / Connect middleware (also a plain http.createServer handler). Options default
+ * to the environment variables:
+ *   upstream                  fixed upstream base URL (default: taken from the path)
+ *   config                    CONFIG_FILE path or the same structure as an object
+ *   headers                   { request, response } of { allow, deny, set }, on top of the config / env lists
+ *   dialect, markers          default tool dialect, fixed markers for it
+ *   toolMode, fewShot, markerRotation, toolResultCheck, validation,
+ *   toolChoiceMaxRetries, toolValidationMaxRetries
+ *   toolSchema, toolTopK, prunedToolCalls   prompt size (TOOL_SCHEMA, TOOL_TOP_K, TOOL_PRUNED_CALLS)
+ *   reasoningToolCalls, reasoningHistory   reasoning channels (REASONING_TOOL_CALLS, REASONING_HISTORY)
+ *   bodyLimit                 bytes, when the body is not parsed yet (default 50MB)
+ *   connectTimeout, firstByteTimeout, idleTimeout, maxRetries, retryBaseDelay,
+ *   retryMaxDelay             upstream timeouts and retry policy, in ms
+ * The returned function carries `settings` and `delimiterFor(dialect)`.
+ */
+function createProxy(options = {}) {
+  const settings = resolveProxyOptions(options);
+  // random markers are drawn once per instance and dialect
+  const delimiters = new Map();
+  const proxy = {
+    settings,
+    delimiterFor(dialect = TOOL_DIALECTS[settings.dialect]) {
+      if (!delimiters.has(dialect.name)) {
+        const fixed = settings.markers && dialect.name === settings.dialect ? { ...dialect, markers: settings.markers } : dialect;
+        delimiters.set(dialect.name, new ToolCallDelimiter(fixed));
+      }
+      return delimiters.get(dialect.name);
+    },
+  };
+
+  async function serve(req, res) {
+    if (req.body === undefined && !['GET', 'HEAD'].includes(req.method)) {
+      try {
+        req.body = await readJsonBody(req, settings.bodyLimit);
+      } catch (e) {
+        return sendJson(res, e.status || 400, { error: { message: e.message, type: 'invalid_request_error' } });
+      }
+    }
+    const { pathname } = new URL(req.url, 'http://proxy');
+    if (req.method === 'GET' && pathname === '/v1/models' && settings.config && !settings.upstream) {
+      return sendModelList(req, res, settings.config);
+    }
+    return handleRequest(req, res, proxy);
+  }
+
+  const middleware = (req, res, next) => {
+    serve(req, res).catch((err) => {
+      if (next) return next(err);
+      console.error('Unhandled error:', err);
+      if (res.headersSent) return res.end();
+      sendJson(res, 500, { error: { message: err.message, type: 'server_error' } });
+    });
+  };
+  return Object.assign(middleware, proxy);
+}
+
+// ============ Library API (no HTTP) ============
+
+function apiFormat(name) {
+  if (!API_FORMATS[name]) throw new Error(`unknown API format "${name}" (available: ${Object.keys(API_FORMATS).join(', ')})`);
+  return API_FORMATS[name];
+}
+
+function contextDelimiter(context) {
+  return new ToolCallDelimiter({ ...TOOL_DIALECTS[context.dialect], markers: context.markers });
+}
+
+/**
+ * Request side of prompt injection for a client body in `format` (openai = chat
+ * completions, anthropic, responses, gemini). Returns { body, context }: body goes to the
+ * upstream, context (plain JSON) to parseResponse / createToolStreamTransformer. A body
+ * without tools or tool history comes back unchanged.
+ * options: format, dialect, markers, delimiter (a ToolCallDelimiter), fewShot,
+ * markerRotation, validation, toolSchema, toolTopK, prunedToolCalls, reasoningToolCalls,
+ * reasoningHistory
+ * `stats` tells what the injection adds: { injectedTokens, offeredTools, totalTools }.
+ */
+function transformApiRequest(body, {
+  format = 'openai',
+  dialect = DEFAULT_DIALECT,
+  markers = null,
+  delimiter = null,
+  fewShot = FEW_SHOT,
+  markerRotation = MARKER_ROTATION,
+  validation = TOOL_VALIDATION,
+  toolSchema = TOOL_SCHEMA,
+  toolTopK = TOOL_TOP_K,
+  prunedToolCalls = TOOL_PRUNED_CALLS,
+  reasoningToolCalls = REASONING_TOOL_CALLS,
+  reasoningHistory = REASONING_HISTORY,
+} = {}) {
+  const api = apiFormat(format);
+  if (!delimiter && !TOOL_DIALECTS[dialect]) throw new Error(`unknown tool dialect "${dialect}"`);
+  const shared = delimiter || new ToolCallDelimiter(markers ? { ...TOOL_DIALECTS[dialect], markers } : TOOL_DIALECTS[dialect]);
+
+  const chat = body && typeof body === 'object' ? api.toChat(body) : null;
+  const hasTools = !!(chat && Array.isArray(chat.tools) && chat.tools.length > 0);
+  const toolChoice = hasTools ? normalizeToolChoice(chat.tool_choice) : { mode: 'auto' };
+  if (toolChoice.mode === 'function' && !chat.tools.some((t) => t.function?.name === toolChoice.name)) {
+    throw new Error(`tool_choice references unknown tool "${toolChoice.name}"`);
+  }
+
+  const needsTransform = !!chat && (hasTools || hasToolHistory(chat));
+  const toolDelimiter = needsTransform ? delimiterForRequest(chat.messages, shared, markerRotation) : shared;
+  const selection = hasTools ? selectPromptTools(chat, { toolChoice, topK: toolTopK }) : { tools: [], pruned: [] };
+  const rejectPruned = selection.pruned.length > 0 && prunedToolCalls === 'reject';
+  const context = {
+    format,
+    dialect: toolDelimiter.dialect.name,
+    markers: toolDelimiter.markers,
+    toolChoice,
+    toolNames: hasTools ? chat.tools.map((t) => t.function?.name).filter(Boolean) : null,
+    tools: hasTools && validation ? (rejectPruned ? selection.tools : chat.tools) : null,
+    prunedTools: selection.pruned.length > 0 && !rejectPruned ? selection.pruned : null,
+    reasoningToolCalls,
+  };
+  const stats = { injectedTokens: 0, offeredTools: selection.tools.length, totalTools: hasTools ? chat.tools.length : 0 };
+  if (!needsTransform) return { body, context, stats };
+
+  const upstreamChat = transformRequest(chat, { hasTools, toolChoice, toolDelimiter, fewShot, promptTools: selection.tools, toolSchema, stats, reasoningHistory });
+  return { body: api.fromChat(upstreamChat, body), context, stats };
+}
+
+/**
+ * Response side for a non-stream upstream body: tool calls written into every choice, with
+ * validation problems, repairs and tool_choice violations under `anytoolcall`. There are
+ * no correction rounds here; `data` is rewritten in place and returned.
+ */
+function parseResponse(data, context) {
+  if (!context?.toolNames) return data;
+  const api = apiFormat(context.format);
+  const toolDelimiter = contextDelimiter(context);
+  const evaluate = {
+    toolDelimiter,
+    toolChoice: context.toolChoice,
+    parserOptions: { syntax: toolDelimiter.dialect.syntax, toolNames: context.toolNames },
+    validationTools: context.tools,
+    prunedTools: context.prunedTools ?? null,
+    reasoningToolCalls: context.reasoningToolCalls ?? REASONING_TOOL_CALLS,
+  };
+  const reasoning = api.reasoningTexts(data);
+  const results = api.responseTexts(data).map((content, i) => (
+    content === null ? null : evaluateToolReply(content, { ...evaluate, reasoning: reasoning[i] })
+  ));
+  return applyToolReplies(api, data, results, { validationTools: context.tools, reportViolations: true });
+}
+
+/**
+ * Web-streams version of the format's SSE transformer: upstream bytes (or strings) in,
+ * client SSE bytes out, e.g. upstreamRes.body.pipeThrough(createToolStreamTransformer(context)).
+ * Like parseResponse it never rejects an attempt; violations are reported per choice.
+ */
+function createToolStreamTransformer(context) {
+  if (!context?.toolNames) return new TransformStream();
+  const toolDelimiter = contextDelimiter(context);
+  const transformer = apiFormat(context.format).createStreamTransformer({
+    markers: toolDelimiter.markers,
+    toolChoice: context.toolChoice,
+    tools: context.tools,
+    retryValidation: false,
+    rejectAttempt: false,
+    parserOptions: { syntax: toolDelimiter.dialect.syntax, toolNames: context.toolNames },
+    prunedTools: context.prunedTools ?? null,
+    reasoningToolCalls: context.reasoningToolCalls ?? REASONING_TOOL_CALLS,
+    shared: {},
+  });
+  const decoder = new TextDecoder();
+  let output = null;
+  transformer.on('data', (chunk) => output.enqueue(new Uint8Array(chunk)));
+  // a failure mid-stream errors the web stream (and whoever reads it)
+  transformer.on('error', (err) => output.error(err));
+
+  return new TransformStream({
+    start(controller) {
+      output = controller;
+    },
+    transform(chunk) {
+      transformer.write(typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true }));
+    },
+    flush() {
+      return new Promise((resolve, reject) => {
+        transformer.once('end', resolve);
+        transformer.once('error', reject);
+        transformer.end();
+      });
+    },
+  });
+}
+
+module.exports = {
+  createProxy,
+  transformRequest: transformApiRequest,
+  parseResponse,
+  createToolStreamTransformer,
+  ToolCallDelimiter,
+  TOOL_DIALECTS,
+  API_FORMATS,
+  loadConfig,
+  renderMetrics,
+  flushRecordings,
+  handleMockUpstream,
+  MOCK_UPSTREAM,
+  MOCK_PATH,
+  LOG_ENABLED,
+  LOG_DIR,
+};
@@ -0,0 +1,98 @@
+'use strict';
+
+// Anthropic Messages: request translation, tool_use blocks in responses and in streams
+const test = require('node:test');
+const assert = require('node:assert');
+const { transformRequest, parseResponse, createToolStreamTransformer } = require('../lib/anytoolcall');
+
+const request = {
+  model: 'claude-x',
+  max_tokens: 512,
+  system: 'You are terse.',
+  tools: [
+    { name: 'get_weather', description: 'Weather for a city', input_schema: { type: 'object', properties: { city: { type: 'string' } }, required: ['city'] } },
+    { type: 'web_search_20250305', name: 'web_search', max_uses: 2 },
+  ],
+  tool_choice: { type: 'any' },
+  messages: [
+    { role: 'user', content: 'Weather in Oslo?' },
+    { role: 'assistant', content: [{ type: 'text', text: 'Checking.' }, { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: { city: 'Oslo' } }] },
+    { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_1', content: [{ type: 'text', text: '-3°C' }] }, { type: 'text', text: 'And Rome?' }] },
+  ],
+};
+
+const transform = () => transformRequest(request, { format: 'anthropic', dialect: 'xml' });
+
+test('custom tools move into the system prompt, server tools stay', () => {
+  const { body, context } = transform();
+
+  assert.ok(body.system.startsWith('You are terse.'));
+  assert.ok(body.system.includes('get_weather'));
+  assert.deepStrictEqual(body.tools, [request.tools[1]]);
+  assert.strictEqual(body.tool_choice, undefined);
+  assert.strictEqual(body.max_tokens, 512);
+  assert.deepStrictEqual(context.toolChoice, { mode: 'required' });
+});
+
+test('tool_use and tool_result history become delimited text', () => {
+  const { body } = transform();
+  const [, assistant, user] = body.messages;
+
+  assert.strictEqual(assistant.role, 'assistant');
+  assert.ok(assistant.content.includes('Checking.'));
+  assert.ok(assistant.content.includes('<name>get_weather</name>'));
+  assert.strictEqual(user.role, 'user');
+  assert.ok(user.content.includes('<function_result>'));
+  assert.ok(user.content.includes('-3°C'));
+  assert.ok(user.content.includes('And Rome?'));
+  assert.ok(body.messages.every((msg) => typeof msg.content === 'string'));
+});
+
+test('non-stream: calls in the text become tool_use blocks', () => {
+  const { context } = transform();
+  const data = parseResponse({
+    id: 'msg_1',
+    type: 'message',
+    role: 'assistant',
+    content: [{ type: 'text', text: 'On it.\n<function_call><name>get_weather</name><arguments>{"city":"Rome"}</arguments></function_call>' }],
+    stop_reason: 'end_turn',
+  }, context);
+
+  assert.strictEqual(data.stop_reason, 'tool_use');
+  assert.strictEqual(data.content[0].text.trim(), 'On it.');
+  assert.strictEqual(data.content[1].type, 'tool_use');
+  assert.match(data.content[1].id, /^toolu_/);
+  assert.deepStrictEqual(data.content[1].input, { city: 'Rome' });
+});
+
+function event(type, data) {
+  return `event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`;
+}
+
+test('stream: a call split across text deltas becomes a tool_use block', async () => {
+  const { context } = transform();
+  const text = 'On it.\n<function_call><name>get_weather</name><arguments>{"city":"Rome"}</arguments></function_call>';
+  const upstream = [
+    event('message_start', { message: { id: 'msg_1', type: 'message', role: 'assistant', content: [], usage: { input_tokens: 10, output_tokens: 0 } } }),
+    event('content_block_start', { index: 0, content_block: { type: 'text', text: '' } }),
+    ...text.match(/[\s\S]{1,7}/g).map((part) => event('content_block_delta', { index: 0, delta: { type: 'text_delta', text: part } })),
+    event('content_block_stop', { index: 0 }),
+    event('message_delta', { delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 30 } }),
+    event('message_stop', {}),
+  ].join('');
+
+  const out = await new Response(new Response(upstream).body.pipeThrough(createToolStreamTransformer(context))).text();
+  const events = out.split('\n\n').filter(Boolean).map((e) => JSON.parse(e.split('\n').find((l) => l.startsWith('data: ')).slice(6)));
+
+  const textOut = events.filter((e) => e.delta?.type === 'text_delta').map((e) => e.delta.text).join('');
+  const toolStart = events.find((e) => e.type === 'content_block_start' && e.content_block.type === 'tool_use');
+  const args = events.filter((e) => e.delta?.type === 'input_json_delta' && e.index === toolStart.index).map((e) => e.delta.partial_json).join('');
+
+  assert.strictEqual(textOut.trim(), 'On it.');
+  assert.strictEqual(toolStart.content_block.name, 'get_weather');
+  assert.deepStrictEqual(JSON.parse(args), { city: 'Rome' });
+  assert.strictEqual(events.find((e) => e.type === 'message_delta').delta.stop_reason, 'tool_use');
+  assert.strictEqual(events.filter((e) => e.type === 'message_start').length, 1);
+  assert.strictEqual(events.at(-1).type, 'message_stop');
+  assert.ok(!out.includes('<function_call>'));
+});
@@ -0,0 +1,68 @@
+'use strict';
+
+// n>1: every choice (Gemini: candidate) is parsed on its own, without correction rounds
+process.env.ALLOW_LOCAL_NET = 'true'; // read when the library loads
+
+const http = require('node:http');
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProxy, transformRequest, parseResponse } = require('../lib/anytoolcall');
+
+const tools = [{ type: 'function', function: { name: 'get_weather', parameters: { type: 'object', properties: { city: { type: 'string' } } } } }];
+const call = (city) => `<function_call><name>get_weather</name><arguments>{"city":"${city}"}</arguments></function_call>`;
+const choice = (index, content) => ({ index, message: { role: 'assistant', content }, finish_reason: 'stop' });
+
+test('non-stream: each choice gets its own calls and finish_reason', () => {
+  const { context } = transformRequest({ model: 'm', n: 3, messages: [{ role: 'user', content: 'hi' }], tools }, { dialect: 'xml' });
+  const data = parseResponse({ choices: [choice(0, call('Oslo')), choice(1, 'Just text.'), choice(2, `Two.\n${call('Rome')}\n${call('Bern')}`)] }, context);
+  const [a, b, c] = data.choices;
+
+  assert.deepStrictEqual(JSON.parse(a.message.tool_calls[0].function.arguments), { city: 'Oslo' });
+  assert.strictEqual(a.finish_reason, 'tool_calls');
+  assert.strictEqual(b.message.content, 'Just text.');
+  assert.strictEqual(b.message.tool_calls, undefined);
+  assert.strictEqual(b.finish_reason, 'stop');
+  assert.deepStrictEqual(c.message.tool_calls.map((tc) => JSON.parse(tc.function.arguments).city), ['Rome', 'Bern']);
+  assert.strictEqual(new Set([...a.message.tool_calls, ...c.message.tool_calls].map((tc) => tc.id)).size, 3);
+});
+
+test('Gemini candidates are parsed one by one', () => {
+  const { context } = transformRequest({
+    contents: [{ role: 'user', parts: [{ text: 'hi' }] }],
+    tools: [{ functionDeclarations: [{ name: 'get_weather', parameters: { type: 'OBJECT' } }] }],
+    generationConfig: { candidateCount: 2 },
+  }, { format: 'gemini', dialect: 'xml' });
+  const candidate = (index, text) => ({ index, content: { role: 'model', parts: [{ text }] }, finishReason: 'STOP' });
+  const data = parseResponse({ candidates: [candidate(0, 'No call.'), candidate(1, call('Oslo'))] }, context);
+
+  assert.deepStrictEqual(data.candidates[0].content.parts, [{ text: 'No call.' }]);
+  assert.strictEqual(data.candidates[1].content.parts.find((p) => p.functionCall).functionCall.args.city, 'Oslo');
+});
+
+test('proxy: a choice violating tool_choice keeps its text, and no correction round is made', async (t) => {
+  let requests = 0;
+  const upstream = http.createServer((req, res) => {
+    requests++;
+    req.resume();
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ id: 'c1', object: 'chat.completion', model: 'm', choices: [choice(0, call('Oslo')), choice(1, 'No tool for me.')] }));
+  });
+  const proxy = http.createServer(createProxy({ dialect: 'xml', fewShot: 'off' }));
+  for (const server of [upstream, proxy]) await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    upstream.close();
+    proxy.close();
+  });
+
+  const res = await fetch(`http://127.0.0.1:${proxy.address().port}/http://127.0.0.1:${upstream.address().port}/v1/chat/completions`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ model: 'm', n: 2, messages: [{ role: 'user', content: 'Weather?' }], tools, tool_choice: 'required' }),
+  });
+  const [first, second] = (await res.json()).choices;
+
+  assert.strictEqual(requests, 1);
+  assert.strictEqual(first.message.tool_calls.length, 1);
+  assert.strictEqual(second.message.content, 'No tool for me.');
+  assert.match(second.anytoolcall.tool_choice_violation, /did not call any tool/);
+});
@@ -0,0 +1,36 @@
+'use strict';
+
+// Config file: providers, aliases and their validation at startup
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadConfig } = require('../lib/anytoolcall');
+
+const providers = {
+  openai: { base_url: 'https://api.openai.com/v1', models: ['gpt-4o', 'gpt-4o-mini'] },
+  router: { base_url: 'https://openrouter.ai/api/v1', models: ['meta-llama/llama-3-70b'] },
+};
+
+test('aliases to provider/model, listed and bare names load', () => {
+  const config = loadConfig({
+    providers,
+    aliases: { fast: 'openai/gpt-4o-mini', big: 'gpt-4o', llama: 'meta-llama/llama-3-70b', other: 'some-model' },
+    default_provider: 'openai',
+  });
+  assert.deepStrictEqual(Object.keys(config.aliases), ['fast', 'big', 'llama', 'other']);
+});
+
+test('an alias with an unknown provider prefix fails even with default_provider', () => {
+  assert.throws(
+    () => loadConfig({ providers, aliases: { fast: 'opnai/gpt-4o-mini' }, default_provider: 'openai' }),
+    /alias "fast" -> "opnai\/gpt-4o-mini": "opnai" is not a provider/,
+  );
+});
+
+test('a bare alias target needs a listing provider or default_provider', () => {
+  assert.throws(() => loadConfig({ providers, aliases: { fast: 'gpt-4o-mni' } }), /alias "fast" -> "gpt-4o-mni" is in no provider's models/);
+  assert.ok(loadConfig({ providers, aliases: { fast: 'gpt-4o-mini' } }));
+});
+
+test('default_provider must name a provider', () => {
+  assert.throws(() => loadConfig({ providers, default_provider: 'nope' }), /default_provider "nope" is not a provider/);
+});
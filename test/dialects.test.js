@@ -0,0 +1,99 @@
+'use strict';
+
+// Dialects: built-in call syntaxes, dialect files, selection by header and model pattern
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+// read when the library loads
+const dialectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'anytoolcall-dialects-'));
+fs.writeFileSync(path.join(dialectDir, 'bracket.json'), JSON.stringify({
+  extends: 'xml',
+  markers: { TC_START: '[[call]]', TC_END: '[[/call]]' },
+  models: ['tiny-*'],
+  vars: { integrity_rule: 'Write [[call]] in double brackets.' },
+}));
+process.env.TOOL_DIALECT_DIR = dialectDir;
+process.env.TOOL_DIALECT_MODELS = 'qwen*=json-line';
+process.env.ALLOW_LOCAL_NET = 'true';
+
+const http = require('node:http');
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProxy, transformRequest, parseResponse, TOOL_DIALECTS } = require('../lib/anytoolcall');
+
+test.after(() => fs.rmSync(dialectDir, { recursive: true, force: true }));
+
+const tools = [{ type: 'function', function: { name: 'get_weather', parameters: { type: 'object', properties: { city: { type: 'string' } } } } }];
+const reply = (content) => ({ choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }] });
+
+test('json-line: history is written as call lines and call lines are parsed back', () => {
+  const { body, context } = transformRequest({
+    model: 'm',
+    tools,
+    messages: [
+      { role: 'user', content: 'Oslo?' },
+      { role: 'assistant', content: null, tool_calls: [{ id: 'call_a', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Oslo"}' } }] },
+      { role: 'tool', tool_call_id: 'call_a', content: '-3' },
+    ],
+  }, { dialect: 'json-line' });
+
+  assert.ok(body.messages[0].content.includes('TOOL_CALL:'));
+  assert.strictEqual(body.messages[2].content.trim(), 'TOOL_CALL: {"name":"get_weather","arguments":{"city":"Oslo"}}');
+  assert.ok(body.messages[3].content.startsWith('TOOL_RESULT:'));
+
+  const { message } = parseResponse(reply('Then Rome.\nTOOL_CALL: {"name": "get_weather", "arguments": {"city": "Rome"}}'), context).choices[0];
+  assert.strictEqual(message.content.trim(), 'Then Rome.');
+  assert.deepStrictEqual(JSON.parse(message.tool_calls[0].function.arguments), { city: 'Rome' });
+});
+
+test('a dialect file extends a built-in: markers and template vars override, the rest is inherited', () => {
+  const bracket = TOOL_DIALECTS.bracket;
+  assert.strictEqual(bracket.syntax, 'delimited');
+  assert.deepStrictEqual(bracket.markers, { ...TOOL_DIALECTS.xml.markers, TC_START: '[[call]]', TC_END: '[[/call]]' });
+
+  const { body, context } = transformRequest({ model: 'm', tools, messages: [{ role: 'user', content: 'Oslo?' }] }, { dialect: 'bracket' });
+  assert.ok(body.messages[0].content.includes('Write [[call]] in double brackets.'));
+  const { message } = parseResponse(reply('[[call]]<name>get_weather</name><arguments>{"city":"Oslo"}</arguments>[[/call]]'), context).choices[0];
+  assert.strictEqual(message.tool_calls[0].function.name, 'get_weather');
+});
+
+test('an unknown dialect is rejected', () => {
+  assert.throws(() => transformRequest({ model: 'm', tools, messages: [] }, { dialect: 'nope' }), /unknown tool dialect "nope"/);
+});
+
+test('proxy: the header wins over model patterns, which win over the instance dialect', async (t) => {
+  const prompts = [];
+  const upstream = http.createServer(async (req, res) => {
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+    prompts.push(JSON.parse(raw).messages[0].content);
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ id: 'c1', object: 'chat.completion', model: 'm', ...reply('Hi.') }));
+  });
+  const proxy = http.createServer(createProxy({ dialect: 'xml', fewShot: 'off' }));
+  for (const server of [upstream, proxy]) await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    upstream.close();
+    proxy.close();
+  });
+  const url = `http://127.0.0.1:${proxy.address().port}/http://127.0.0.1:${upstream.address().port}/v1/chat/completions`;
+  const chat = (model, headers = {}) => fetch(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...headers },
+    body: JSON.stringify({ model, tools, messages: [{ role: 'user', content: 'hi' }] }),
+  });
+
+  for (const res of [await chat('gpt-x'), await chat('qwen-2'), await chat('tiny-1'), await chat('qwen-2', { 'x-anytoolcall-dialect': 'bracket' })]) {
+    assert.strictEqual(res.status, 200);
+  }
+  assert.ok(prompts[0].includes('<function_call>'));
+  assert.ok(prompts[1].includes('TOOL_CALL:'));
+  assert.ok(prompts[2].includes('[[call]]'));
+  assert.ok(prompts[3].includes('[[call]]'));
+
+  const res = await chat('gpt-x', { 'x-anytoolcall-dialect': 'nope' });
+  assert.strictEqual(res.status, 400);
+  assert.match((await res.json()).error.message, /unknown tool dialect "nope" \(available: unicode, xml, json-line, bracket\)/);
+  assert.strictEqual(prompts.length, 4);
+});
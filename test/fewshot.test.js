@@ -0,0 +1,81 @@
+'use strict';
+
+// Few-shot example: what gets injected per FEW_SHOT strategy, and calls to the example tool
+const test = require('node:test');
+const assert = require('node:assert');
+const { transformRequest, parseResponse, createToolStreamTransformer } = require('../lib/anytoolcall');
+
+const EXAMPLE_TOOL = 'hyper_dimensional_resonance_calibrator';
+const tools = [{
+  type: 'function',
+  function: {
+    name: 'book_flight',
+    parameters: { type: 'object', properties: { from: { type: 'string' }, seats: { type: 'integer', minimum: 1 }, cabin: { enum: ['economy', 'business'] } }, required: ['from', 'seats', 'cabin'] },
+  },
+}];
+
+function transform(options, messages = [{ role: 'user', content: 'Book me a flight' }]) {
+  return transformRequest({ model: 'm', messages, tools }, { dialect: 'xml', ...options });
+}
+
+const allText = (body) => body.messages.map((msg) => msg.content).join('\n');
+
+function completion(content) {
+  return { id: 'c1', object: 'chat.completion', model: 'm', choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }] };
+}
+
+const exampleCall = `<function_call><name>${EXAMPLE_TOOL}</name><arguments>{"dimension_id":"C-137"}</arguments></function_call>`;
+
+test('fixed: the sci-fi tool is offered and demonstrated', () => {
+  const text = allText(transform({ fewShot: 'fixed' }).body);
+  assert.ok(text.includes(`<name>${EXAMPLE_TOOL}</name>`));
+});
+
+test('synthetic: the example calls a real tool with schema-valid placeholders', () => {
+  const { body } = transform({ fewShot: 'synthetic' });
+  const text = allText(body);
+  assert.ok(!text.includes(EXAMPLE_TOOL));
+
+  const call = body.messages.find((msg) => msg.role === 'assistant' && msg.content.includes('<function_call>'));
+  assert.ok(call, 'no example call in the history');
+  assert.ok(call.content.includes('<name>book_flight</name>'));
+  const args = JSON.parse(call.content.match(/<arguments>(.*?)<\/arguments>/s)[1]);
+  assert.strictEqual(typeof args.from, 'string');
+  assert.ok(Number.isInteger(args.seats) && args.seats >= 1);
+  assert.ok(['economy', 'business'].includes(args.cabin));
+});
+
+test('off or a forced tool: no example', () => {
+  assert.ok(!allText(transform({ fewShot: 'off' }).body).includes(EXAMPLE_TOOL));
+  const forced = transformRequest({ model: 'm', messages: [{ role: 'user', content: 'Book' }], tools, tool_choice: { type: 'function', function: { name: 'book_flight' } } }, { dialect: 'xml', fewShot: 'fixed' });
+  assert.ok(!allText(forced.body).includes(EXAMPLE_TOOL));
+});
+
+test('non-stream: a reply that only calls the example tool is returned without the block', () => {
+  const { context } = transform({ fewShot: 'fixed', validation: false });
+  const data = parseResponse(completion(`Calibrating first.\n${exampleCall}`), context);
+  const { message } = data.choices[0];
+
+  assert.strictEqual(message.tool_calls, undefined);
+  assert.strictEqual(message.content.trim(), 'Calibrating first.');
+});
+
+test('non-stream: example calls are dropped next to real calls', () => {
+  const { context } = transform({ fewShot: 'fixed', validation: false });
+  const real = '<function_call><name>book_flight</name><arguments>{"from":"BER","seats":1,"cabin":"economy"}</arguments></function_call>';
+  const { message } = parseResponse(completion(`${exampleCall}\n${real}`), context).choices[0];
+
+  assert.deepStrictEqual(message.tool_calls.map((tc) => tc.function.name), ['book_flight']);
+  assert.ok(!String(message.content ?? '').includes('<function_call>'));
+});
+
+test('stream: example calls never reach the client', async () => {
+  const { context } = transform({ fewShot: 'fixed', validation: false });
+  const chunk = (delta, finish = null) => `data: ${JSON.stringify({ id: 'c1', object: 'chat.completion.chunk', model: 'm', choices: [{ index: 0, delta, finish_reason: finish }] })}\n\n`;
+  const upstream = [chunk({ role: 'assistant', content: 'Calibrating.\n' }), chunk({ content: exampleCall }), chunk({}, 'stop'), 'data: [DONE]\n\n'].join('');
+
+  const out = await new Response(new Response(upstream).body.pipeThrough(createToolStreamTransformer(context))).text();
+  assert.ok(!out.includes(EXAMPLE_TOOL));
+  assert.ok(!out.includes('<function_call>'));
+  assert.ok(out.includes('Calibrating.'));
+});
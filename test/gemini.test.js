@@ -0,0 +1,91 @@
+'use strict';
+
+// Gemini generateContent: request translation, functionCall parts in responses and in streams
+const test = require('node:test');
+const assert = require('node:assert');
+const { transformRequest, parseResponse, createToolStreamTransformer } = require('../lib/anytoolcall');
+
+const weather = { name: 'get_weather', description: 'Weather for a city', parameters: { type: 'OBJECT', properties: { city: { type: 'STRING' } } } };
+const time = { name: 'get_time', parameters: { type: 'OBJECT', properties: {} } };
+
+const request = {
+  systemInstruction: { parts: [{ text: 'You are terse.' }] },
+  tools: [{ functionDeclarations: [weather, time] }, { googleSearch: {} }],
+  toolConfig: { functionCallingConfig: { mode: 'ANY', allowedFunctionNames: ['get_weather'] } },
+  generationConfig: { temperature: 0.2 },
+  contents: [
+    { role: 'user', parts: [{ text: 'Weather in Oslo and Rome?' }] },
+    { role: 'model', parts: [{ functionCall: { name: 'get_weather', args: { city: 'Oslo' } }, thoughtSignature: 'sig-1' }, { functionCall: { name: 'get_weather', args: { city: 'Rome' } } }] },
+    { role: 'user', parts: [{ functionResponse: { name: 'get_weather', response: { temp: -3 } } }, { functionResponse: { name: 'get_weather', response: { temp: 18 } } }] },
+  ],
+};
+
+const transform = () => transformRequest(request, { format: 'gemini', dialect: 'xml' });
+const partsText = (content) => content.parts.map((p) => p.text || '').join('');
+
+test('declarations and the calling config move into the prompt, built-in tools stay', () => {
+  const { body, context } = transform();
+
+  assert.ok(body.systemInstruction.parts[0].text.startsWith('You are terse.'));
+  assert.ok(body.systemInstruction.parts[0].text.includes('get_weather'));
+  assert.deepStrictEqual(body.tools, [{ googleSearch: {} }]);
+  assert.strictEqual(body.toolConfig, undefined);
+  assert.deepStrictEqual(body.generationConfig, { temperature: 0.2 });
+  // mode ANY with one allowed function forces it
+  assert.deepStrictEqual(context.toolChoice, { mode: 'function', name: 'get_weather' });
+});
+
+test('calls and responses without ids are paired by name and order; the signature stays', () => {
+  const { body } = transform();
+  const [, model, user] = body.contents;
+
+  assert.strictEqual(model.role, 'model');
+  assert.strictEqual(model.parts[0].thoughtSignature, 'sig-1');
+  assert.ok(partsText(model).includes('{"city":"Oslo"}'));
+  const results = partsText(user);
+  assert.ok(results.indexOf('{"temp":-3}') < results.indexOf('{"temp":18}'));
+  const ids = [...partsText(model).matchAll(/call_\w+/g)].map((m) => m[0]);
+  for (const id of new Set(ids)) assert.ok(results.includes(id), `result for ${id}`);
+});
+
+const CALL = '<function_call><name>get_weather</name><arguments>{"city":"Rome"}</arguments></function_call>';
+
+test('non-stream: calls in the text become functionCall parts', () => {
+  const { context } = transform();
+  const data = parseResponse({
+    candidates: [{ index: 0, content: { role: 'model', parts: [{ text: `On it.\n${CALL}`, thoughtSignature: 'sig-2' }] }, finishReason: 'STOP' }],
+  }, context);
+  const { parts } = data.candidates[0].content;
+
+  assert.strictEqual(parts[0].text.trim(), 'On it.');
+  assert.deepStrictEqual(parts[1].functionCall.args, { city: 'Rome' });
+  assert.strictEqual(parts[1].functionCall.name, 'get_weather');
+});
+
+// Gemini ends its SSE events with \r\n\r\n; reads of 5 bytes also split those in half
+function upstreamReads(text) {
+  return new ReadableStream({
+    start(controller) {
+      for (const piece of text.match(/[\s\S]{1,5}/g)) controller.enqueue(new TextEncoder().encode(piece));
+      controller.close();
+    },
+  });
+}
+
+test('stream: a call split across chunks is sent as one functionCall part', async () => {
+  const { context } = transform();
+  const text = `On it.\n${CALL}`;
+  const pieces = text.match(/[\s\S]{1,9}/g);
+  const upstream = pieces.map((piece, i) => `data: ${JSON.stringify({
+    candidates: [{ index: 0, content: { role: 'model', parts: [{ text: piece }] }, ...(i === pieces.length - 1 ? { finishReason: 'STOP' } : {}) }],
+  })}\r\n\r\n`).join('');
+
+  const out = await new Response(upstreamReads(upstream).pipeThrough(createToolStreamTransformer(context))).text();
+  const parts = out.split(/\r?\n\r?\n/).filter(Boolean).flatMap((e) => JSON.parse(e.replace(/^data: /, '')).candidates?.[0]?.content?.parts || []);
+  const calls = parts.filter((p) => p.functionCall);
+
+  assert.strictEqual(parts.filter((p) => typeof p.text === 'string').map((p) => p.text).join('').trim(), 'On it.');
+  assert.strictEqual(calls.length, 1);
+  assert.deepStrictEqual(calls[0].functionCall.args, { city: 'Rome' });
+  assert.ok(!out.includes('<function_call>'));
+});
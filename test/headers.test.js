@@ -0,0 +1,98 @@
+'use strict';
+
+// Header forwarding: allow / deny / set lists for requests and responses, headers that never pass
+process.env.ALLOW_LOCAL_NET = 'true'; // read when the library loads
+process.env.FORWARD_REQUEST_HEADERS = 'x-gateway-*';
+process.env.SET_REQUEST_HEADERS = 'X-Title=Env App';
+process.env.BLOCK_RESPONSE_HEADERS = 'openai-version';
+
+const http = require('node:http');
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProxy, loadConfig } = require('../lib/anytoolcall');
+
+async function exchange(t, requestHeaders) {
+  let received = null;
+  const upstream = http.createServer((req, res) => {
+    received = req.headers;
+    req.resume();
+    res.writeHead(200, {
+      'content-type': 'application/json',
+      'x-ratelimit-remaining-requests': '99',
+      'openai-version': '2020-10-01',
+      'x-upstream-node': 'n1',
+      'set-cookie': 'session=1',
+      server: 'upstream',
+    });
+    res.end(JSON.stringify({ id: 'c1', object: 'chat.completion', model: 'm', choices: [{ index: 0, message: { role: 'assistant', content: 'Hi.' }, finish_reason: 'stop' }] }));
+  });
+  const proxy = http.createServer(createProxy({
+    headers: {
+      request: { allow: ['proxy-authorization', 'x-anytoolcall-*'], deny: ['openai-organization'], set: { 'X-Extra': 'option' } },
+      response: { allow: ['x-upstream-*'], set: { 'X-Served-By': 'anytoolcall' } },
+    },
+  }));
+  for (const server of [upstream, proxy]) await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    upstream.close();
+    proxy.close();
+  });
+
+  const res = await fetch(`http://127.0.0.1:${proxy.address().port}/http://127.0.0.1:${upstream.address().port}/v1/chat/completions`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...requestHeaders },
+    body: JSON.stringify({ model: 'm', messages: [{ role: 'user', content: 'hi' }] }),
+  });
+  await res.json();
+  return { received, response: res.headers, upstreamHost: `127.0.0.1:${upstream.address().port}` };
+}
+
+test('request headers: defaults and allowed patterns pass, denied and unknown ones do not', async (t) => {
+  const { received } = await exchange(t, {
+    authorization: 'Bearer sk-client',
+    'anthropic-version': '2023-06-01',
+    'x-gateway-team': 'blue',
+    'openai-organization': 'org-1',
+    cookie: 'a=1',
+    'x-random': 'no',
+  });
+
+  assert.strictEqual(received.authorization, 'Bearer sk-client');
+  assert.strictEqual(received['anthropic-version'], '2023-06-01');
+  assert.strictEqual(received['x-gateway-team'], 'blue');
+  for (const name of ['openai-organization', 'cookie', 'x-random']) assert.strictEqual(received[name], undefined, name);
+});
+
+test('set headers are added, replacing what the client sent', async (t) => {
+  const { received } = await exchange(t, { 'x-title': 'Client App' });
+
+  assert.strictEqual(received['x-title'], 'Env App');
+  assert.strictEqual(received['x-extra'], 'option');
+});
+
+test('hop-by-hop, framing and x-anytoolcall-* headers never pass, whatever the lists say', async (t) => {
+  const { received, upstreamHost } = await exchange(t, {
+    'proxy-authorization': 'Basic abc',
+    'x-anytoolcall-dialect': 'xml',
+  });
+
+  assert.strictEqual(received['proxy-authorization'], undefined);
+  assert.strictEqual(received['x-anytoolcall-dialect'], undefined);
+  assert.strictEqual(received.host, upstreamHost);
+});
+
+test('response headers: rate limits and allowed patterns come back, blocked ones do not', async (t) => {
+  const { response } = await exchange(t, {});
+
+  assert.strictEqual(response.get('x-ratelimit-remaining-requests'), '99');
+  assert.strictEqual(response.get('x-upstream-node'), 'n1');
+  assert.strictEqual(response.get('x-served-by'), 'anytoolcall');
+  assert.strictEqual(response.get('openai-version'), null);
+  assert.strictEqual(response.get('set-cookie'), null);
+  assert.notStrictEqual(response.get('server'), 'upstream');
+});
+
+test('a malformed headers spec is rejected where it comes from', () => {
+  assert.throws(() => createProxy({ headers: { request: { allow: 'x-a' } } }), /createProxy: headers\.request\.allow must be a list/);
+  assert.throws(() => loadConfig({ headers: { response: { set: ['x'] } } }), /config file options\.config: headers\.response\.set must be a map/);
+});
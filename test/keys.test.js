@@ -0,0 +1,156 @@
+'use strict';
+
+// Proxy keys: inbound auth, permissions, rate limits, concurrency and the daily token quota
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+// read when the library loads; the quota key starts just below its limit
+const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'anytoolcall-keys-'));
+process.env.KEY_STATE_FILE = path.join(stateDir, 'keys.json');
+fs.writeFileSync(process.env.KEY_STATE_FILE, JSON.stringify({ quota: { day: new Date().toISOString().slice(0, 10), tokens: 990, requests: 3 } }));
+process.env.ALLOW_LOCAL_NET = 'true';
+
+const crypto = require('node:crypto');
+const http = require('node:http');
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProxy } = require('../lib/anytoolcall');
+
+// after the library's own exit handler, which writes the key state
+process.on('exit', () => fs.rmSync(stateDir, { recursive: true, force: true }));
+
+async function start(t, keys) {
+  const received = [];
+  let hold = null;
+  const upstream = http.createServer(async (req, res) => {
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+    received.push({ headers: req.headers, body: JSON.parse(raw) });
+    if (hold) await hold;
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({
+      id: 'c1', object: 'chat.completion', model: 'x',
+      choices: [{ index: 0, message: { role: 'assistant', content: 'Hi.' }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 8, completion_tokens: 4, total_tokens: 12 },
+    }));
+  });
+  await new Promise((resolve) => upstream.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${upstream.address().port}`;
+  const config = {
+    providers: { alpha: { base_url: `${base}/v1`, api_key: 'sk-alpha', models: ['model-x', 'model-y'] } },
+    keys,
+  };
+  const proxy = http.createServer(createProxy({ config }));
+  await new Promise((resolve) => proxy.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    upstream.close();
+    proxy.close();
+  });
+  const proxyUrl = `http://127.0.0.1:${proxy.address().port}`;
+  return {
+    received,
+    holdUpstream: (promise) => { hold = promise; },
+    routed: `${proxyUrl}/v1/chat/completions`,
+    raw: `${proxyUrl}/${base}/v1/chat/completions`,
+  };
+}
+
+function chat(url, headers, model = 'model-x') {
+  return fetch(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...headers },
+    body: JSON.stringify({ model, messages: [{ role: 'user', content: 'hi' }] }),
+  });
+}
+
+test('requests without a valid proxy key get 401 invalid_api_key', async (t) => {
+  const { routed, received } = await start(t, { team: { key: 'pk-team' } });
+
+  for (const headers of [{}, { authorization: 'Bearer sk-wrong' }, { 'x-anytoolcall-key': 'pk-wrong', authorization: 'Bearer pk-team' }]) {
+    const res = await chat(routed, headers);
+    const { error } = await res.json();
+    assert.strictEqual(res.status, 401);
+    assert.strictEqual(error.code, 'invalid_api_key');
+  }
+  assert.strictEqual(received.length, 0);
+});
+
+test('the proxy key never reaches the upstream', async (t) => {
+  const { routed, raw, received } = await start(t, { team: { key: 'pk-team' } });
+
+  assert.strictEqual((await chat(routed, { authorization: 'Bearer pk-team' })).status, 200);
+  assert.strictEqual((await chat(raw, { 'x-anytoolcall-key': 'pk-team', authorization: 'Bearer sk-client' })).status, 200);
+  const [viaBearer, viaHeader] = received;
+
+  // routed: the provider's key replaces it; raw: the client's own credentials pass
+  assert.strictEqual(viaBearer.headers.authorization, 'Bearer sk-alpha');
+  assert.strictEqual(viaHeader.headers.authorization, 'Bearer sk-client');
+  assert.strictEqual(viaHeader.headers['x-anytoolcall-key'], undefined);
+});
+
+test('keys may be limited to models and upstreams (403)', async (t) => {
+  const { routed, raw } = await start(t, {
+    modelsOnly: { key: 'pk-models', models: ['model-x'] },
+    providerOnly: { key_sha256: crypto.createHash('sha256').update('pk-provider').digest('hex'), upstreams: ['alpha'] },
+  });
+
+  assert.strictEqual((await chat(routed, { authorization: 'Bearer pk-models' }, 'model-x')).status, 200);
+  const model = await chat(routed, { authorization: 'Bearer pk-models' }, 'model-y');
+  assert.strictEqual(model.status, 403);
+  assert.strictEqual((await model.json()).error.code, 'model_not_allowed');
+
+  assert.strictEqual((await chat(routed, { authorization: 'Bearer pk-provider' })).status, 200);
+  const upstream = await chat(raw, { 'x-anytoolcall-key': 'pk-provider' });
+  assert.strictEqual(upstream.status, 403);
+  assert.strictEqual((await upstream.json()).error.code, 'upstream_not_allowed');
+});
+
+test('rpm: over the limit is a 429 with Retry-After', async (t) => {
+  const { routed, received } = await start(t, { rpm: { key: 'pk-rpm', rpm: 2 } });
+  const headers = { authorization: 'Bearer pk-rpm' };
+
+  assert.strictEqual((await chat(routed, headers)).status, 200);
+  assert.strictEqual((await chat(routed, headers)).status, 200);
+  const res = await chat(routed, headers);
+  const { error } = await res.json();
+
+  assert.strictEqual(res.status, 429);
+  assert.strictEqual(error.code, 'rate_limit_exceeded');
+  assert.match(error.message, /2 requests per minute/);
+  assert.ok(Number(res.headers.get('retry-after')) > 0);
+  assert.strictEqual(received.length, 2);
+});
+
+test('max_concurrency: a second request in flight is refused, the slot is freed afterwards', async (t) => {
+  const { routed, holdUpstream } = await start(t, { single: { key: 'pk-single', max_concurrency: 1 } });
+  const headers = { authorization: 'Bearer pk-single' };
+  let unhold;
+  holdUpstream(new Promise((resolve) => { unhold = resolve; }));
+
+  const first = chat(routed, headers);
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  const second = await chat(routed, headers);
+  assert.strictEqual(second.status, 429);
+  assert.match((await second.json()).error.message, /1 requests in flight/);
+
+  unhold();
+  assert.strictEqual((await first).status, 200);
+  holdUpstream(null);
+  assert.strictEqual((await chat(routed, headers)).status, 200);
+});
+
+test('tokens_per_day: usage from the state file and the upstream counts against the quota', async (t) => {
+  const { routed, received } = await start(t, { quota: { key: 'pk-quota', tokens_per_day: 1000 } });
+  const headers = { authorization: 'Bearer pk-quota' };
+
+  // 990 from the state file + 12 reported by this response
+  assert.strictEqual((await chat(routed, headers)).status, 200);
+  const res = await chat(routed, headers);
+  const { error } = await res.json();
+
+  assert.strictEqual(res.status, 429);
+  assert.strictEqual(error.type, 'tokens');
+  assert.match(error.message, /1002 \/ 1000 tokens/);
+  assert.strictEqual(received.length, 1);
+});
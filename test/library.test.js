@@ -0,0 +1,89 @@
+'use strict';
+
+// Library API: createProxy as middleware, option checks, and the no-HTTP helpers
+process.env.ALLOW_LOCAL_NET = 'true'; // read when the library loads
+
+const http = require('node:http');
+const { Transform } = require('node:stream');
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { createProxy, transformRequest, createToolStreamTransformer, API_FORMATS } = require('../lib/anytoolcall');
+
+const tools = [{ type: 'function', function: { name: 'get_weather', parameters: { type: 'object', properties: { city: { type: 'string' } } } } }];
+
+async function listen(t, handler) {
+  const server = http.createServer(handler);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+test('mounted under a prefix behind express.json(), the rest of the path goes to the fixed upstream', async (t) => {
+  const received = [];
+  const upstream = await listen(t, async (req, res) => {
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+    received.push({ url: req.url, body: JSON.parse(raw) });
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ id: 'c1', object: 'chat.completion', model: 'm', choices: [{ index: 0, message: { role: 'assistant', content: 'Sunny.' }, finish_reason: 'stop' }] }));
+  });
+  const app = express();
+  app.use('/llm', express.json(), createProxy({ upstream, dialect: 'xml' }));
+  const base = await listen(t, app);
+
+  const res = await fetch(`${base}/llm/v1/chat/completions`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ model: 'm', messages: [{ role: 'user', content: 'Weather?' }], tools }),
+  });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual((await res.json()).choices[0].message.content, 'Sunny.');
+  assert.strictEqual(received[0].url, '/v1/chat/completions');
+  assert.strictEqual(received[0].body.tools, undefined);
+  assert.ok(received[0].body.messages[0].content.includes('<function_call>'));
+});
+
+test('invalid options fail at createProxy time', () => {
+  assert.throws(() => createProxy({ toolMode: 'sometimes' }), /toolMode must be one of inject, native, fallback/);
+  assert.throws(() => createProxy({ maxRetries: -1 }), /maxRetries must be a non-negative integer/);
+  assert.throws(() => createProxy({ dialect: 'nope' }), /unknown tool dialect "nope"/);
+});
+
+test('transformRequest leaves a body without tools alone', () => {
+  const body = { model: 'm', messages: [{ role: 'user', content: 'hi' }] };
+  const { body: out, context } = transformRequest(body);
+  assert.strictEqual(out, body);
+  assert.strictEqual(context.toolNames, null);
+});
+
+test('createToolStreamTransformer passes everything through without tools', async () => {
+  const { context } = transformRequest({ model: 'm', messages: [{ role: 'user', content: 'hi' }] });
+  const sse = 'data: {"choices":[{"index":0,"delta":{"content":"hi"}}]}\n\ndata: [DONE]\n\n';
+  assert.strictEqual(await new Response(new Response(sse).body.pipeThrough(createToolStreamTransformer(context))).text(), sse);
+});
+
+test('a transformer failure mid-stream errors the web stream instead of going unhandled', async (t) => {
+  const unhandled = [];
+  const onUnhandled = (err) => unhandled.push(err);
+  process.on('unhandledRejection', onUnhandled);
+  t.after(() => process.off('unhandledRejection', onUnhandled));
+  t.mock.method(API_FORMATS.openai, 'createStreamTransformer', () => new Transform({
+    transform(chunk, encoding, callback) {
+      callback(new Error('parser exploded'));
+    },
+  }));
+
+  const { context } = transformRequest({ model: 'm', messages: [{ role: 'user', content: 'hi' }], tools });
+  const upstream = new ReadableStream({
+    start(controller) {
+      controller.enqueue(new TextEncoder().encode('data: {"choices":[]}\n\n'));
+      // the upstream is still open when the transformer fails
+    },
+  });
+  const reader = upstream.pipeThrough(createToolStreamTransformer(context)).getReader();
+
+  await assert.rejects(reader.read(), /parser exploded/);
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.deepStrictEqual(unhandled, []);
+});
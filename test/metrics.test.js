@@ -0,0 +1,98 @@
+'use strict';
+
+// Prometheus metrics: request counts, tool call results and bounded label values
+process.env.ALLOW_LOCAL_NET = 'true'; // read when the library loads
+
+const http = require('node:http');
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProxy, renderMetrics } = require('../lib/anytoolcall');
+
+const tools = [{ type: 'function', function: { name: 'get_weather', parameters: { type: 'object', properties: { city: { type: 'string' } } } } }];
+const CALL = '<function_call><name>get_weather</name><arguments>{"city":"Paris"}</arguments></function_call>';
+
+async function listen(handler) {
+  const server = http.createServer(handler);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { server, base: `http://127.0.0.1:${server.address().port}` };
+}
+
+// upstream answering every chat request with `content` (status 200) or the given status
+async function startUpstream(t, { content = 'hi', status = 200 } = {}) {
+  const upstream = await listen((req, res) => {
+    res.writeHead(status, { 'content-type': 'application/json' });
+    res.end(JSON.stringify(status === 200
+      ? { id: 'c', object: 'chat.completion', model: 'm', choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }] }
+      : { error: { message: 'bad request' } }));
+  });
+  t.after(() => upstream.server.close());
+  return upstream.base;
+}
+
+async function startProxy(t, options) {
+  const proxy = await listen(createProxy({ maxRetries: 0, ...options }));
+  t.after(() => proxy.server.close());
+  return proxy.base;
+}
+
+async function post(url, body) {
+  const res = await fetch(url, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(body) });
+  await res.text();
+  return res.status;
+}
+
+// value of one series, 0 when it does not exist
+function metricValue(name, labels) {
+  const wanted = `${name}{${Object.entries(labels).map(([k, v]) => `${k}="${v}"`).join(',')}}`;
+  const line = renderMetrics().split('\n').find((l) => l.startsWith(`${wanted} `));
+  return line ? Number(line.slice(wanted.length + 1)) : 0;
+}
+
+// the response is counted when the connection closes, after the client has read it
+const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+test('hosts and models from the request are counted as "other"', async (t) => {
+  const upstream = await startUpstream(t);
+  const proxy = await startProxy(t);
+
+  for (let i = 0; i < 3; i++) {
+    await post(`${proxy}/${upstream}/v1/chat/completions`, { model: `random-${i}`, messages: [{ role: 'user', content: 'hi' }] });
+  }
+  await settle();
+
+  const text = renderMetrics();
+  assert.ok(!text.includes('random-'), 'client model became a label value');
+  assert.ok(!text.includes('upstream_host="127.0.0.1"'), 'unconfigured host became a label value');
+  assert.strictEqual(metricValue('anytoolcall_requests_total', { upstream_host: 'other', model: 'other', status: 200 }), 3);
+});
+
+test('configured providers and models keep their names', async (t) => {
+  const upstream = await startUpstream(t);
+  const proxy = await startProxy(t, { config: { providers: { local: { base_url: `${upstream}/v1`, models: ['small'] } } } });
+
+  assert.strictEqual(await post(`${proxy}/v1/chat/completions`, { model: 'local/small', messages: [{ role: 'user', content: 'hi' }] }), 200);
+  assert.strictEqual(await post(`${proxy}/v1/chat/completions`, { model: 'local/unlisted', messages: [{ role: 'user', content: 'hi' }] }), 200);
+  await settle();
+
+  assert.strictEqual(metricValue('anytoolcall_requests_total', { upstream_host: '127.0.0.1', model: 'small', status: 200 }), 1);
+  assert.strictEqual(metricValue('anytoolcall_requests_total', { upstream_host: '127.0.0.1', model: 'other', status: 200 }), 1);
+});
+
+test('parsed tool calls and upstream errors are counted', async (t) => {
+  const calls = await startUpstream(t, { content: CALL });
+  const failing = await startUpstream(t, { status: 400 });
+  const proxy = await startProxy(t, { dialect: 'xml', upstream: calls });
+  const before = metricValue('anytoolcall_tool_calls_total', { result: 'parsed' });
+  const fixedHost = { upstream_host: '127.0.0.1', model: 'other', status: 200 };
+  const requestsBefore = metricValue('anytoolcall_requests_total', fixedHost);
+
+  await post(`${proxy}/v1/chat/completions`, { model: 'm', messages: [{ role: 'user', content: 'Weather?' }], tools });
+  const direct = await startProxy(t);
+  assert.strictEqual(await post(`${direct}/${failing}/v1/chat/completions`, { model: 'm', messages: [{ role: 'user', content: 'hi' }] }), 400);
+  await settle();
+
+  assert.strictEqual(metricValue('anytoolcall_tool_calls_total', { result: 'parsed' }), before + 1);
+  assert.strictEqual(metricValue('anytoolcall_upstream_errors_total', { upstream_host: 'other', status: 400 }), 1);
+  // the fixed upstream is configuration too
+  assert.strictEqual(metricValue('anytoolcall_requests_total', fixedHost), requestsBefore + 1);
+});
@@ -0,0 +1,109 @@
+'use strict';
+
+// Mock upstream: the proxy end to end against the built-in fake model, with its faults
+process.env.ALLOW_LOCAL_NET = 'true'; // read when the library loads
+
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { createProxy, handleMockUpstream, MOCK_PATH } = require('../lib/anytoolcall');
+
+const tools = [{ type: 'function', function: { name: 'get_weather', parameters: { type: 'object', properties: { city: { type: 'string' } } } } }];
+
+// one app serving the mock route and the proxy in front of it, as index.js does
+async function start(t, options = {}) {
+  const app = express();
+  app.use(express.json());
+  app.post(MOCK_PATH, (req, res, next) => handleMockUpstream(req, res).catch(next));
+  app.use(createProxy({ fewShot: 'off', maxRetries: 0, ...options }));
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return { mockUrl: `${base}${MOCK_PATH}`, proxyUrl: `${base}/${base}${MOCK_PATH}` };
+}
+
+function chat(url, { model = 'mock', content = 'call get_weather {"city":"Oslo"}', stream = false, messages } = {}) {
+  return fetch(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ model, stream, tools, messages: messages || [{ role: 'user', content }] }),
+  });
+}
+
+function streamedCalls(text) {
+  const calls = [];
+  for (const event of text.split('\n\n')) {
+    const data = event.replace(/^data: /, '');
+    if (!data.startsWith('{')) continue;
+    for (const tc of JSON.parse(data).choices[0]?.delta?.tool_calls || []) {
+      if (tc.function?.name) calls[tc.index] = { name: tc.function.name, arguments: '' };
+      calls[tc.index].arguments += tc.function?.arguments || '';
+    }
+  }
+  return calls;
+}
+
+test('"call <tool> {json}" comes back as a tool call in the proxy\'s random markers', async (t) => {
+  const { proxyUrl } = await start(t);
+  const { message } = (await (await chat(proxyUrl)).json()).choices[0];
+
+  assert.strictEqual(message.content.trim(), 'Calling get_weather.');
+  assert.strictEqual(message.tool_calls[0].function.name, 'get_weather');
+  assert.deepStrictEqual(JSON.parse(message.tool_calls[0].function.arguments), { city: 'Oslo' });
+});
+
+test('a tool result gets an acknowledgement', async (t) => {
+  const { proxyUrl } = await start(t, { dialect: 'xml' });
+  const res = await chat(proxyUrl, {
+    messages: [
+      { role: 'user', content: 'Oslo?' },
+      { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{}' } }] },
+      { role: 'tool', tool_call_id: 'call_1', content: '-3' },
+    ],
+  });
+
+  assert.strictEqual((await res.json()).choices[0].message.content, 'Mock: got the tool result.');
+});
+
+test('stream: split markers, 7-byte writes, multi-line data and no [DONE] still give one clean call', async (t) => {
+  const { proxyUrl } = await start(t);
+  const res = await chat(proxyUrl, { model: 'mock+split_markers+split_events+multiline_data+no_done', stream: true });
+  const text = await res.text();
+  const calls = streamedCalls(text);
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(calls.length, 1);
+  assert.strictEqual(calls[0].name, 'get_weather');
+  assert.deepStrictEqual(JSON.parse(calls[0].arguments), { city: 'Oslo' });
+  assert.ok(text.includes('"finish_reason":"tool_calls"'));
+});
+
+test('malformed_args: the proxy repairs the arguments and says so', async (t) => {
+  const { proxyUrl } = await start(t, { dialect: 'xml' });
+  const choice = (await (await chat(proxyUrl, { model: 'mock+malformed_args' })).json()).choices[0];
+
+  assert.deepStrictEqual(JSON.parse(choice.message.tool_calls[0].function.arguments), { city: 'Oslo' });
+  assert.ok(choice.anytoolcall.repairs.length > 0);
+});
+
+test('rate_limit and server_error faults answer 429 and 500', async (t) => {
+  const { proxyUrl } = await start(t);
+  const limited = await chat(proxyUrl, { model: 'mock+rate_limit' });
+  assert.strictEqual(limited.status, 429);
+  assert.strictEqual(limited.headers.get('retry-after'), '1');
+  assert.strictEqual((await limited.json()).error.code, 'rate_limit_exceeded');
+
+  const failed = await chat(proxyUrl, { model: 'mock+server_error' });
+  assert.strictEqual(failed.status, 500);
+  await failed.body.cancel();
+});
+
+test('an unknown fault is a 400 listing the available ones', async (t) => {
+  const { mockUrl } = await start(t);
+  const res = await chat(mockUrl, { model: 'mock+nope' });
+
+  assert.strictEqual(res.status, 400);
+  assert.match((await res.json()).error.message, /unknown mock fault "nope" \(available: split_markers, /);
+});
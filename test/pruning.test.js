@@ -0,0 +1,123 @@
+'use strict';
+
+// Tool prompt size: schema styles, top-k tool selection and calls to tools that were not offered
+process.env.ALLOW_LOCAL_NET = 'true'; // read when the library loads
+
+const http = require('node:http');
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProxy, transformRequest, parseResponse } = require('../lib/anytoolcall');
+
+const tool = (name, description, properties) => ({ type: 'function', function: { name, description, parameters: { type: 'object', properties } } });
+const tools = [
+  tool('get_weather', 'Current weather for a city.', { city: { type: 'string', description: 'City name' } }),
+  tool('send_email', 'Send an email.', { to: { type: 'string' } }),
+  tool('search_files', 'Search files on disk.', { query: { type: 'string' } }),
+  tool('create_invoice', 'Create an invoice.', { amount: { type: 'number' } }),
+];
+const weatherQuestion = [{ role: 'user', content: 'What is the weather in Oslo?' }];
+const emailCall = '<function_call><name>send_email</name><arguments>{"to":"a@example.com"}</arguments></function_call>';
+const reply = (content) => ({ choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }] });
+const parametersLine = (body) => body.messages[0].content.split('\n').find((line) => line.includes('Parameters:')).trim();
+
+const params = {
+  type: 'object',
+  title: 'Args',
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  properties: {
+    city: { type: 'string', description: 'City name. Must be in English.', examples: ['Oslo'] },
+    unit: { enum: ['c', 'f'], default: 'c' },
+    title: { type: 'string' },
+  },
+  required: ['city'],
+};
+
+function render(toolSchema) {
+  return transformRequest({ model: 'm', tools: [{ type: 'function', function: { name: 'get_weather', parameters: params } }], messages: [{ role: 'user', content: 'hi' }] }, { dialect: 'xml', fewShot: 'off', toolSchema });
+}
+
+test('compact drops schema noise and long descriptions, keeps values and property names', () => {
+  assert.strictEqual(parametersLine(render('compact').body), `Parameters: ${JSON.stringify({
+    type: 'object',
+    properties: { city: { type: 'string', description: 'City name.' }, unit: { enum: ['c', 'f'], default: 'c' }, title: { type: 'string' } },
+    required: ['city'],
+  })}`);
+});
+
+test('typescript writes a one-line signature; each style injects less than the one before', () => {
+  const [full, compact, typescript] = ['full', 'compact', 'typescript'].map(render);
+
+  assert.strictEqual(parametersLine(typescript.body), 'Parameters: {city: string /* City name. */, unit?: "c" | "f" /* default "c" */, title?: string}');
+  assert.ok(full.stats.injectedTokens > compact.stats.injectedTokens);
+  assert.ok(compact.stats.injectedTokens > typescript.stats.injectedTokens);
+});
+
+test('toolTopK offers the most relevant tools plus those already called', () => {
+  const { body, stats, context } = transformRequest({
+    model: 'm',
+    tools,
+    messages: [
+      { role: 'user', content: 'Find my notes.' },
+      { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'search_files', arguments: '{"query":"notes"}' } }] },
+      { role: 'tool', tool_call_id: 'call_1', content: 'none' },
+      ...weatherQuestion,
+    ],
+  }, { dialect: 'xml', toolTopK: 1 });
+  const prompt = body.messages[0].content;
+
+  assert.strictEqual(stats.offeredTools, 2);
+  assert.strictEqual(stats.totalTools, 4);
+  assert.ok(prompt.includes('**get_weather**') && prompt.includes('**search_files**'));
+  assert.ok(!prompt.includes('send_email') && !prompt.includes('create_invoice'));
+  assert.deepStrictEqual(context.prunedTools, ['send_email', 'create_invoice']);
+});
+
+test('a forced tool is offered even when it would be pruned', () => {
+  const { body, stats } = transformRequest(
+    { model: 'm', tools, messages: weatherQuestion, tool_choice: { type: 'function', function: { name: 'create_invoice' } } },
+    { dialect: 'xml', toolTopK: 1 },
+  );
+
+  assert.strictEqual(stats.offeredTools, 4);
+  assert.ok(body.messages[0].content.includes('**create_invoice**'));
+});
+
+test('a call to a pruned tool: repair returns it with tool_not_offered, reject fails validation', () => {
+  const repaired = transformRequest({ model: 'm', tools, messages: weatherQuestion }, { dialect: 'xml', toolTopK: 1, validation: true });
+  const repair = parseResponse(reply(emailCall), repaired.context).choices[0];
+  assert.strictEqual(repair.message.tool_calls[0].function.name, 'send_email');
+  assert.deepStrictEqual(repair.anytoolcall.repairs[0].repairs, ['tool_not_offered']);
+
+  const rejected = transformRequest({ model: 'm', tools, messages: weatherQuestion }, { dialect: 'xml', toolTopK: 1, validation: true, prunedToolCalls: 'reject' });
+  const reject = parseResponse(reply(emailCall), rejected.context).choices[0];
+  assert.deepStrictEqual(reject.anytoolcall.validation_errors[0].errors, ['unknown tool "send_email". Available tools: get_weather']);
+});
+
+test('proxy with reject: a call to a pruned tool gets a correction round', async (t) => {
+  const received = [];
+  const upstream = http.createServer(async (req, res) => {
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+    received.push(JSON.parse(raw));
+    const content = received.length === 1 ? emailCall : '<function_call><name>get_weather</name><arguments>{"city":"Oslo"}</arguments></function_call>';
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ id: 'c1', object: 'chat.completion', model: 'm', ...reply(content) }));
+  });
+  const proxy = http.createServer(createProxy({ dialect: 'xml', fewShot: 'off', validation: true, toolTopK: 1, prunedToolCalls: 'reject' }));
+  for (const server of [upstream, proxy]) await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    upstream.close();
+    proxy.close();
+  });
+
+  const res = await fetch(`http://127.0.0.1:${proxy.address().port}/http://127.0.0.1:${upstream.address().port}/v1/chat/completions`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ model: 'm', tools, messages: weatherQuestion }),
+  });
+  const { message } = (await res.json()).choices[0];
+
+  assert.strictEqual(received.length, 2);
+  assert.ok(received[1].messages.at(-1).content.includes('unknown tool "send_email"'));
+  assert.strictEqual(message.tool_calls[0].function.name, 'get_weather');
+});
@@ -0,0 +1,94 @@
+'use strict';
+
+// Reasoning channels: calls written in the reasoning, reasoning passing through, reasoning in history
+const test = require('node:test');
+const assert = require('node:assert');
+const { transformRequest, parseResponse, createToolStreamTransformer } = require('../lib/anytoolcall');
+
+const tools = [{ type: 'function', function: { name: 'get_weather', parameters: { type: 'object', properties: { city: { type: 'string' } } } } }];
+const call = (name, city) => `<function_call><name>${name}</name><arguments>{"city":"${city}"}</arguments></function_call>`;
+const reply = (content, reasoning) => ({ choices: [{ index: 0, message: { role: 'assistant', content, reasoning_content: reasoning }, finish_reason: 'stop' }] });
+
+function context(options = {}) {
+  return transformRequest({ model: 'm', tools, messages: [{ role: 'user', content: 'Weather in Oslo?' }] }, { dialect: 'xml', ...options }).context;
+}
+
+test('a call only in the reasoning is used and reported; the reasoning is left alone', () => {
+  const reasoning = `I should check.\n${call('get_weather', 'Oslo')}`;
+  const choice = parseResponse(reply('Let me look that up.', reasoning), context()).choices[0];
+
+  assert.deepStrictEqual(JSON.parse(choice.message.tool_calls[0].function.arguments), { city: 'Oslo' });
+  assert.deepStrictEqual(choice.anytoolcall.repairs[0].repairs, ['call_in_reasoning']);
+  assert.strictEqual(choice.message.reasoning_content, reasoning);
+  assert.strictEqual(choice.message.content, 'Let me look that up.');
+  assert.strictEqual(choice.finish_reason, 'tool_calls');
+});
+
+test('reasoning calls are ignored when the content has one, when they name unknown tools, or when off', () => {
+  const withContentCall = parseResponse(reply(call('get_weather', 'Rome'), call('get_weather', 'Oslo')), context()).choices[0];
+  assert.deepStrictEqual(withContentCall.message.tool_calls.map((tc) => JSON.parse(tc.function.arguments).city), ['Rome']);
+  assert.strictEqual(withContentCall.anytoolcall, undefined);
+
+  const unknown = parseResponse(reply('Hm.', call('get_time', 'Oslo')), context()).choices[0];
+  assert.strictEqual(unknown.message.tool_calls, undefined);
+
+  const off = parseResponse(reply('Hm.', call('get_weather', 'Oslo')), context({ reasoningToolCalls: 'off' })).choices[0];
+  assert.strictEqual(off.message.tool_calls, undefined);
+  assert.strictEqual(off.message.content, 'Hm.');
+});
+
+test('stream: reasoning deltas pass unchanged, a call in them is sent after the content', async () => {
+  const reasoning = `Thinking about ${call('get_weather', 'Oslo')} now.`;
+  const chunk = (delta, finish = null) => `data: ${JSON.stringify({ id: 'c1', object: 'chat.completion.chunk', model: 'm', choices: [{ index: 0, delta, finish_reason: finish }] })}\n\n`;
+  const upstream = [
+    chunk({ role: 'assistant', content: '' }),
+    ...reasoning.match(/[\s\S]{1,6}/g).map((piece) => chunk({ reasoning_content: piece })),
+    chunk({ content: 'Checking.' }),
+    chunk({}, 'stop'),
+    'data: [DONE]\n\n',
+  ].join('');
+
+  const out = await new Response(new Response(upstream).body.pipeThrough(createToolStreamTransformer(context()))).text();
+  const deltas = out.split('\n\n').map((e) => e.replace(/^data: /, '')).filter((d) => d.startsWith('{')).map((d) => JSON.parse(d).choices[0]);
+
+  assert.strictEqual(deltas.map((c) => c.delta.reasoning_content || '').join(''), reasoning);
+  assert.strictEqual(deltas.map((c) => c.delta.content || '').join(''), 'Checking.');
+  const calls = deltas.flatMap((c) => c.delta.tool_calls || []);
+  assert.strictEqual(calls[0].function.name, 'get_weather');
+  assert.deepStrictEqual(JSON.parse(calls.map((tc) => tc.function.arguments || '').join('')), { city: 'Oslo' });
+  assert.strictEqual(deltas.at(-1).finish_reason, 'tool_calls');
+});
+
+const history = [
+  { role: 'user', content: 'Weather in Oslo?' },
+  { role: 'assistant', content: null, reasoning_content: 'Need the weather tool.', tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Oslo"}' } }] },
+  { role: 'tool', tool_call_id: 'call_1', content: '-3' },
+];
+
+test('reasoningHistory: earlier reasoning is kept by default and dropped on request', () => {
+  const kept = transformRequest({ model: 'm', tools, messages: history }, { dialect: 'xml' }).body;
+  const dropped = transformRequest({ model: 'm', tools, messages: history }, { dialect: 'xml', reasoningHistory: 'drop' }).body;
+
+  assert.strictEqual(kept.messages.find((m) => m.role === 'assistant').reasoning_content, 'Need the weather tool.');
+  assert.ok(!('reasoning_content' in dropped.messages.find((m) => m.role === 'assistant')));
+});
+
+test('Anthropic thinking blocks and their signatures round-trip in history', () => {
+  const thinking = { type: 'thinking', thinking: 'Need the weather tool.', signature: 'sig-1' };
+  const request = {
+    model: 'claude-x',
+    max_tokens: 64,
+    tools: [{ name: 'get_weather', input_schema: { type: 'object' } }],
+    messages: [
+      { role: 'user', content: 'Weather in Oslo?' },
+      { role: 'assistant', content: [thinking, { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: { city: 'Oslo' } }] },
+      { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_1', content: '-3' }] },
+    ],
+  };
+  const kept = transformRequest(request, { format: 'anthropic', dialect: 'xml' }).body.messages[1];
+  const dropped = transformRequest(request, { format: 'anthropic', dialect: 'xml', reasoningHistory: 'drop' }).body.messages[1];
+
+  assert.deepStrictEqual(kept.content[0], thinking);
+  assert.ok(kept.content.some((b) => b.type === 'text' && b.text.includes('<name>get_weather</name>')));
+  assert.ok(!JSON.stringify(dropped).includes('sig-1'));
+});
@@ -0,0 +1,84 @@
+'use strict';
+
+// Recording: one redacted JSONL entry per request, written in order and rotated by size
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const http = require('node:http');
+
+const DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'anytoolcall-record-'));
+const RECORD_FILE = path.join(DIR, 'nested', 'recordings.jsonl');
+// read when the library loads
+Object.assign(process.env, { RECORD_FILE, RECORD_MAX_BYTES: '6000', RECORD_MAX_FILES: '2', ALLOW_LOCAL_NET: 'true' });
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProxy, flushRecordings } = require('../lib/anytoolcall');
+
+test.after(() => fs.rmSync(DIR, { recursive: true, force: true }));
+
+const readEntries = (file) => fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map((line) => JSON.parse(line));
+
+async function listen(t, handler) {
+  const server = http.createServer(handler);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+test('concurrent requests are recorded as whole, redacted lines', async (t) => {
+  const upstream = await listen(t, (req, res) => {
+    res.writeHead(200, { 'content-type': 'text/event-stream' });
+    res.write('data: {"choices":[{"index":0,"delta":{"content":"hi"}}]}\n\n');
+    setTimeout(() => res.end('data: [DONE]\n\n'), 5);
+  });
+  const proxy = await listen(t, createProxy());
+
+  await Promise.all([1, 2, 3].map(async (i) => {
+    const res = await fetch(`${proxy}/${upstream}/v1/chat/completions?key=secret`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', authorization: 'Bearer sk-live' },
+      body: JSON.stringify({ model: 'm', stream: true, messages: [{ role: 'user', content: `hi ${i}` }] }),
+    });
+    await res.text();
+  }));
+  // entries are saved when the client connection closes
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  await flushRecordings();
+
+  const entries = readEntries(RECORD_FILE);
+  assert.deepStrictEqual(entries.map((e) => e.request.body.messages[0].content).sort(), ['hi 1', 'hi 2', 'hi 3']);
+  for (const entry of entries) {
+    assert.strictEqual(entry.request.headers.authorization, '[REDACTED]');
+    assert.ok(entry.request.url.endsWith('?key=[REDACTED]'));
+    assert.deepStrictEqual(entry.upstream[0].response.chunks.join(''), 'data: {"choices":[{"index":0,"delta":{"content":"hi"}}]}\n\ndata: [DONE]\n\n');
+    assert.strictEqual(entry.client.status, 200);
+  }
+  assert.ok(!fs.readFileSync(RECORD_FILE, 'utf8').includes('sk-live'));
+});
+
+test('the file rotates at RECORD_MAX_BYTES and keeps RECORD_MAX_FILES', async (t) => {
+  const upstream = await listen(t, (req, res) => {
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ id: 'c1', object: 'chat.completion', choices: [{ index: 0, message: { role: 'assistant', content: 'x'.repeat(1000) }, finish_reason: 'stop' }] }));
+  });
+  const proxy = await listen(t, createProxy());
+
+  for (let i = 0; i < 12; i++) {
+    const res = await fetch(`${proxy}/${upstream}/v1/chat/completions`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ model: 'm', messages: [{ role: 'user', content: `turn ${i}` }] }),
+    });
+    await res.text();
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  await flushRecordings();
+
+  assert.ok(fs.existsSync(`${RECORD_FILE}.1`));
+  assert.ok(fs.existsSync(`${RECORD_FILE}.2`));
+  assert.ok(!fs.existsSync(`${RECORD_FILE}.3`));
+  for (const file of [RECORD_FILE, `${RECORD_FILE}.1`]) assert.ok(fs.statSync(file).size <= 6000, file);
+  // the newest request is in the current file
+  assert.strictEqual(readEntries(RECORD_FILE).at(-1).request.body.messages[0].content, 'turn 11');
+});
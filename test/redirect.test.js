@@ -0,0 +1,107 @@
+'use strict';
+
+// Upstream redirects: every hop is checked again and credentials stay with their origin
+process.env.ALLOW_LOCAL_NET = 'true'; // read when the library loads
+
+const http = require('node:http');
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProxy } = require('../lib/anytoolcall');
+
+const completion = { id: 'c', object: 'chat.completion', model: 'm', choices: [{ index: 0, message: { role: 'assistant', content: 'hi' }, finish_reason: 'stop' }] };
+
+async function listen(handler) {
+  const server = http.createServer(handler);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { server, base: `http://127.0.0.1:${server.address().port}` };
+}
+
+// origin A redirects every request to origin B, which records what arrived
+async function redirectPair(t, location = (b) => `${b}/v1/chat/completions?key=secret&region=eu`) {
+  const seen = [];
+  const target = await listen((req, res) => {
+    seen.push({ url: req.url, headers: req.headers });
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify(completion));
+  });
+  const origin = await listen((req, res) => {
+    res.writeHead(307, { location: location(target.base) });
+    res.end('moved');
+  });
+  t.after(() => {
+    target.server.close();
+    origin.server.close();
+  });
+  return { seen, origin: origin.base, target: target.base };
+}
+
+async function startProxy(t, options) {
+  const proxy = await listen(createProxy(options));
+  t.after(() => proxy.server.close());
+  return proxy.base;
+}
+
+const chat = { model: 'm', messages: [{ role: 'user', content: 'hi' }] };
+
+test('a cross-origin redirect drops every credential header and the key parameter', async (t) => {
+  const { seen, origin } = await redirectPair(t);
+  const proxy = await startProxy(t);
+
+  const res = await fetch(`${proxy}/${origin}/v1/chat/completions?key=secret`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', authorization: 'Bearer sk-1', 'x-api-key': 'k-2', 'x-goog-api-key': 'g-3' },
+    body: JSON.stringify(chat),
+  });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(seen.length, 1);
+  assert.strictEqual(seen[0].url, '/v1/chat/completions?region=eu');
+  for (const name of ['authorization', 'x-api-key', 'x-goog-api-key']) assert.strictEqual(seen[0].headers[name], undefined, name);
+});
+
+test('a provider api_key_header does not follow a cross-origin redirect', async (t) => {
+  const { seen, origin } = await redirectPair(t);
+  const proxy = await startProxy(t, {
+    config: { providers: { portal: { base_url: `${origin}/v1`, api_key: 'pk-1', api_key_header: 'X-Portal-Key', models: ['m'] } } },
+  });
+
+  const res = await fetch(`${proxy}/v1/chat/completions`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ ...chat, model: 'portal/m' }),
+  });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(seen[0].headers['x-portal-key'], undefined);
+});
+
+test('a same-origin redirect keeps the credentials', async (t) => {
+  const seen = [];
+  const upstream = await listen((req, res) => {
+    if (req.url.startsWith('/old')) {
+      res.writeHead(308, { location: '/v1/chat/completions?key=secret' });
+      return res.end();
+    }
+    seen.push({ url: req.url, headers: req.headers });
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify(completion));
+  });
+  t.after(() => upstream.server.close());
+  const proxy = await startProxy(t);
+
+  await fetch(`${proxy}/${upstream.base}/old`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'x-goog-api-key': 'g-3' },
+    body: JSON.stringify(chat),
+  });
+  assert.strictEqual(seen[0].url, '/v1/chat/completions?key=secret');
+  assert.strictEqual(seen[0].headers['x-goog-api-key'], 'g-3');
+});
+
+test('a redirect to a metadata address is refused', async (t) => {
+  const { origin } = await redirectPair(t, () => 'http://169.254.169.254/latest/meta-data/');
+  const proxy = await startProxy(t);
+
+  const res = await fetch(`${proxy}/${origin}/v1/chat/completions`, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(chat) });
+  const body = await res.json();
+  assert.strictEqual(res.status, 403);
+  assert.strictEqual(body.error.code, 'upstream_blocked');
+});
@@ -0,0 +1,114 @@
+'use strict';
+
+// Lenient parsing: argument repair, truncated blocks, marker variants and fallback syntaxes
+const test = require('node:test');
+const assert = require('node:assert');
+const { ToolCallDelimiter, TOOL_DIALECTS, transformRequest, parseResponse } = require('../lib/anytoolcall');
+
+const delimiter = new ToolCallDelimiter(TOOL_DIALECTS.unicode);
+const m = delimiter.markers;
+
+function block(args) {
+  return `${m.TC_START}\n${m.NAME_START}search${m.NAME_END}\n${m.ARGS_START}${args}${m.ARGS_END}\n${m.TC_END}`;
+}
+
+// arguments of the single parsed call and the repairs applied to it
+function parseOne(content, options) {
+  const { toolCalls, invalidCalls, repairs } = delimiter.parse(content, options);
+  assert.strictEqual(invalidCalls.length, 0, `invalid: ${JSON.stringify(invalidCalls)}`);
+  assert.strictEqual(toolCalls.length, 1);
+  return { args: JSON.parse(toolCalls[0].function.arguments), repairs: repairs[0]?.repairs ?? [] };
+}
+
+const argumentCases = [
+  ['code fence', '```json\n{"q": "x"}\n```', { q: 'x' }, 'code_fence'],
+  ['trailing comma', '{"q": "x", "n": [1, 2,],}', { q: 'x', n: [1, 2] }, 'trailing_comma'],
+  ['single quotes', "{'q': 'it\\'s'}", { q: "it's" }, 'single_quotes'],
+  ['unquoted keys', '{q: "x"}', { q: 'x' }, 'unquoted_keys'],
+  ['python literals', '{"a": True, "b": None}', { a: true, b: null }, 'python_literals'],
+  ['raw newline in a string', '{"q": "line1\nline2"}', { q: 'line1\nline2' }, 'control_chars'],
+  ['truncated object', '{"q": "x", "opts": {"deep": 1', { q: 'x', opts: { deep: 1 } }, 'truncated'],
+  ['empty arguments', '', {}, 'empty_arguments'],
+];
+
+for (const [name, raw, expected, repair] of argumentCases) {
+  test(`argument repair: ${name}`, () => {
+    const { args, repairs } = parseOne(block(raw));
+    assert.deepStrictEqual(args, expected);
+    assert.ok(repairs.includes(repair), `expected ${repair} in ${JSON.stringify(repairs)}`);
+  });
+}
+
+test('valid arguments are passed through without repairs', () => {
+  const { args, repairs } = parseOne(block('{"q": "x"}'));
+  assert.deepStrictEqual(args, { q: 'x' });
+  assert.deepStrictEqual(repairs, []);
+});
+
+test('missing ARGS_END and TC_END are recovered', () => {
+  const { args, repairs } = parseOne(`${m.TC_START}\n${m.NAME_START}search${m.NAME_END}\n${m.ARGS_START}{"q": "x"}`);
+  assert.deepStrictEqual(args, { q: 'x' });
+  assert.ok(repairs.includes('missing_args_end'));
+});
+
+test('missing TC_END before the next call is recovered', () => {
+  const unterminated = `${m.TC_START}\n${m.NAME_START}search${m.NAME_END}\n${m.ARGS_START}{"q": 1}${m.ARGS_END}\n`;
+  const { toolCalls, repairs } = delimiter.parse(unterminated + block('{"q": 2}'));
+  assert.deepStrictEqual(toolCalls.map((tc) => JSON.parse(tc.function.arguments)), [{ q: 1 }, { q: 2 }]);
+  assert.ok(repairs[0].repairs.includes('missing_tc_end'));
+});
+
+test('NFKC and lookalike marker variants are accepted', () => {
+  const variant = block('{"q": "x"}').replace('▸', '►').replace('◂', '◄');
+  const { args, repairs } = parseOne(variant);
+  assert.deepStrictEqual(args, { q: 'x' });
+  assert.ok(repairs.includes('marker_variant'));
+});
+
+test('arguments that cannot be repaired are reported as invalid', () => {
+  const { toolCalls, invalidCalls } = delimiter.parse(block('not json at all ]'));
+  assert.strictEqual(toolCalls.length, 0);
+  assert.strictEqual(invalidCalls.length, 1);
+  assert.strictEqual(invalidCalls[0].call.function.name, 'search');
+});
+
+test('<tool_call> tags are recognized when enabled', () => {
+  const content = 'Sure.\n<tool_call>{"name": "search", "arguments": {"q": "x"}}</tool_call>';
+  assert.strictEqual(delimiter.parse(content).toolCalls.length, 0);
+
+  const { toolCalls, cleanContent } = delimiter.parse(content, { fallbacks: ['tool_call_tag'], toolNames: ['search'] });
+  assert.deepStrictEqual(toolCalls.map((tc) => [tc.function.name, JSON.parse(tc.function.arguments)]), [['search', { q: 'x' }]]);
+  assert.strictEqual(cleanContent, 'Sure.');
+});
+
+test('bare JSON calls are recognized only for known tools', () => {
+  const content = '{"name": "search", "arguments": {"q": "x"}}';
+  const options = { fallbacks: ['bare_json'] };
+  assert.strictEqual(delimiter.parse(content, { ...options, toolNames: ['search'] }).toolCalls.length, 1);
+  assert.strictEqual(delimiter.parse(content, { ...options, toolNames: ['other'] }).toolCalls.length, 0);
+});
+
+// what a client sees for repaired and unrepairable arguments
+function parseReply(args) {
+  const tools = [{ type: 'function', function: { name: 'search', parameters: { type: 'object' } } }];
+  const { context } = transformRequest({ model: 'm', tools, messages: [{ role: 'user', content: 'hi' }] }, { dialect: 'xml' });
+  const content = `Ok.\n<function_call><name>search</name><arguments>${args}</arguments></function_call>`;
+  return parseResponse({ choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }] }, context).choices[0];
+}
+
+test('parseResponse reports the repairs of each call under anytoolcall', () => {
+  const { message, anytoolcall } = parseReply("{q: 'x',}");
+  const [call] = message.tool_calls;
+
+  assert.deepStrictEqual(JSON.parse(call.function.arguments), { q: 'x' });
+  assert.strictEqual(anytoolcall.repairs[0].tool_call_id, call.id);
+  assert.deepStrictEqual([...anytoolcall.repairs[0].repairs].sort(), ['single_quotes', 'trailing_comma', 'unquoted_keys']);
+});
+
+test('unrepairable arguments are returned as written, with a validation error', () => {
+  const { message, anytoolcall, finish_reason: finishReason } = parseReply('{"q": "x" "y": }}}');
+
+  assert.strictEqual(message.tool_calls[0].function.arguments, '{"q": "x" "y": }}}');
+  assert.match(anytoolcall.validation_errors[0].errors[0], /^arguments are not valid JSON/);
+  assert.strictEqual(finishReason, 'tool_calls');
+});
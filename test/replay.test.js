@@ -0,0 +1,50 @@
+'use strict';
+
+// Regression corpus: recorded exchanges (RECORD_FILE) replayed through the proxy must
+// produce the recorded client output again. Add a failing production exchange by
+// appending its recording to fixtures/replay.jsonl.
+const path = require('node:path');
+const fs = require('node:fs');
+const http = require('node:http');
+
+const CORPUS = path.join(__dirname, 'fixtures', 'replay.jsonl');
+process.env.REPLAY_FILE = CORPUS; // read when the library loads
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProxy } = require('../lib/anytoolcall');
+
+// ids generated per response differ between runs
+function normalizeIds(text) {
+  return text
+    .replace(/\b(call|toolu|fc_call)_[0-9a-f]{24}\b/g, '$1_<id>')
+    .replace(/\bmsg_\d+_\d+\b/g, 'msg_<id>');
+}
+
+function recordedOutput(client) {
+  if (client.chunks) return client.chunks.join('');
+  return typeof client.body === 'string' ? client.body : JSON.stringify(client.body);
+}
+
+const entries = fs.readFileSync(CORPUS, 'utf8').split('\n').filter((line) => line.trim()).map((line) => JSON.parse(line));
+
+test('replay corpus', async (t) => {
+  const server = http.createServer(createProxy());
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  t.after(() => server.close());
+
+  for (const entry of entries) {
+    await t.test(`${entry.id} ${entry.request.url}`, async () => {
+      const res = await fetch(base + entry.request.url, {
+        method: entry.request.method,
+        headers: { 'content-type': 'application/json' },
+        body: entry.request.body === null ? undefined : JSON.stringify(entry.request.body),
+      });
+      const text = await res.text();
+      assert.strictEqual(res.status, entry.client.status);
+      const output = entry.client.chunks ? text : JSON.stringify(JSON.parse(text));
+      assert.strictEqual(normalizeIds(output), normalizeIds(recordedOutput(entry.client)));
+    });
+  }
+});
@@ -0,0 +1,97 @@
+'use strict';
+
+// OpenAI Responses: request translation, function_call items in responses and in streams
+const test = require('node:test');
+const assert = require('node:assert');
+const { transformRequest, parseResponse, createToolStreamTransformer } = require('../lib/anytoolcall');
+
+const request = {
+  model: 'gpt-x',
+  instructions: 'You are terse.',
+  tools: [
+    { type: 'function', name: 'get_weather', parameters: { type: 'object', properties: { city: { type: 'string' } } } },
+    { type: 'web_search' },
+  ],
+  input: [
+    { role: 'developer', content: 'Use metric units.' },
+    { role: 'user', content: [{ type: 'input_text', text: 'Weather in Oslo?' }] },
+    { type: 'reasoning', id: 'rs_1', summary: [] },
+    { type: 'function_call', call_id: 'call_1', name: 'get_weather', arguments: '{"city":"Oslo"}' },
+    { type: 'function_call_output', call_id: 'call_1', output: '-3' },
+  ],
+  store: false,
+};
+
+const transform = () => transformRequest(request, { format: 'responses', dialect: 'xml' });
+const CALL = '<function_call><name>get_weather</name><arguments>{"city":"Rome"}</arguments></function_call>';
+
+test('instructions, developer messages and the tool prompt form instructions', () => {
+  const { body } = transform();
+
+  assert.ok(body.instructions.startsWith('You are terse.\n\nUse metric units.'));
+  assert.ok(body.instructions.includes('get_weather'));
+  assert.deepStrictEqual(body.tools, [{ type: 'web_search' }]);
+  assert.strictEqual(body.store, false);
+});
+
+test('function_call and function_call_output items become delimited messages', () => {
+  const { body } = transform();
+
+  assert.ok(body.input.every((item) => item.role && item.type === undefined), 'item types left over');
+  const assistant = body.input.find((item) => item.role === 'assistant');
+  assert.ok(assistant.content.includes('<name>get_weather</name>'));
+  const result = body.input.at(-1);
+  assert.strictEqual(result.role, 'user');
+  assert.ok(result.content.includes('<function_result>'));
+  assert.ok(result.content.includes('call_1'));
+});
+
+test('non-stream: calls in the message become function_call items', () => {
+  const { context } = transform();
+  const data = parseResponse({
+    id: 'resp_1',
+    object: 'response',
+    status: 'completed',
+    output: [{ type: 'message', id: 'msg_1', role: 'assistant', status: 'completed', content: [{ type: 'output_text', text: `On it.\n${CALL}`, annotations: [] }] }],
+    output_text: `On it.\n${CALL}`,
+  }, context);
+
+  assert.strictEqual(data.output[0].content[0].text.trim(), 'On it.');
+  assert.strictEqual(data.output_text.trim(), 'On it.');
+  assert.strictEqual(data.output[1].type, 'function_call');
+  assert.strictEqual(data.output[1].name, 'get_weather');
+  assert.deepStrictEqual(JSON.parse(data.output[1].arguments), { city: 'Rome' });
+});
+
+function event(type, data, seq) {
+  return `event: ${type}\ndata: ${JSON.stringify({ type, sequence_number: seq, ...data })}\n\n`;
+}
+
+test('stream: semantic events are regenerated and renumbered', async () => {
+  const { context } = transform();
+  const text = `On it.\n${CALL}`;
+  const message = { type: 'message', id: 'msg_1', role: 'assistant', status: 'in_progress', content: [] };
+  let seq = 0;
+  const upstream = [
+    event('response.created', { response: { id: 'resp_1', object: 'response', status: 'in_progress', output: [] } }, seq++),
+    event('response.output_item.added', { output_index: 0, item: message }, seq++),
+    event('response.content_part.added', { output_index: 0, item_id: 'msg_1', content_index: 0, part: { type: 'output_text', text: '' } }, seq++),
+    ...text.match(/[\s\S]{1,8}/g).map((delta) => event('response.output_text.delta', { output_index: 0, item_id: 'msg_1', content_index: 0, delta }, seq++)),
+    event('response.output_text.done', { output_index: 0, item_id: 'msg_1', content_index: 0, text }, seq++),
+    event('response.output_item.done', { output_index: 0, item: { ...message, status: 'completed', content: [{ type: 'output_text', text }] } }, seq++),
+    event('response.completed', { response: { id: 'resp_1', object: 'response', status: 'completed', output: [{ ...message, status: 'completed', content: [{ type: 'output_text', text }] }] } }, seq++),
+  ].join('');
+
+  const out = await new Response(new Response(upstream).body.pipeThrough(createToolStreamTransformer(context))).text();
+  const events = out.split('\n\n').filter(Boolean).map((e) => JSON.parse(e.split('\n').find((l) => l.startsWith('data: ')).slice(6)));
+
+  const textOut = events.filter((e) => e.type === 'response.output_text.delta').map((e) => e.delta).join('');
+  const args = events.find((e) => e.type === 'response.function_call_arguments.done');
+  const completed = events.find((e) => e.type === 'response.completed');
+
+  assert.strictEqual(textOut.trim(), 'On it.');
+  assert.deepStrictEqual(JSON.parse(args.arguments), { city: 'Rome' });
+  assert.deepStrictEqual(completed.response.output.map((item) => item.type), ['message', 'function_call']);
+  assert.deepStrictEqual(events.map((e) => e.sequence_number), events.map((e, i) => i));
+  assert.ok(!out.includes('<function_call>'));
+});
@@ -0,0 +1,138 @@
+'use strict';
+
+// Upstream retries, Retry-After, timeouts and aborting when the client goes away
+process.env.ALLOW_LOCAL_NET = 'true'; // read when the library loads
+
+const http = require('node:http');
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProxy } = require('../lib/anytoolcall');
+
+const completion = JSON.stringify({ id: 'c1', object: 'chat.completion', model: 'm', choices: [{ index: 0, message: { role: 'assistant', content: 'Hi.' }, finish_reason: 'stop' }] });
+
+// upstream running `handler(req, res, attempt)`; proxy in front of it with a fast retry policy
+async function start(t, handler, options = {}) {
+  let attempts = 0;
+  const upstream = http.createServer((req, res) => {
+    req.resume();
+    handler(req, res, ++attempts);
+  });
+  const proxy = http.createServer(createProxy({ retryBaseDelay: 5, ...options }));
+  for (const server of [upstream, proxy]) await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    for (const server of [upstream, proxy]) {
+      server.closeAllConnections();
+      server.close();
+    }
+  });
+  return {
+    url: `http://127.0.0.1:${proxy.address().port}/http://127.0.0.1:${upstream.address().port}/v1/chat/completions`,
+    attempts: () => attempts,
+  };
+}
+
+function chat(url, { stream = false, signal } = {}) {
+  return fetch(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ model: 'm', stream, messages: [{ role: 'user', content: 'hi' }] }),
+    signal,
+  });
+}
+
+function answer(res, status, headers = {}) {
+  res.writeHead(status, { 'content-type': 'application/json', ...headers });
+  res.end(status === 200 ? completion : JSON.stringify({ error: { message: `status ${status}` } }));
+}
+
+test('503s are retried until the upstream answers', async (t) => {
+  const { url, attempts } = await start(t, (req, res, attempt) => answer(res, attempt < 3 ? 503 : 200));
+  const res = await chat(url);
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual((await res.json()).choices[0].message.content, 'Hi.');
+  assert.strictEqual(attempts(), 3);
+});
+
+test('a 429 waits for Retry-After; one beyond retryMaxDelay goes back to the client', async (t) => {
+  const waited = await start(t, (req, res, attempt) => answer(res, attempt === 1 ? 429 : 200, { 'retry-after': '0.3' }));
+  const started = Date.now();
+  assert.strictEqual((await chat(waited.url)).status, 200);
+  assert.ok(Date.now() - started >= 250, 'Retry-After was not honoured');
+
+  const tooLong = await start(t, (req, res) => answer(res, 429, { 'retry-after': '60' }), { retryMaxDelay: 1000 });
+  const res = await chat(tooLong.url);
+  assert.strictEqual(res.status, 429);
+  assert.strictEqual(tooLong.attempts(), 1);
+  await res.body.cancel();
+});
+
+test('out of retries the last upstream error is passed on; 500 is never retried', async (t) => {
+  const unavailable = await start(t, (req, res) => answer(res, 503), { maxRetries: 1 });
+  const res = await chat(unavailable.url);
+  assert.strictEqual(res.status, 503);
+  assert.strictEqual(unavailable.attempts(), 2);
+  await res.body.cancel();
+
+  const broken = await start(t, (req, res) => answer(res, 500));
+  assert.strictEqual((await chat(broken.url)).status, 500);
+  assert.strictEqual(broken.attempts(), 1);
+});
+
+test('an unreachable upstream is a 502 upstream_unreachable after the retries', async (t) => {
+  const closed = http.createServer();
+  await new Promise((resolve) => closed.listen(0, '127.0.0.1', resolve));
+  const { port } = closed.address();
+  await new Promise((resolve) => closed.close(resolve));
+  const proxy = http.createServer(createProxy({ retryBaseDelay: 5, maxRetries: 1 }));
+  await new Promise((resolve) => proxy.listen(0, '127.0.0.1', resolve));
+  t.after(() => proxy.close());
+
+  const res = await chat(`http://127.0.0.1:${proxy.address().port}/http://127.0.0.1:${port}/v1/chat/completions`);
+  const { error } = await res.json();
+  assert.strictEqual(res.status, 502);
+  assert.strictEqual(error.code, 'upstream_unreachable');
+});
+
+test('no response headers within firstByteTimeout is a 504 upstream_timeout', async (t) => {
+  const { url } = await start(t, () => {}, { firstByteTimeout: 300, maxRetries: 0 });
+  const res = await chat(url);
+  const { error } = await res.json();
+
+  assert.strictEqual(res.status, 504);
+  assert.strictEqual(error.type, 'timeout_error');
+  assert.strictEqual(error.code, 'upstream_timeout');
+});
+
+test('a body that stalls longer than idleTimeout is a 504 upstream_idle_timeout', async (t) => {
+  const { url } = await start(t, (req, res) => {
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.write(completion.slice(0, 20));
+  }, { idleTimeout: 300 });
+  const res = await chat(url);
+
+  assert.strictEqual(res.status, 504);
+  assert.strictEqual((await res.json()).error.code, 'upstream_idle_timeout');
+});
+
+test('a client that disconnects mid-stream cancels the upstream request', async (t) => {
+  let upstreamClosed;
+  const closed = new Promise((resolve) => { upstreamClosed = resolve; });
+  const { url } = await start(t, (req, res) => {
+    res.writeHead(200, { 'content-type': 'text/event-stream' });
+    const timer = setInterval(() => {
+      res.write(`data: ${JSON.stringify({ id: 'c1', object: 'chat.completion.chunk', model: 'm', choices: [{ index: 0, delta: { content: 'tick ' }, finish_reason: null }] })}\n\n`);
+    }, 20);
+    res.on('close', () => {
+      clearInterval(timer);
+      upstreamClosed();
+    });
+  });
+  const client = new AbortController();
+  const res = await chat(url, { stream: true, signal: client.signal });
+  const reader = res.body.getReader();
+  await reader.read();
+  client.abort();
+
+  await closed;
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+// Routed endpoints: the provider comes from the model field, /v1/models lists what can be routed
+process.env.ALLOW_LOCAL_NET = 'true'; // read when the library loads
+
+const http = require('node:http');
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProxy } = require('../lib/anytoolcall');
+
+// upstream recording every request; proxy configured with two providers on it
+async function start(t) {
+  const received = [];
+  const upstream = http.createServer(async (req, res) => {
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+    received.push({ path: req.url, headers: req.headers, body: JSON.parse(raw) });
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ id: 'c1', object: 'chat.completion', model: 'x', choices: [{ index: 0, message: { role: 'assistant', content: 'Hi.' }, finish_reason: 'stop' }] }));
+  });
+  await new Promise((resolve) => upstream.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${upstream.address().port}`;
+  const config = {
+    providers: {
+      alpha: { base_url: `${base}/v1`, api_key: 'sk-alpha', headers: { 'X-Org': 'org-1' }, models: ['model-x', 'model-y'] },
+      beta: { base_url: `${base}/beta/v1/`, api_key: 'sk-beta', api_key_header: 'x-api-key' },
+    },
+    aliases: { fast: 'alpha/model-y' },
+  };
+  const proxy = http.createServer(createProxy({ config }));
+  await new Promise((resolve) => proxy.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    upstream.close();
+    proxy.close();
+  });
+  return { proxyUrl: `http://127.0.0.1:${proxy.address().port}`, base, received };
+}
+
+function chat(url, model) {
+  return fetch(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', authorization: 'Bearer client-key' },
+    body: JSON.stringify({ model, messages: [{ role: 'user', content: 'hi' }] }),
+  });
+}
+
+test('aliases, listed models and provider/model names pick the provider and its credentials', async (t) => {
+  const { proxyUrl, received } = await start(t);
+  for (const model of ['fast', 'model-x', 'beta/some-model']) assert.strictEqual((await chat(`${proxyUrl}/v1/chat/completions`, model)).status, 200);
+  const [fast, listed, prefixed] = received;
+
+  assert.strictEqual(fast.path, '/v1/chat/completions');
+  assert.strictEqual(fast.body.model, 'model-y');
+  assert.strictEqual(fast.headers.authorization, 'Bearer sk-alpha');
+  assert.strictEqual(fast.headers['x-org'], 'org-1');
+  assert.strictEqual(listed.body.model, 'model-x');
+  assert.strictEqual(prefixed.path, '/beta/v1/chat/completions');
+  assert.strictEqual(prefixed.body.model, 'some-model');
+  assert.strictEqual(prefixed.headers['x-api-key'], 'sk-beta');
+  assert.strictEqual(prefixed.headers.authorization, undefined);
+});
+
+test('a model nothing routes is a 404 model_not_found', async (t) => {
+  const { proxyUrl, received } = await start(t);
+  const res = await chat(`${proxyUrl}/v1/chat/completions`, 'model-z');
+  const { error } = await res.json();
+
+  assert.strictEqual(res.status, 404);
+  assert.strictEqual(error.code, 'model_not_found');
+  assert.strictEqual(error.message, 'model "model-z" is not routed by this proxy');
+  assert.strictEqual(received.length, 0);
+});
+
+test('/v1/models lists provider/model names and aliases', async (t) => {
+  const { proxyUrl } = await start(t);
+  const res = await fetch(`${proxyUrl}/v1/models`);
+  const list = await res.json();
+
+  assert.strictEqual(list.object, 'list');
+  assert.deepStrictEqual(list.data.map((m) => [m.id, m.owned_by]), [['alpha/model-x', 'alpha'], ['alpha/model-y', 'alpha'], ['fast', 'alpha']]);
+});
+
+test('the raw /{upstream_url} form keeps working next to the routes', async (t) => {
+  const { proxyUrl, base, received } = await start(t);
+  const res = await chat(`${proxyUrl}/${base}/raw/v1/chat/completions`, 'model-z');
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(received[0].path, '/raw/v1/chat/completions');
+  assert.strictEqual(received[0].body.model, 'model-z');
+  assert.strictEqual(received[0].headers.authorization, 'Bearer client-key');
+});
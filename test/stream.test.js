@@ -0,0 +1,152 @@
+'use strict';
+
+// Stream transformer: marker handling across chunk boundaries and per-choice state
+const test = require('node:test');
+const assert = require('node:assert');
+const { transformRequest, createToolStreamTransformer } = require('../lib/anytoolcall');
+
+const tools = [
+  { type: 'function', function: { name: 'get_weather', parameters: { type: 'object', properties: { city: { type: 'string' } } } } },
+  { type: 'function', function: { name: 'get_time', parameters: { type: 'object' } } },
+];
+
+function toolContext(options = {}) {
+  return transformRequest({ model: 'm', messages: [{ role: 'user', content: 'hi' }], tools }, options).context;
+}
+
+function encodeCall(markers, name, args) {
+  return `${markers.TC_START}\n${markers.NAME_START}${name}${markers.NAME_END}\n${markers.ARGS_START}${args}${markers.ARGS_END}\n${markers.TC_END}`;
+}
+
+function chunkEvent(choices) {
+  return `data: ${JSON.stringify({ id: 'c1', object: 'chat.completion.chunk', model: 'm', choices })}\n\n`;
+}
+
+function contentChunk(content, index = 0) {
+  return chunkEvent([{ index, delta: { content }, finish_reason: null }]);
+}
+
+function finishChunk(index = 0) {
+  return chunkEvent([{ index, delta: {}, finish_reason: 'stop' }]);
+}
+
+// runs SSE text through the transformer, one write per element of `writes`
+async function transform(context, writes) {
+  const stream = new ReadableStream({
+    start(controller) {
+      for (const w of writes) controller.enqueue(new TextEncoder().encode(w));
+      controller.close();
+    },
+  });
+  return new Response(stream.pipeThrough(createToolStreamTransformer(context))).text();
+}
+
+// content, tool calls and finish_reason per choice, folded from the client deltas
+function readChoices(sse) {
+  const choices = {};
+  for (const event of sse.split('\n\n').filter(Boolean)) {
+    const data = event.replace(/^data: /, '');
+    if (data === '[DONE]') continue;
+    for (const choice of JSON.parse(data).choices || []) {
+      const out = (choices[choice.index] ??= { content: '', calls: [], finish: null, anytoolcall: null });
+      out.content += choice.delta?.content || '';
+      for (const tc of choice.delta?.tool_calls || []) {
+        out.calls[tc.index] ??= { name: '', arguments: '' };
+        if (tc.function?.name) out.calls[tc.index].name = tc.function.name;
+        out.calls[tc.index].arguments += tc.function?.arguments || '';
+      }
+      if (choice.finish_reason) out.finish = choice.finish_reason;
+      if (choice.anytoolcall) out.anytoolcall = choice.anytoolcall;
+    }
+  }
+  return choices;
+}
+
+test('a call split into one-character chunks is parsed', async () => {
+  const context = toolContext();
+  const text = `Checking. ${encodeCall(context.markers, 'get_weather', '{"city":"Paris"}')}`;
+  const sse = [...text].map((c) => contentChunk(c)).join('') + finishChunk() + 'data: [DONE]\n\n';
+  const { 0: choice } = readChoices(await transform(context, [sse]));
+
+  assert.strictEqual(choice.content, 'Checking. ');
+  assert.deepStrictEqual(choice.calls, [{ name: 'get_weather', arguments: '{"city":"Paris"}' }]);
+  assert.strictEqual(choice.finish, 'tool_calls');
+});
+
+test('SSE events split across network reads are reassembled', async () => {
+  const context = toolContext();
+  const sse = contentChunk(encodeCall(context.markers, 'get_time', '{}')) + finishChunk() + 'data: [DONE]\n\n';
+  const writes = [];
+  for (let i = 0; i < sse.length; i += 5) writes.push(sse.slice(i, i + 5));
+  const { 0: choice } = readChoices(await transform(context, writes));
+
+  assert.deepStrictEqual(choice.calls, [{ name: 'get_time', arguments: '{}' }]);
+  assert.strictEqual(choice.content, '');
+});
+
+test('a partial marker at the end of the stream is flushed as text', async () => {
+  const context = toolContext();
+  const partial = context.markers.TC_START.slice(0, -1);
+  const sse = contentChunk('Almost ') + contentChunk(partial) + finishChunk() + 'data: [DONE]\n\n';
+  const { 0: choice } = readChoices(await transform(context, [sse]));
+
+  assert.strictEqual(choice.content, `Almost ${partial}`);
+  assert.deepStrictEqual(choice.calls, []);
+  assert.strictEqual(choice.finish, 'stop');
+});
+
+test('a partial marker is flushed when upstream ends without [DONE]', async () => {
+  const context = toolContext();
+  const partial = context.markers.TC_START.slice(0, 1);
+  const { 0: choice } = readChoices(await transform(context, [contentChunk('Hello '), contentChunk(partial)]));
+
+  assert.strictEqual(choice.content, `Hello ${partial}`);
+});
+
+test('an unterminated call is recovered at the end of the stream', async () => {
+  const context = toolContext();
+  const m = context.markers;
+  const sse = contentChunk(`${m.TC_START}\n${m.NAME_START}get_weather${m.NAME_END}\n${m.ARGS_START}{"city":"Oslo"}`) + finishChunk() + 'data: [DONE]\n\n';
+  const { 0: choice } = readChoices(await transform(context, [sse]));
+
+  assert.deepStrictEqual(choice.calls, [{ name: 'get_weather', arguments: '{"city":"Oslo"}' }]);
+  assert.ok(choice.anytoolcall.repairs[0].repairs.includes('missing_args_end'));
+});
+
+test('choices of an n>1 stream keep separate parser state', async () => {
+  const context = toolContext();
+  const first = encodeCall(context.markers, 'get_weather', '{"city":"Rome"}');
+  const second = encodeCall(context.markers, 'get_time', '{}');
+  // both calls interleaved, split in the middle of their markers
+  const cut = 3;
+  const sse = [
+    contentChunk(first.slice(0, cut), 0),
+    contentChunk('Plain text only', 2),
+    contentChunk(second.slice(0, cut), 1),
+    contentChunk(first.slice(cut), 0),
+    contentChunk(second.slice(cut), 1),
+    finishChunk(1),
+    finishChunk(0),
+    finishChunk(2),
+    'data: [DONE]\n\n',
+  ].join('');
+  const choices = readChoices(await transform(context, [sse]));
+
+  assert.deepStrictEqual(choices[0].calls, [{ name: 'get_weather', arguments: '{"city":"Rome"}' }]);
+  assert.deepStrictEqual(choices[1].calls, [{ name: 'get_time', arguments: '{}' }]);
+  assert.strictEqual(choices[0].finish, 'tool_calls');
+  assert.strictEqual(choices[1].finish, 'tool_calls');
+  assert.strictEqual(choices[2].content, 'Plain text only');
+  assert.strictEqual(choices[2].finish, 'stop');
+});
+
+test('text before and after a call stays in order', async () => {
+  const context = toolContext();
+  const sse = contentChunk(`Before ${encodeCall(context.markers, 'get_time', '{}')} after`) + finishChunk() + 'data: [DONE]\n\n';
+  const out = await transform(context, [sse]);
+  const { 0: choice } = readChoices(out);
+
+  assert.strictEqual(choice.content.trim().replace(/\s+/g, ' '), 'Before after');
+  assert.strictEqual(choice.calls.length, 1);
+  assert.ok(out.trimEnd().endsWith('data: [DONE]'));
+});
@@ -0,0 +1,114 @@
+'use strict';
+
+// tool_choice emulation: what the prompt offers, and correction rounds for violating replies
+process.env.ALLOW_LOCAL_NET = 'true'; // read when the library loads
+
+const http = require('node:http');
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProxy, transformRequest, parseResponse } = require('../lib/anytoolcall');
+
+const tools = ['get_weather', 'get_time'].map((name) => ({ type: 'function', function: { name, parameters: { type: 'object', properties: { city: { type: 'string' } } } } }));
+const weatherCall = '<function_call><name>get_weather</name><arguments>{"city":"Oslo"}</arguments></function_call>';
+
+function sse(content) {
+  const chunk = (delta, finish = null) => `data: ${JSON.stringify({ id: 'c1', object: 'chat.completion.chunk', model: 'm', choices: [{ index: 0, delta, finish_reason: finish }] })}\n\n`;
+  return chunk({ role: 'assistant', content }) + chunk({}, 'stop') + 'data: [DONE]\n\n';
+}
+
+// proxy in front of an upstream answering with `replies` in turn; returns the bodies it received
+async function startProxy(t, replies, options = {}) {
+  const received = [];
+  const upstream = http.createServer(async (req, res) => {
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+    const body = JSON.parse(raw);
+    received.push(body);
+    const content = replies[Math.min(received.length, replies.length) - 1];
+    if (body.stream) {
+      res.writeHead(200, { 'content-type': 'text/event-stream' });
+      return res.end(sse(content));
+    }
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ id: 'c1', object: 'chat.completion', model: 'm', choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }] }));
+  });
+  const proxy = http.createServer(createProxy({ dialect: 'xml', fewShot: 'off', ...options }));
+  for (const server of [upstream, proxy]) await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    upstream.close();
+    proxy.close();
+  });
+  return { url: `http://127.0.0.1:${proxy.address().port}/http://127.0.0.1:${upstream.address().port}/v1/chat/completions`, received };
+}
+
+async function chat(url, toolChoice, stream = false) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ model: 'm', stream, messages: [{ role: 'user', content: 'Weather in Oslo?' }], tools, tool_choice: toolChoice }),
+  });
+  return { status: res.status, text: await res.text() };
+}
+
+test('a forced tool is the only tool in the prompt', () => {
+  const { body } = transformRequest({ model: 'm', messages: [{ role: 'user', content: 'hi' }], tools, tool_choice: { type: 'function', function: { name: 'get_time' } } }, { dialect: 'xml' });
+  assert.ok(body.messages[0].content.includes('get_time'));
+  assert.ok(!body.messages[0].content.includes('get_weather'));
+  assert.strictEqual(body.tool_choice, undefined);
+});
+
+test('a forced tool that is not in tools is rejected', () => {
+  assert.throws(
+    () => transformRequest({ model: 'm', messages: [{ role: 'user', content: 'hi' }], tools, tool_choice: { type: 'function', function: { name: 'nope' } } }),
+    /unknown tool "nope"/,
+  );
+});
+
+test('parseResponse reports violations and drops calls under "none"', () => {
+  const { context } = transformRequest({ model: 'm', messages: [{ role: 'user', content: 'hi' }], tools, tool_choice: 'none' }, { dialect: 'xml' });
+  const data = { choices: [{ index: 0, message: { role: 'assistant', content: `Sure.\n${weatherCall}` }, finish_reason: 'stop' }] };
+  const choice = parseResponse(data, context).choices[0];
+
+  assert.strictEqual(choice.message.tool_calls, undefined);
+  assert.strictEqual(choice.anytoolcall.tool_choice_violation, 'tool_choice is "none" but the model called a tool');
+});
+
+test('non-stream "required": a text-only reply gets a correction round', async (t) => {
+  const { url, received } = await startProxy(t, ['It is probably cold.', weatherCall]);
+  const { status, text } = await chat(url, 'required');
+  const { message } = JSON.parse(text).choices[0];
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(received.length, 2);
+  assert.strictEqual(received[1].messages.at(-2).content, 'It is probably cold.');
+  assert.ok(received[1].messages.at(-1).content.includes('You MUST call at least one'));
+  assert.strictEqual(message.tool_calls[0].function.name, 'get_weather');
+});
+
+test('non-stream: still violating after the rounds -> 502 tool_choice_violation', async (t) => {
+  const { url, received } = await startProxy(t, ['No tools today.'], { toolChoiceMaxRetries: 1 });
+  const { status, text } = await chat(url, { type: 'function', function: { name: 'get_weather' } });
+
+  assert.strictEqual(status, 502);
+  assert.strictEqual(received.length, 2);
+  assert.strictEqual(JSON.parse(text).error.type, 'tool_choice_violation');
+});
+
+test('stream "required": text of the rejected attempt never reaches the client', async (t) => {
+  const { url, received } = await startProxy(t, ['It is probably cold.', `Checking.\n${weatherCall}`]);
+  const { text } = await chat(url, 'required', true);
+
+  assert.strictEqual(received.length, 2);
+  assert.ok(!text.includes('probably cold'));
+  assert.ok(text.includes('Checking.'));
+  assert.ok(text.includes('"name":"get_weather"'));
+});
+
+test('stream: out of rounds the client gets a tool_choice_violation error event', async (t) => {
+  const { url } = await startProxy(t, ['No tools today.'], { toolChoiceMaxRetries: 0 });
+  const { text } = await chat(url, 'required', true);
+  const error = text.split('\n\n').map((e) => e.replace(/^data: /, '')).filter((d) => d.startsWith('{')).map(JSON.parse).find((d) => d.error);
+
+  assert.strictEqual(error.error.type, 'tool_choice_violation');
+  assert.ok(!text.includes('No tools today.'));
+});
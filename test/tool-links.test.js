@@ -0,0 +1,101 @@
+'use strict';
+
+// tool_call_id linkage: result labels, orphaned and missing results, call ids
+process.env.ALLOW_LOCAL_NET = 'true'; // read when the library loads
+
+const http = require('node:http');
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProxy, transformRequest, parseResponse } = require('../lib/anytoolcall');
+
+const tools = [{ type: 'function', function: { name: 'get_weather', parameters: { type: 'object', properties: { city: { type: 'string' } } } } }];
+const toolCall = (id, city) => ({ id, type: 'function', function: { name: 'get_weather', arguments: `{"city": "${city}"}` } });
+const userTexts = (body) => body.messages.filter((m) => m.role === 'user').map((m) => m.content).join('\n');
+
+test('parallel results are labelled with the call name, arguments and id', () => {
+  const { body } = transformRequest({
+    model: 'm',
+    tools,
+    messages: [
+      { role: 'user', content: 'Oslo and Rome?' },
+      { role: 'assistant', content: null, tool_calls: [toolCall('call_a', 'Oslo'), toolCall('call_b', 'Rome')] },
+      { role: 'tool', tool_call_id: 'call_b', content: '18' },
+      { role: 'tool', tool_call_id: 'call_a', content: '-3' },
+    ],
+  }, { dialect: 'xml' });
+  const results = userTexts(body);
+
+  assert.ok(results.includes('get_weather({"city":"Rome"}) id=call_b'));
+  assert.ok(results.includes('get_weather({"city":"Oslo"}) id=call_a'));
+  assert.ok(results.indexOf('id=call_b') < results.indexOf('-3'));
+});
+
+test('an orphaned result is marked, a missing one gets a placeholder', () => {
+  const { body } = transformRequest({
+    model: 'm',
+    tools,
+    messages: [
+      { role: 'user', content: 'Oslo and Rome?' },
+      { role: 'assistant', content: null, tool_calls: [toolCall('call_a', 'Oslo'), toolCall('call_b', 'Rome')] },
+      { role: 'tool', tool_call_id: 'call_a', content: '-3' },
+      { role: 'tool', tool_call_id: 'call_zzz', name: 'get_time', content: '12:00' },
+      { role: 'user', content: 'And?' },
+    ],
+  }, { dialect: 'xml' });
+  const results = userTexts(body);
+
+  assert.ok(results.includes('get_time id=call_zzz (no matching call)'));
+  assert.ok(results.includes('get_weather({"city":"Rome"}) id=call_b'));
+  assert.ok(results.includes('[No result was returned for this call]'));
+  assert.ok(results.indexOf('[No result was returned') < results.indexOf('And?'));
+});
+
+test('calls of the last assistant turn are not missing yet', () => {
+  const { body } = transformRequest({
+    model: 'm',
+    tools,
+    messages: [{ role: 'user', content: 'Oslo?' }, { role: 'assistant', content: null, tool_calls: [toolCall('call_a', 'Oslo')] }],
+  }, { dialect: 'xml' });
+
+  assert.ok(!JSON.stringify(body).includes('No result was returned'));
+});
+
+test('parsed calls get random OpenAI-style ids', () => {
+  const { context } = transformRequest({ model: 'm', tools, messages: [{ role: 'user', content: 'hi' }] }, { dialect: 'xml' });
+  const call = '<function_call><name>get_weather</name><arguments>{"city":"Oslo"}</arguments></function_call>';
+  const ids = [];
+  for (let i = 0; i < 20; i++) {
+    const data = { choices: [{ index: 0, message: { role: 'assistant', content: `${call}\n${call}` }, finish_reason: 'stop' }] };
+    ids.push(...parseResponse(data, context).choices[0].message.tool_calls.map((tc) => tc.id));
+  }
+
+  assert.ok(ids.every((id) => /^call_[0-9a-f]{24}$/.test(id)));
+  assert.strictEqual(new Set(ids).size, ids.length);
+});
+
+test('toolResultCheck strict: the proxy rejects broken linkage with 400', async (t) => {
+  let requests = 0;
+  const upstream = http.createServer((req, res) => {
+    requests++;
+    req.resume();
+    res.writeHead(500).end();
+  });
+  const proxy = http.createServer(createProxy({ dialect: 'xml', toolResultCheck: 'strict' }));
+  for (const server of [upstream, proxy]) await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    upstream.close();
+    proxy.close();
+  });
+
+  const res = await fetch(`http://127.0.0.1:${proxy.address().port}/http://127.0.0.1:${upstream.address().port}/v1/chat/completions`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ model: 'm', tools, messages: [{ role: 'user', content: 'hi' }, { role: 'tool', tool_call_id: 'call_x', content: '1' }] }),
+  });
+  const { error } = await res.json();
+
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(error.type, 'invalid_request_error');
+  assert.match(error.message, /tool result call_x does not match any assistant tool call/);
+  assert.strictEqual(requests, 0);
+});
@@ -0,0 +1,95 @@
+'use strict';
+
+// Tool modes: native passthrough, and fallback to prompt injection on tool-related errors only
+process.env.ALLOW_LOCAL_NET = 'true'; // read when the library loads
+
+const http = require('node:http');
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProxy } = require('../lib/anytoolcall');
+
+const tools = [{ type: 'function', function: { name: 'get_weather', parameters: { type: 'object', properties: { city: { type: 'string' } } } } }];
+
+// upstream rejecting native `tools` with `error`; requests without them get a plain answer
+async function startProxy(t, error, options = {}) {
+  const received = [];
+  const upstream = http.createServer(async (req, res) => {
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+    const body = JSON.parse(raw);
+    received.push(body);
+    if (body.tools && error) {
+      res.writeHead(400, { 'content-type': 'application/json' });
+      return res.end(JSON.stringify({ error: { message: error, type: 'invalid_request_error' } }));
+    }
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ id: 'c1', object: 'chat.completion', model: 'm', choices: [{ index: 0, message: { role: 'assistant', content: 'Sunny.' }, finish_reason: 'stop' }] }));
+  });
+  const proxy = http.createServer(createProxy({ toolMode: 'fallback', ...options }));
+  for (const server of [upstream, proxy]) await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    upstream.close();
+    proxy.close();
+  });
+  const url = `http://127.0.0.1:${proxy.address().port}/http://127.0.0.1:${upstream.address().port}/v1/chat/completions`;
+  return { url, received };
+}
+
+async function ask(url) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ model: 'm', messages: [{ role: 'developer', content: 'Be brief' }, { role: 'user', content: 'Weather in Rome?' }], tools }),
+  });
+  return { status: res.status, mode: res.headers.get('x-anytoolcall-mode'), body: await res.json() };
+}
+
+const TOOL_ERRORS = [
+  'registry.ollama.ai/library/gemma:2b does not support tools',
+  '"auto" tool choice requires --enable-auto-tool-choice and --tool-call-parser to be set',
+  "Invalid schema for function 'get_weather': In context=(), 'additionalProperties' is required",
+  'messages.1: `tool_use` ids were found without `tool_result` blocks immediately after: toolu_01',
+  'Function call is missing a thought_signature in functionCall parts.',
+  "An assistant message with 'tool_calls' must be followed by tool messages responding to each 'tool_call_id'.",
+];
+
+for (const error of TOOL_ERRORS) {
+  test(`falls back to injection on: ${error.slice(0, 40)}`, async (t) => {
+    const { url, received } = await startProxy(t, error);
+    const { status, mode } = await ask(url);
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(mode, 'inject');
+    assert.strictEqual(received.length, 2);
+    assert.strictEqual(received[1].tools, undefined);
+    assert.ok(received[1].messages[0].content.includes('get_weather'));
+  });
+}
+
+const UNRELATED_ERRORS = [
+  "Invalid value: 'developer'. Supported values are: 'system', 'assistant', 'user', 'function', and 'tool'.",
+  "invalid role 'developer'",
+  'This model does not support the function of image input',
+  'max_tokens is too large: 100000',
+];
+
+for (const error of UNRELATED_ERRORS) {
+  test(`passes through: ${error.slice(0, 40)}`, async (t) => {
+    const { url, received } = await startProxy(t, error);
+    const { status, body } = await ask(url);
+
+    assert.strictEqual(status, 400);
+    assert.strictEqual(received.length, 1);
+    assert.strictEqual(body.error.message, error);
+  });
+}
+
+test('native mode forwards tools untouched', async (t) => {
+  const { url, received } = await startProxy(t, null, { toolMode: 'native' });
+  const { status, mode } = await ask(url);
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(mode, 'native');
+  assert.deepStrictEqual(received[0].tools, tools);
+  assert.strictEqual(received[0].messages.length, 2);
+});
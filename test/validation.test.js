@@ -0,0 +1,135 @@
+'use strict';
+
+// Argument validation against the tool schemas: parseResponse, and the proxy's correction rounds
+process.env.ALLOW_LOCAL_NET = 'true'; // read when the library loads
+
+const http = require('node:http');
+const test = require('node:test');
+const assert = require('node:assert');
+const { transformRequest, parseResponse, createProxy } = require('../lib/anytoolcall');
+
+const tools = [{
+  type: 'function',
+  function: {
+    name: 'set_mode',
+    parameters: {
+      type: 'object',
+      properties: {
+        mode: { type: 'string', enum: ['a', 'b'], nullable: true },
+        level: { type: 'integer', const: 3 },
+      },
+      required: ['mode'],
+    },
+  },
+}];
+
+// parsed choice for a reply calling set_mode with `args`
+function reply(args) {
+  const { context } = transformRequest({ model: 'm', messages: [{ role: 'user', content: 'hi' }], tools });
+  const m = context.markers;
+  const content = `${m.TC_START}\n${m.NAME_START}set_mode${m.NAME_END}\n${m.ARGS_START}${JSON.stringify(args)}${m.ARGS_END}\n${m.TC_END}`;
+  const data = { choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }] };
+  return parseResponse(data, context).choices[0];
+}
+
+test('a nullable enum accepts null', () => {
+  const choice = reply({ mode: null });
+  assert.strictEqual(choice.message.tool_calls.length, 1);
+  assert.strictEqual(choice.anytoolcall, undefined);
+});
+
+test('a nullable enum still rejects values outside the enum', () => {
+  const choice = reply({ mode: 'c' });
+  assert.deepStrictEqual(choice.anytoolcall.validation_errors[0].errors, ['arguments.mode: must be one of ["a","b"], got "c"']);
+});
+
+test('missing required properties and wrong consts are reported', () => {
+  const choice = reply({ level: 4 });
+  assert.deepStrictEqual(choice.anytoolcall.validation_errors[0].errors, [
+    'arguments: missing required property "mode"',
+    'arguments.level: must be 3',
+  ]);
+});
+
+// ---- correction rounds through the proxy (xml dialect, scripted upstream replies) ----
+
+const xmlCall = (name, args) => `<function_call><name>${name}</name><arguments>${JSON.stringify(args)}</arguments></function_call>`;
+
+function sse(content) {
+  const chunk = (delta, finish = null) => `data: ${JSON.stringify({ id: 'c1', object: 'chat.completion.chunk', model: 'm', choices: [{ index: 0, delta, finish_reason: finish }] })}\n\n`;
+  return chunk({ role: 'assistant', content }) + chunk({}, 'stop') + 'data: [DONE]\n\n';
+}
+
+// proxy in front of an upstream answering with `replies` in turn; returns the bodies it received
+async function startProxy(t, replies, options = {}) {
+  const received = [];
+  const upstream = http.createServer(async (req, res) => {
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+    const body = JSON.parse(raw);
+    received.push(body);
+    const content = replies[Math.min(received.length, replies.length) - 1];
+    if (body.stream) {
+      res.writeHead(200, { 'content-type': 'text/event-stream' });
+      return res.end(sse(content));
+    }
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ id: 'c1', object: 'chat.completion', model: 'm', choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }] }));
+  });
+  const proxy = http.createServer(createProxy({ dialect: 'xml', fewShot: 'off', ...options }));
+  for (const server of [upstream, proxy]) await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    upstream.close();
+    proxy.close();
+  });
+  return { url: `http://127.0.0.1:${proxy.address().port}/http://127.0.0.1:${upstream.address().port}/v1/chat/completions`, received };
+}
+
+async function chat(url, stream) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ model: 'm', stream, messages: [{ role: 'user', content: 'Switch to a' }], tools }),
+  });
+  return { status: res.status, text: await res.text() };
+}
+
+test('non-stream: invalid arguments get a correction round', async (t) => {
+  const { url, received } = await startProxy(t, [xmlCall('set_mode', { mode: 'c' }), xmlCall('set_mode', { mode: 'a' })]);
+  const { status, text } = await chat(url, false);
+  const choice = JSON.parse(text).choices[0];
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(received.length, 2);
+  assert.ok(received[1].messages.at(-1).content.includes('must be one of'));
+  assert.strictEqual(choice.message.tool_calls[0].function.arguments, '{"mode":"a"}');
+  assert.strictEqual(choice.anytoolcall, undefined);
+});
+
+test('non-stream: without rounds left the call is returned with its errors', async (t) => {
+  const { url, received } = await startProxy(t, [xmlCall('set_mode', { mode: 'c' })], { toolValidationMaxRetries: 0 });
+  const choice = JSON.parse((await chat(url, false)).text).choices[0];
+
+  assert.strictEqual(received.length, 1);
+  assert.strictEqual(choice.message.tool_calls.length, 1);
+  assert.strictEqual(choice.anytoolcall.validation_errors[0].name, 'set_mode');
+});
+
+test('stream: a call to an unknown tool is retried before anything reaches the client', async (t) => {
+  const { url, received } = await startProxy(t, [xmlCall('set_mood', { mode: 'a' }), xmlCall('set_mode', { mode: 'a' })]);
+  const { text } = await chat(url, true);
+
+  assert.strictEqual(received.length, 2);
+  assert.ok(!text.includes('set_mood'));
+  assert.ok(text.includes('"name":"set_mode"'));
+  assert.ok(!text.includes('tool_choice_violation'));
+});
+
+test('stream: without rounds left an unknown tool is reported on the final chunk', async (t) => {
+  const { url, received } = await startProxy(t, [xmlCall('set_mood', { mode: 'a' })], { toolValidationMaxRetries: 0 });
+  const { text } = await chat(url, true);
+
+  assert.strictEqual(received.length, 1);
+  assert.ok(text.includes('validation_errors'));
+  assert.ok(!text.includes('"error"'));
+});